@@ -16,7 +16,7 @@ if (!supabaseUrl || !supabaseServiceKey) {
 // Check if URL is valid
 try {
   new URL(supabaseUrl);
-} catch (error) {
+} catch {
   console.error('Invalid Supabase URL format:', supabaseUrl);
   console.error('Expected format: https://your-project-id.supabase.co');
   console.error('Please update your .env file with a valid Supabase URL');
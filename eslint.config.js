@@ -0,0 +1,20 @@
+import js from '@eslint/js';
+import globals from 'globals';
+
+export default [
+  {
+    ignores: ['node_modules/', 'dist/', 'logs/']
+  },
+  js.configs.recommended,
+  {
+    languageOptions: {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      globals: globals.node
+    },
+    rules: {
+      // Express handlers keep their full (req, res, next) signatures
+      'no-unused-vars': ['error', { args: 'none' }]
+    }
+  }
+];
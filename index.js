@@ -3,48 +3,74 @@ import { createServer } from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
 import helmet from 'helmet';
-import rateLimit from 'express-rate-limit';
 import dotenv from 'dotenv';
 import { logger } from './utils/logger.js';
 import { errorHandler } from './middleware/errorHandler.js';
-import { authMiddleware } from './middleware/auth.js';
+import { authMiddleware, mockAuthEnabled, requireKeyScope, socketAuthMiddleware } from './middleware/auth.js';
+import { aiRateLimit, authRateLimit, scrapingRateLimit, standardRateLimit } from './middleware/rateLimit.js';
+import {
+  AUTHENTICATED_ROOM,
+  createBroadcaster,
+  disasterRooms,
+  privateRooms,
+  PUBLIC_ROOM,
+  publicRoom,
+  socketRooms,
+  unredactedRoom
+} from './utils/realtime.js';
+import { seesPii } from './utils/redaction.js';
 
 // Route imports
+import authRoutes from './routes/auth.js';
 import disasterRoutes from './routes/disasters.js';
 import socialMediaRoutes from './routes/socialMedia.js';
 import resourceRoutes from './routes/resources.js';
 import updatesRoutes from './routes/updates.js';
 import verificationRoutes from './routes/verification.js';
 import geocodingRoutes from './routes/geocoding.js';
+import reportRoutes from './routes/reports.js';
+import searchRoutes from './routes/search.js';
+import geodataRoutes from './routes/geodata.js';
+import importRoutes from './routes/imports.js';
+import inventoryRoutes from './routes/inventory.js';
+import needsRoutes from './routes/needs.js';
+import volunteerRoutes from './routes/volunteers.js';
+import taskRoutes from './routes/tasks.js';
+import personRoutes from './routes/persons.js';
+import organizationRoutes from './routes/organizations.js';
+import roleRoutes from './routes/roles.js';
+import apiKeyRoutes from './routes/apiKeys.js';
+import moderationRoutes from './routes/moderation.js';
+import alertRoutes from './routes/alerts.js';
 
 dotenv.config();
 
+// Comma-separated browser origins allowed to call the API and open sockets;
+// without it, any origin in development and none in production
+const corsOrigin = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
+  : process.env.NODE_ENV !== 'production' && '*';
+
 const app = express();
 const server = createServer(app);
 const io = new Server(server, {
   cors: {
-    origin: process.env.NODE_ENV === 'production' ? false : '*',
+    origin: corsOrigin,
     methods: ['GET', 'POST', 'PUT', 'DELETE']
   }
 });
+io.use(socketAuthMiddleware);
 
 const PORT = process.env.PORT || 4000;
 
 // Security middleware
 app.use(helmet());
 app.use(cors({
-  origin: process.env.NODE_ENV === 'production' ? false : '*',
-  credentials: true
+  origin: corsOrigin,
+  credentials: true,
+  exposedHeaders: ['X-Total-Count', 'X-Next-Cursor', 'Link', 'RateLimit', 'RateLimit-Policy', 'Retry-After']
 }));
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
-});
-app.use(limiter);
-
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
@@ -55,19 +81,43 @@ app.use((req, res, next) => {
   next();
 });
 
-// Make io available in routes
+// Make io available in routes; see utils/realtime.js for what reaches
+// anonymous sockets
+const broadcaster = createBroadcaster(io);
 app.use((req, res, next) => {
-  req.io = io;
+  req.io = broadcaster;
   next();
 });
 
 // Routes
-app.use('/api/disasters', authMiddleware, disasterRoutes);
-app.use('/api/social-media', authMiddleware, socialMediaRoutes);
-app.use('/api/resources', authMiddleware, resourceRoutes);
-app.use('/api/updates', authMiddleware, updatesRoutes);
-app.use('/api/verification', authMiddleware, verificationRoutes);
-app.use('/api/geocoding', authMiddleware, geocodingRoutes);
+// Authenticated routes are rate limited per user or API key (middleware/rateLimit.js)
+const authenticated = [authMiddleware, standardRateLimit];
+
+// GeoJSON/KML export and import authenticate per route; mounted first so the
+// `/api/disasters/:id/resources.geojson` paths are not routed through the disasters router
+app.use('/api', geodataRoutes);
+// Login and token refresh happen before there is a token to check
+app.use('/api/auth', authRateLimit, authRoutes);
+app.use('/api/disasters', authenticated, requireKeyScope('disasters'), disasterRoutes);
+app.use('/api/social-media', authenticated, requireKeyScope('social_media'), scrapingRateLimit, socialMediaRoutes);
+app.use('/api/resources', authenticated, requireKeyScope('resources'), resourceRoutes);
+app.use('/api/updates', authenticated, requireKeyScope('updates'), scrapingRateLimit, updatesRoutes);
+app.use('/api/verification', authenticated, requireKeyScope('verification'), verificationRoutes);
+app.use('/api/geocoding', authenticated, requireKeyScope('geocoding'), aiRateLimit, geocodingRoutes);
+app.use('/api/reports', authenticated, requireKeyScope('reports'), reportRoutes);
+app.use('/api/search', authenticated, requireKeyScope('search'), searchRoutes);
+// Imports write disasters or resources; each route checks the matching permission
+app.use('/api/import', authenticated, scrapingRateLimit, importRoutes);
+app.use('/api/inventory', authenticated, requireKeyScope('resources'), inventoryRoutes);
+app.use('/api/needs', authenticated, requireKeyScope('needs'), needsRoutes);
+app.use('/api/volunteers', authenticated, requireKeyScope('volunteers'), volunteerRoutes);
+app.use('/api/tasks', authenticated, requireKeyScope('tasks'), taskRoutes);
+app.use('/api/persons', authenticated, requireKeyScope('persons'), personRoutes);
+app.use('/api/organizations', authenticated, requireKeyScope('organizations'), organizationRoutes);
+app.use('/api/roles', authenticated, requireKeyScope('roles'), roleRoutes);
+app.use('/api/api-keys', authenticated, apiKeyRoutes);
+app.use('/api/moderation', authenticated, requireKeyScope('moderation'), moderationRoutes);
+app.use('/api/alerts', authenticated, requireKeyScope('alerts'), alertRoutes);
 
 // Health check
 app.get('/api/health', (req, res) => {
@@ -77,28 +127,89 @@ app.get('/api/health', (req, res) => {
 // Error handling
 app.use(errorHandler);
 
-// WebSocket connection handling
-io.on('connection', (socket) => {
-  logger.info(`Client connected: ${socket.id}`);
-  
-  socket.on('join_disaster', (disasterId) => {
-    socket.join(`disaster_${disasterId}`);
-    logger.info(`Client ${socket.id} joined disaster room: ${disasterId}`);
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// WebSocket connection handling. Sockets authenticate in the handshake
+// (socketAuthMiddleware); anonymous sockets only get the public stream.
+io.on('connection', async (socket) => {
+  const { user, apiKey } = socket.data;
+
+  // Whether the socket gets personal details unredacted; settled before it
+  // joins any room
+  const privileged = (user ? seesPii({ user, apiKey }) : Promise.resolve(false))
+    .catch((error) => {
+      logger.error(`Failed to check PII access for ${user.id}:`, error);
+      return false;
+    })
+    .then((allowed) => {
+      socket.data.seesPii = allowed;
+    });
+
+  socket.on('join_disaster', async (disasterId, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      await privileged;
+      const { error, stream, rooms } = await disasterRooms(socket, disasterId);
+      if (error) {
+        logger.warn(`Client ${socket.id} refused disaster room ${disasterId}: ${error}`);
+        return reply({ ok: false, error });
+      }
+
+      socket.join(rooms);
+      logger.info(`Client ${socket.id} joined disaster room: ${disasterId} (${stream})`);
+      reply({ ok: true, stream });
+    } catch (error) {
+      logger.error(`Failed to join disaster room ${disasterId}:`, error);
+      reply({ ok: false, error: 'Could not join room' });
+    }
   });
-  
+
   socket.on('leave_disaster', (disasterId) => {
     socket.leave(`disaster_${disasterId}`);
+    socket.leave(unredactedRoom(`disaster_${disasterId}`));
+    socket.leave(publicRoom(`disaster_${disasterId}`));
     logger.info(`Client ${socket.id} left disaster room: ${disasterId}`);
   });
-  
+
   socket.on('disconnect', () => {
     logger.info(`Client disconnected: ${socket.id}`);
   });
+
+  if (!user) {
+    socket.join(PUBLIC_ROOM);
+    logger.info(`Anonymous client connected: ${socket.id}`);
+    return;
+  }
+
+  logger.info(`Client connected: ${socket.id} (${user.id})`);
+
+  // Access tokens are short-lived; the client reconnects with a fresh one.
+  // Expiries beyond setTimeout's range (long-lived API keys) are not scheduled.
+  const expiresIn = socket.data.expiresAt && socket.data.expiresAt - Date.now();
+  if (expiresIn && expiresIn < MAX_TIMER_MS) {
+    const timer = setTimeout(() => {
+      socket.emit('session_expired');
+      socket.disconnect(true);
+    }, Math.max(expiresIn, 0));
+    socket.on('disconnect', () => clearTimeout(timer));
+  }
+
+  await privileged;
+  socket.join(socketRooms(socket, AUTHENTICATED_ROOM));
+
+  try {
+    socket.join(socketRooms(socket, await privateRooms(socket)));
+  } catch (error) {
+    logger.error(`Failed to join private rooms for ${user.id}:`, error);
+  }
 });
 
 // Start server
 server.listen(PORT, () => {
   logger.info(`Server running on port ${PORT}`);
+  if (mockAuthEnabled()) {
+    logger.warn('Mock authentication is enabled (AUTH_MODE=mock): X-User-ID is trusted without a token');
+  }
 });
 
 export { io };
\ No newline at end of file
@@ -1,6 +1,11 @@
+import { supabase } from '../config/supabase.js';
 import { logger } from '../utils/logger.js';
+import { TokenError, verifyToken } from '../utils/tokens.js';
+import { hasPermission } from '../utils/permissions.js';
+import { hashApiKey, ipAllowed, looksLikeApiKey } from '../utils/apiKeys.js';
 
-// Mock users for demonstration
+// Mock users for local development. Only honoured when AUTH_MODE=mock and
+// NODE_ENV is not production.
 const MOCK_USERS = {
   'netrunnerX': { id: 'netrunnerX', role: 'admin', name: 'NetRunner X' },
   'reliefAdmin': { id: 'reliefAdmin', role: 'admin', name: 'Relief Admin' },
@@ -8,23 +13,206 @@ const MOCK_USERS = {
   'citizen1': { id: 'citizen1', role: 'contributor', name: 'Citizen Reporter' }
 };
 
-export const authMiddleware = (req, res, next) => {
-  const userId = req.headers['x-user-id'] || 'netrunnerX'; // Default to netrunnerX for demo
-  
-  if (!MOCK_USERS[userId]) {
-    logger.warn(`Authentication failed for user: ${userId}`);
-    return res.status(401).json({ error: 'Unauthorized' });
+export const mockAuthEnabled = () =>
+  process.env.AUTH_MODE === 'mock' && process.env.NODE_ENV !== 'production';
+
+const bearerToken = (header) => {
+  const [scheme, token] = (header || '').split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// A credential that was presented but cannot be used; `status` is the HTTP
+// status to answer with
+export class AuthError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
   }
+}
 
-  req.user = MOCK_USERS[userId];
-  logger.info(`Authenticated user: ${userId} (${req.user.role})`);
-  next();
+const AUTH_ERROR_NAMES = { 401: 'Unauthorized', 403: 'Forbidden' };
+
+// Write last_used_at at most this often per key
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Look up an API key and check it may be used from `ip`, now
+async function authenticateApiKey(key, ip) {
+  const { data: apiKey, error } = await supabase
+    .from('api_keys')
+    .select('*')
+    .eq('key_hash', hashApiKey(key))
+    .maybeSingle();
+
+  if (error) throw error;
+
+  const reject = (status, message) => {
+    logger.warn(`API key rejected (${apiKey ? apiKey.prefix : 'unknown'}): ${message}`);
+    throw new AuthError(status, message);
+  };
+
+  if (!apiKey || apiKey.revoked_at) {
+    reject(401, 'Invalid API key');
+  }
+  if (new Date(apiKey.expires_at) <= new Date()) {
+    reject(401, 'API key expired');
+  }
+  if (!ipAllowed(ip, apiKey.allowed_ips)) {
+    reject(403, 'API key is not allowed from this address');
+  }
+
+  if (!apiKey.last_used_at || Date.now() - new Date(apiKey.last_used_at).getTime() > LAST_USED_INTERVAL_MS) {
+    const { error: usageError } = await supabase
+      .from('api_keys')
+      .update({ last_used_at: new Date().toISOString(), last_used_ip: ip })
+      .eq('id', apiKey.id);
+
+    if (usageError) throw usageError;
+  }
+
+  logger.info(`Authenticated API key: ${apiKey.prefix} (${apiKey.name})`);
+
+  // Keys act as their own principal so created_by and audit entries name them
+  return {
+    user: { id: `api_key:${apiKey.id}`, role: 'api_key', name: apiKey.name },
+    apiKey: { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes, rate_limit: apiKey.rate_limit },
+    expiresAt: new Date(apiKey.expires_at).getTime()
+  };
+}
+
+// Resolve presented credentials to `{ user, apiKey, expiresAt }`, for HTTP
+// requests and socket handshakes alike. Returns null when nothing was
+// presented; throws AuthError when what was presented is not valid.
+export async function authenticate({ token, apiKey, mockUserId, ip }) {
+  const key = apiKey || (looksLikeApiKey(token) ? token : null);
+  if (key) {
+    return authenticateApiKey(key, ip);
+  }
+
+  if (token) {
+    try {
+      const claims = verifyToken(token, 'access');
+      const user = { id: claims.sub, role: claims.role, name: claims.name };
+      logger.info(`Authenticated user: ${user.id} (${user.role})`);
+      return { user, apiKey: null, expiresAt: claims.exp * 1000 };
+    } catch (error) {
+      if (!(error instanceof TokenError)) throw error;
+      logger.warn(`Authentication failed: ${error.message}`);
+      throw new AuthError(401, error.message);
+    }
+  }
+
+  if (mockAuthEnabled() && mockUserId) {
+    if (!MOCK_USERS[mockUserId]) {
+      logger.warn(`Authentication failed for user: ${mockUserId}`);
+      throw new AuthError(401, 'Unknown user');
+    }
+
+    logger.info(`Authenticated mock user: ${mockUserId} (${MOCK_USERS[mockUserId].role})`);
+    return { user: MOCK_USERS[mockUserId], apiKey: null, expiresAt: null };
+  }
+
+  return null;
+}
+
+export const authMiddleware = async (req, res, next) => {
+  try {
+    const principal = await authenticate({
+      token: bearerToken(req.headers.authorization),
+      apiKey: req.headers['x-api-key'],
+      mockUserId: req.headers['x-user-id'],
+      ip: req.ip
+    });
+
+    if (!principal) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'Bearer token or API key required' });
+    }
+
+    req.user = principal.user;
+    req.apiKey = principal.apiKey;
+    next();
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      return next(error);
+    }
+    res.status(error.status).json({ error: AUTH_ERROR_NAMES[error.status], message: error.message });
+  }
+};
+
+// Socket.IO handshake: the same credentials as HTTP, in `auth` (`token`,
+// `apiKey`, or `userId` in mock mode) or the usual headers. Sockets without
+// credentials connect anonymously; invalid credentials refuse the connection.
+export const socketAuthMiddleware = async (socket, next) => {
+  try {
+    const { auth = {}, headers, address } = socket.handshake;
+    const principal = await authenticate({
+      token: auth.token || bearerToken(headers.authorization),
+      apiKey: auth.apiKey || headers['x-api-key'],
+      mockUserId: auth.userId || headers['x-user-id'],
+      ip: address
+    });
+
+    socket.data.user = principal?.user || null;
+    socket.data.apiKey = principal?.apiKey || null;
+    socket.data.expiresAt = principal?.expiresAt || null;
+    next();
+  } catch (error) {
+    if (!(error instanceof AuthError)) {
+      logger.error('Socket authentication error:', error);
+      return next(new Error('Authentication failed'));
+    }
+    const refusal = new Error(error.message);
+    refusal.data = { status: error.status };
+    next(refusal);
+  }
+};
+
+// Mount-level gate for API keys: reads need `<area>:read` or `<area>:write`,
+// anything else `<area>:write`. User credentials pass straight through; routes
+// still run their own permission checks for both.
+export const requireKeyScope = (area) => (req, res, next) => {
+  if (!req.apiKey) {
+    return next();
+  }
+
+  const reading = ['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+  const { scopes } = req.apiKey;
+  if (scopes.includes(`${area}:write`) || (reading && scopes.includes(`${area}:read`))) {
+    return next();
+  }
+
+  const scope = `${area}:${reading ? 'read' : 'write'}`;
+  logger.warn(`API key ${req.apiKey.id} lacks scope ${scope}`);
+  return res.status(403).json({ error: 'Insufficient scope', scope });
 };
 
 export const requireAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
   if (req.user.role !== 'admin') {
     logger.warn(`Admin access denied for user: ${req.user.id}`);
     return res.status(403).json({ error: 'Admin access required' });
   }
   next();
-};
\ No newline at end of file
+};
+
+// Route-level check against the permission matrix in utils/permissions.js. The
+// scope is the disaster in `req.params[param]` unless `scope(req)` supplies one.
+export const requirePermission = (permission, { param = 'disasterId', scope } = {}) => async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const resolved = scope ? scope(req) : { disasterId: req.params[param] };
+    if (await hasPermission(req, permission, resolved)) {
+      return next();
+    }
+
+    logger.warn(`Permission ${permission} denied for user: ${req.user.id}`);
+    return res.status(403).json({ error: 'Permission denied', permission });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -11,6 +11,14 @@ export const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Upload errors (multer)
+  if (err.name === 'MulterError') {
+    return res.status(400).json({
+      error: 'Upload Error',
+      message: err.message
+    });
+  }
+
   // Supabase errors
   if (err.code) {
     return res.status(500).json({
@@ -0,0 +1,79 @@
+import rateLimit from 'express-rate-limit';
+import { logger } from '../utils/logger.js';
+import { DEFAULT_KEY_RATE_LIMIT } from '../utils/apiKeys.js';
+import { SupabaseRateLimitStore } from '../utils/rateLimitStore.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Budgets per window by role; `api_key` applies to API keys, and unknown
+// roles get the viewer budget. In the standard tier an API key's own
+// `rate_limit` takes precedence.
+const TIERS = {
+  // Every authenticated route
+  standard: {
+    windowMs: MINUTE_MS,
+    budgets: { admin: 600, coordinator: 600, verifier: 300, responder: 300, contributor: 120, viewer: 60, api_key: null }
+  },
+  // Gemini-backed geocoding and image verification
+  ai: {
+    windowMs: 15 * MINUTE_MS,
+    budgets: { admin: 100, coordinator: 100, verifier: 60, responder: 60, contributor: 20, viewer: 5, api_key: 30 }
+  },
+  // Official update and social media feeds, which fetch from third parties,
+  // and CSV imports, which may geocode their rows
+  scraping: {
+    windowMs: 15 * MINUTE_MS,
+    budgets: { admin: 120, coordinator: 120, verifier: 60, responder: 60, contributor: 30, viewer: 10, api_key: 60 }
+  }
+};
+
+// Login and token refresh happen before there is an identity, so they are
+// counted per IP address
+const AUTH_WINDOW_MS = 15 * MINUTE_MS;
+const AUTH_BUDGET = 100;
+
+function tierBudget(tier, req) {
+  const { budgets } = TIERS[tier];
+  if (req.apiKey) {
+    return (tier === 'standard' && req.apiKey.rate_limit) || budgets.api_key || DEFAULT_KEY_RATE_LIMIT;
+  }
+  return budgets[req.user.role] ?? budgets.viewer;
+}
+
+const identityKey = (req) => (req.apiKey ? `api_key:${req.apiKey.id}` : `user:${req.user.id}`);
+
+const limitExceeded = (tier) => (req, res, next, options) => {
+  logger.warn(`Rate limit (${tier}) exceeded for ${req.user ? identityKey(req) : req.ip}`);
+  res.status(options.statusCode).json({
+    error: 'Too Many Requests',
+    message: `Rate limit for ${tier} requests exceeded, please try again later`,
+    tier
+  });
+};
+
+const limiter = (tier, options) => rateLimit({
+  store: new SupabaseRateLimitStore(tier),
+  standardHeaders: 'draft-8',
+  legacyHeaders: false,
+  identifier: tier,
+  // A store outage should not take the API down with it
+  passOnStoreError: true,
+  handler: limitExceeded(tier),
+  ...options
+});
+
+// Mount after authMiddleware: counts per user or API key, budgeted by role
+const identityLimiter = (tier) => limiter(tier, {
+  windowMs: TIERS[tier].windowMs,
+  limit: (req) => tierBudget(tier, req),
+  keyGenerator: identityKey
+});
+
+export const standardRateLimit = identityLimiter('standard');
+export const aiRateLimit = identityLimiter('ai');
+export const scrapingRateLimit = identityLimiter('scraping');
+
+export const authRateLimit = limiter('auth', {
+  windowMs: AUTH_WINDOW_MS,
+  limit: AUTH_BUDGET
+});
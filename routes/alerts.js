@@ -0,0 +1,296 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { parsePoint } from '../utils/geo.js';
+import { hasPermission } from '../utils/permissions.js';
+import { assertPublicWebhookUrl, generateWebhookSecret, WebhookUrlError } from '../utils/webhooks.js';
+
+const router = express.Router();
+
+const MAX_SUBSCRIPTIONS_PER_USER = 50;
+
+// Everything but the webhook secret and the generated geography
+const SUBSCRIPTION_COLUMNS = 'id, user_id, name, center, radius_m, area, tags, webhook_url, active, created_at, updated_at';
+
+// Validation schemas
+const position = Joi.array().ordered(
+  Joi.number().min(-180).max(180).required(),
+  Joi.number().min(-90).max(90).required()
+);
+
+// A closed GeoJSON linear ring: at least four positions, first equal to last
+const ring = Joi.array().items(position).min(4).max(1000).custom((value, helpers) => {
+  const [first, last] = [value[0], value[value.length - 1]];
+  return first[0] === last[0] && first[1] === last[1] ? value : helpers.error('any.invalid');
+}).messages({ 'any.invalid': '{{#label}} must be a closed ring (first and last positions equal)' });
+
+const areaSchema = Joi.object({
+  type: Joi.string().valid('Polygon').required(),
+  coordinates: Joi.array().items(ring).min(1).max(20).required()
+});
+
+const subscriptionFields = {
+  name: Joi.string().max(200),
+  latitude: Joi.number().min(-90).max(90),
+  longitude: Joi.number().min(-180).max(180),
+  radius_m: Joi.number().integer().min(100).max(500000),
+  area: areaSchema,
+  tags: Joi.array().items(Joi.string().trim().max(50)).max(20),
+  webhook_url: Joi.string().uri({ scheme: ['https'] }).max(2000).allow(null),
+  active: Joi.boolean()
+};
+
+// Either a point with radius_m or a GeoJSON Polygon `area`
+const subscriptionSchema = Joi.object({
+  ...subscriptionFields,
+  name: subscriptionFields.name.required(),
+  tags: subscriptionFields.tags.default([]),
+  active: subscriptionFields.active.default(true)
+}).and('latitude', 'longitude', 'radius_m').xor('latitude', 'area');
+
+// Switching shape: send latitude/longitude/radius_m, or area
+const patchSubscriptionSchema = Joi.object(subscriptionFields)
+  .and('latitude', 'longitude')
+  .oxor('latitude', 'area')
+  .oxor('radius_m', 'area')
+  .min(1);
+
+const listSubscriptionsSchema = Joi.object({
+  // Every user's subscriptions (alerts:manage)
+  all: Joi.boolean().default(false)
+});
+
+const deliveriesSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+// A new point clears the polygon and vice versa
+function toSubscriptionRow({ latitude, longitude, area, ...fields }) {
+  const row = { ...fields };
+  if (latitude !== undefined && longitude !== undefined) {
+    row.center = `POINT(${longitude} ${latitude})`;
+    row.area = null;
+  }
+  if (area !== undefined) {
+    row.area = area;
+    row.center = null;
+    row.radius_m = null;
+  }
+  return row;
+}
+
+const toSubscription = ({ center, ...subscription }) => {
+  const point = parsePoint(center);
+  return {
+    ...subscription,
+    latitude: point?.latitude ?? null,
+    longitude: point?.longitude ?? null
+  };
+};
+
+// Check constraint: a circle needs both center and radius_m, an area neither
+const GEOMETRY_ERROR = 'A subscription needs either latitude, longitude and radius_m, or an area';
+
+// Webhooks make the server call out, so they need alerts:webhook and must
+// point at a public https host. Answers 403/400 and returns false otherwise.
+async function checkWebhook(req, res, webhookUrl) {
+  if (!webhookUrl) return true;
+
+  if (!await hasPermission(req, 'alerts:webhook')) {
+    res.status(403).json({ error: 'Permission denied', permission: 'alerts:webhook' });
+    return false;
+  }
+
+  try {
+    await assertPublicWebhookUrl(webhookUrl);
+  } catch (error) {
+    if (!(error instanceof WebhookUrlError)) throw error;
+    res.status(400).json({ error: error.message });
+    return false;
+  }
+  return true;
+}
+
+// Loads a subscription owned by the caller (or any, with alerts:manage)
+async function loadSubscription(req, res) {
+  const { data, error } = await supabase
+    .from('alert_subscriptions')
+    .select(SUBSCRIPTION_COLUMNS)
+    .eq('id', req.params.subscriptionId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!data) {
+    res.status(404).json({ error: 'Subscription not found' });
+    return null;
+  }
+
+  if (data.user_id !== req.user.id && !await hasPermission(req, 'alerts:manage')) {
+    res.status(403).json({ error: 'Permission denied' });
+    return null;
+  }
+
+  return data;
+}
+
+// GET /alerts/subscriptions - The caller's subscriptions
+router.get('/subscriptions', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = listSubscriptionsSchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    if (value.all && !await hasPermission(req, 'alerts:manage')) {
+      return res.status(403).json({ error: 'Permission denied', permission: 'alerts:manage' });
+    }
+
+    let query = supabase
+      .from('alert_subscriptions')
+      .select(SUBSCRIPTION_COLUMNS)
+      .order('created_at', { ascending: false });
+
+    if (!value.all) {
+      query = query.eq('user_id', req.user.id);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json(data.map(toSubscription));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /alerts/subscriptions/:subscriptionId - A subscription
+router.get('/subscriptions/:subscriptionId', async (req, res, next) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    res.json(toSubscription(subscription));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /alerts/subscriptions - Subscribe to alerts for an area; the webhook
+// secret is only returned here
+router.post('/subscriptions', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = subscriptionSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    if (!await checkWebhook(req, res, value.webhook_url)) return;
+
+    const { count, error: countError } = await supabase
+      .from('alert_subscriptions')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', req.user.id);
+
+    if (countError) throw countError;
+
+    if (count >= MAX_SUBSCRIPTIONS_PER_USER) {
+      return res.status(409).json({ error: `At most ${MAX_SUBSCRIPTIONS_PER_USER} subscriptions per user` });
+    }
+
+    const webhookSecret = generateWebhookSecret();
+
+    const { data, error } = await supabase
+      .from('alert_subscriptions')
+      .insert({
+        ...toSubscriptionRow(value),
+        user_id: req.user.id,
+        webhook_secret: webhookSecret
+      })
+      .select(SUBSCRIPTION_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Created alert subscription ${data.id} for ${req.user.id}`);
+    res.status(201).json({ ...toSubscription(data), webhook_secret: webhookSecret });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /alerts/subscriptions/:subscriptionId - Change a subscription's area, tags, webhook or state
+router.patch('/subscriptions/:subscriptionId', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = patchSubscriptionSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    if (!await checkWebhook(req, res, value.webhook_url)) return;
+
+    const { data, error } = await supabase
+      .from('alert_subscriptions')
+      .update(toSubscriptionRow(value))
+      .eq('id', subscription.id)
+      .select(SUBSCRIPTION_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === '23514') {
+        return res.status(400).json({ error: GEOMETRY_ERROR });
+      }
+      throw error;
+    }
+
+    logger.info(`Updated alert subscription ${data.id} by ${req.user.id}`);
+    res.json(toSubscription(data));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /alerts/subscriptions/:subscriptionId - Unsubscribe
+router.delete('/subscriptions/:subscriptionId', async (req, res, next) => {
+  try {
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    const { error } = await supabase
+      .from('alert_subscriptions')
+      .delete()
+      .eq('id', subscription.id);
+
+    if (error) throw error;
+
+    logger.info(`Deleted alert subscription ${subscription.id} by ${req.user.id}`);
+    res.json({ message: 'Subscription deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /alerts/subscriptions/:subscriptionId/deliveries - Recent alerts and webhook outcomes
+router.get('/subscriptions/:subscriptionId/deliveries', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = deliveriesSchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    const subscription = await loadSubscription(req, res);
+    if (!subscription) return;
+
+    const { data, error } = await supabase
+      .from('alert_deliveries')
+      .select('*')
+      .eq('subscription_id', subscription.id)
+      .order('created_at', { ascending: false })
+      .limit(value.limit);
+
+    if (error) throw error;
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
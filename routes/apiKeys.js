@@ -0,0 +1,174 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { requirePermission } from '../middleware/auth.js';
+import { API_KEY_AREAS } from '../utils/permissions.js';
+import { generateApiKey, isValidIpRule } from '../utils/apiKeys.js';
+
+const router = express.Router();
+
+// Keys are managed by admins only (`*` grants api_keys:manage); keys
+// themselves can never hold it
+router.use(requirePermission('api_keys:manage', { scope: () => ({}) }));
+
+const SCOPES = API_KEY_AREAS.flatMap(area => [`${area}:read`, `${area}:write`]);
+
+// Everything but the hash
+const KEY_COLUMNS = 'id, name, prefix, scopes, allowed_ips, rate_limit, expires_at, revoked_at, last_used_at, last_used_ip, created_by, created_at, updated_at';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Validation schemas
+const ipRule = Joi.string().max(64).custom((value, helpers) =>
+  isValidIpRule(value) ? value : helpers.error('any.invalid'));
+
+const apiKeySchema = Joi.object({
+  name: Joi.string().required().min(2).max(200),
+  scopes: Joi.array().items(Joi.string().valid(...SCOPES)).min(1).unique().required(),
+  allowed_ips: Joi.array().items(ipRule).max(50).default([]),
+  // Requests per minute; omit for the server default
+  rate_limit: Joi.number().integer().min(1).max(10000).allow(null),
+  expires_in_days: Joi.number().integer().min(1).max(365).default(90)
+});
+
+const patchApiKeySchema = apiKeySchema
+  .fork(['name', 'scopes'], field => field.optional())
+  .fork(['allowed_ips', 'expires_in_days'], field => field.optional().prefs({ noDefaults: true }))
+  .min(1);
+
+const listApiKeysSchema = Joi.object({
+  include_revoked: Joi.boolean().default(false)
+});
+
+const toKeyRow = ({ expires_in_days, ...fields }) => ({
+  ...fields,
+  ...(expires_in_days && { expires_at: new Date(Date.now() + expires_in_days * DAY_MS).toISOString() })
+});
+
+// GET /api-keys - List API keys
+router.get('/', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = listApiKeysSchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    let query = supabase
+      .from('api_keys')
+      .select(KEY_COLUMNS)
+      .order('created_at', { ascending: false });
+
+    if (!value.include_revoked) {
+      query = query.is('revoked_at', null);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api-keys/:keyId - Get an API key's settings and last use
+router.get('/:keyId', async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select(KEY_COLUMNS)
+      .eq('id', req.params.keyId)
+      .single();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api-keys - Issue a key; the key itself is only returned here
+router.post('/', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = apiKeySchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const { key, prefix, key_hash } = generateApiKey();
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .insert({
+        ...toKeyRow(value),
+        prefix,
+        key_hash,
+        created_by: req.user.id
+      })
+      .select(KEY_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Issued API key ${data.prefix} (${data.name}) with scopes ${data.scopes.join(', ')} by ${req.user.id}`);
+    res.status(201).json({ ...data, key });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api-keys/:keyId - Change a key's scopes, allowlist, rate limit or expiry
+router.patch('/:keyId', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = patchApiKeySchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update(toKeyRow(value))
+      .eq('id', req.params.keyId)
+      .is('revoked_at', null)
+      .select(KEY_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: 'API key not found or revoked' });
+    }
+
+    logger.info(`Updated API key ${data.prefix} by ${req.user.id}`);
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api-keys/:keyId - Revoke a key; the row is kept for the audit trail
+router.delete('/:keyId', async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', req.params.keyId)
+      .is('revoked_at', null)
+      .select(KEY_COLUMNS)
+      .single();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+
+    logger.info(`Revoked API key ${data.prefix} by ${req.user.id}`);
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
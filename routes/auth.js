@@ -0,0 +1,207 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { DUMMY_PASSWORD_HASH, verifyPassword } from '../utils/passwords.js';
+import { ACCESS_TOKEN_TTL, signToken, TokenError, verifyToken } from '../utils/tokens.js';
+import { authMiddleware } from '../middleware/auth.js';
+
+// Mounted without authMiddleware; /me authenticates on its own
+const router = express.Router();
+
+// Validation schemas
+const loginSchema = Joi.object({
+  // User id or email
+  username: Joi.string().required().max(200),
+  password: Joi.string().required().max(1024)
+});
+
+const refreshSchema = Joi.object({
+  refresh_token: Joi.string().required()
+});
+
+const logoutSchema = Joi.object({
+  refresh_token: Joi.string().required(),
+  // Revoke every refresh token the user holds, not just this one
+  all_sessions: Joi.boolean().default(false)
+});
+
+const publicUser = (user) => ({ id: user.id, name: user.name, email: user.email, role: user.role });
+
+const unauthorized = (res, message) => res.status(401).json({ error: 'Unauthorized', message });
+
+// Sign an access/refresh pair and record the refresh token so it can be
+// rotated and revoked
+async function issueTokens(req, user) {
+  const access = signToken({ sub: user.id, role: user.role, name: user.name }, 'access');
+  const refresh = signToken({ sub: user.id }, 'refresh');
+
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .insert({
+      id: refresh.payload.jti,
+      user_id: user.id,
+      expires_at: new Date(refresh.payload.exp * 1000).toISOString(),
+      user_agent: req.get('user-agent') || null,
+      ip: req.ip
+    });
+
+  if (error) throw error;
+
+  return {
+    jti: refresh.payload.jti,
+    body: {
+      token_type: 'Bearer',
+      access_token: access.token,
+      expires_in: ACCESS_TOKEN_TTL,
+      refresh_token: refresh.token,
+      user: publicUser(user)
+    }
+  };
+}
+
+async function revokeAllSessions(userId) {
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('revoked_at', null);
+
+  if (error) throw error;
+}
+
+// POST /auth/login - Exchange a username and password for tokens
+router.post('/login', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = loginSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('*')
+      .eq(value.username.includes('@') ? 'email' : 'id', value.username)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    // Always run a hash comparison so unknown users are not faster to reject
+    const passwordMatches = await verifyPassword(value.password, user?.password_hash || DUMMY_PASSWORD_HASH);
+
+    if (!user || !user.password_hash || !passwordMatches || !user.active) {
+      logger.warn(`Login failed for ${value.username}`);
+      return unauthorized(res, 'Invalid username or password');
+    }
+
+    const { body } = await issueTokens(req, user);
+
+    await supabase
+      .from('users')
+      .update({ last_login_at: new Date().toISOString() })
+      .eq('id', user.id);
+
+    logger.info(`User logged in: ${user.id} (${user.role})`);
+    res.json(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /auth/refresh - Rotate a refresh token for a new token pair
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = refreshSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    let claims;
+    try {
+      claims = verifyToken(value.refresh_token, 'refresh');
+    } catch (error) {
+      if (error instanceof TokenError) return unauthorized(res, error.message);
+      throw error;
+    }
+
+    // Claim the token; only one refresh can win it
+    const { data: stored, error } = await supabase
+      .from('refresh_tokens')
+      .update({ revoked_at: new Date().toISOString() })
+      .eq('id', claims.jti)
+      .is('revoked_at', null)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!stored) {
+      // A revoked token being replayed means it may have leaked: end every session
+      logger.warn(`Refresh token reuse for user ${claims.sub}; revoking all sessions`);
+      await revokeAllSessions(claims.sub);
+      return unauthorized(res, 'Refresh token has been revoked');
+    }
+
+    const { data: user, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('id', claims.sub)
+      .maybeSingle();
+
+    if (userError) throw userError;
+
+    if (!user || !user.active) {
+      return unauthorized(res, 'Account is disabled');
+    }
+
+    const { jti, body } = await issueTokens(req, user);
+
+    const { error: linkError } = await supabase
+      .from('refresh_tokens')
+      .update({ replaced_by: jti })
+      .eq('id', stored.id);
+
+    if (linkError) throw linkError;
+
+    logger.info(`Refreshed tokens for user: ${user.id}`);
+    res.json(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /auth/logout - Revoke a refresh token (or all of the user's)
+router.post('/logout', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = logoutSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    let claims;
+    try {
+      claims = verifyToken(value.refresh_token, 'refresh');
+    } catch (error) {
+      if (error instanceof TokenError) return unauthorized(res, error.message);
+      throw error;
+    }
+
+    if (value.all_sessions) {
+      await revokeAllSessions(claims.sub);
+    } else {
+      const { error } = await supabase
+        .from('refresh_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', claims.jti)
+        .is('revoked_at', null);
+
+      if (error) throw error;
+    }
+
+    logger.info(`User logged out: ${claims.sub}${value.all_sessions ? ' (all sessions)' : ''}`);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /auth/me - The authenticated user
+router.get('/me', authMiddleware, (req, res) => {
+  res.json(req.user);
+});
+
+export default router;
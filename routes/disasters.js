@@ -2,18 +2,50 @@ import express from 'express';
 import Joi from 'joi';
 import { supabase } from '../config/supabase.js';
 import { logger } from '../utils/logger.js';
-import { requireAdmin } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
+import { needsModeration, queueSubmissions } from '../utils/moderation.js';
+import { redactFor } from '../utils/redaction.js';
+import { canModify, hasPermission } from '../utils/permissions.js';
+import { auditActor, diffFields, fieldsAtVersion, toHistoryItem } from '../utils/auditTrail.js';
+import { recomputeSeverity } from '../utils/severity.js';
+import { alertDisasterSubscribers } from '../utils/alerts.js';
+import { decodeCursor, encodeCursor, keysetFilter } from '../utils/pagination.js';
 
 const router = express.Router();
 
+// Lifecycle: reported → verified → active → contained → resolved → archived
+const DISASTER_STATUSES = ['reported', 'verified', 'active', 'contained', 'resolved', 'archived'];
+
+const STATUS_TRANSITIONS = {
+  reported: ['verified', 'archived'],
+  verified: ['active', 'archived'],
+  active: ['contained', 'resolved'],
+  contained: ['active', 'resolved'],
+  resolved: ['active', 'archived'],
+  archived: []
+};
+
+// Target statuses that need a dedicated permission rather than ownership
+const RESTRICTED_STATUS_PERMISSIONS = {
+  verified: 'disasters:verify',
+  archived: 'disasters:archive'
+};
+
+// Duplicate detection: disasters this close in time and space with a combined
+// similarity score at or above the threshold are reported as possible duplicates
+const DUPLICATE_WINDOW_HOURS = 72;
+const DUPLICATE_RADIUS_METERS = 25000;
+const DUPLICATE_MIN_SCORE = 0.35;
+
 // Validation schemas
-const disasterSchema = Joi.object({
+export const disasterSchema = Joi.object({
   title: Joi.string().required().max(200),
   location_name: Joi.string().required().max(200),
   description: Joi.string().required().max(2000),
   tags: Joi.array().items(Joi.string()).default([]),
   latitude: Joi.number().min(-90).max(90),
-  longitude: Joi.number().min(-180).max(180)
+  longitude: Joi.number().min(-180).max(180),
+  organization_id: Joi.string().guid().allow(null)
 });
 
 const updateDisasterSchema = Joi.object({
@@ -22,42 +54,333 @@ const updateDisasterSchema = Joi.object({
   description: Joi.string().max(2000),
   tags: Joi.array().items(Joi.string()),
   latitude: Joi.number().min(-90).max(90),
-  longitude: Joi.number().min(-180).max(180)
+  longitude: Joi.number().min(-180).max(180),
+  organization_id: Joi.string().guid().allow(null)
+});
+
+const statusChangeSchema = Joi.object({
+  status: Joi.string().valid(...DISASTER_STATUSES).required(),
+  note: Joi.string().max(500)
+});
+
+const mergeSchema = Joi.object({
+  duplicate_id: Joi.string().guid().required()
 });
 
+// Spatial query modes for the listing: radius (lat/lon[/radius]), bbox or nearest-N
+const geoSearchSchema = Joi.object({
+  lat: Joi.number().min(-90).max(90),
+  lon: Joi.number().min(-180).max(180),
+  radius: Joi.number().integer().min(1).max(1000000),
+  nearest: Joi.number().integer().min(1).max(100),
+  bbox: Joi.string().pattern(/^\s*-?\d+(\.\d+)?(\s*,\s*-?\d+(\.\d+)?){3}\s*$/)
+    .messages({ 'string.pattern.base': '"bbox" must be "minLon,minLat,maxLon,maxLat"' })
+})
+  .and('lat', 'lon')
+  .with('radius', ['lat', 'lon'])
+  .with('nearest', ['lat', 'lon'])
+  .oxor('radius', 'nearest', 'bbox')
+  .unknown(true);
+
+const SORT_COLUMNS = {
+  created_at: 'created_at',
+  updated_at: 'updated_at',
+  title: 'title',
+  severity: 'severity_score'
+};
+
+const listDisastersSchema = Joi.object({
+  tag: Joi.string(),
+  tag_match: Joi.string().valid('any', 'all').default('any'),
+  owner_id: Joi.string(),
+  status: Joi.string(),
+  include_archived: Joi.boolean().default(false),
+  created_after: Joi.date().iso(),
+  created_before: Joi.date().iso(),
+  sort: Joi.string().valid(...Object.keys(SORT_COLUMNS)).default('created_at'),
+  order: Joi.string().valid('asc', 'desc'),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0),
+  cursor: Joi.string()
+})
+  .custom((value, helpers) => {
+    if (value.status) {
+      const invalid = value.status.split(',').map(s => s.trim()).filter(s => !DISASTER_STATUSES.includes(s));
+      if (invalid.length > 0) {
+        return helpers.message(`Invalid status: ${invalid.join(', ')}`);
+      }
+    }
+    return value;
+  })
+  .unknown(true);
+
+// Column filters shared by the listing, its count query and spatial search
+function applyListFilters(query, { tag, tag_match, owner_id, status, include_archived, created_after, created_before }) {
+  if (tag) {
+    const tags = tag.split(',').map(t => t.trim()).filter(Boolean);
+    query = tag_match === 'all' ? query.contains('tags', tags) : query.overlaps('tags', tags);
+  }
+
+  if (owner_id) {
+    query = query.eq('owner_id', owner_id);
+  }
+
+  // Archived disasters are hidden unless explicitly requested
+  if (status) {
+    query = query.in('status', status.split(',').map(s => s.trim()));
+  } else if (!include_archived) {
+    query = query.neq('status', 'archived');
+  }
+
+  if (created_after) {
+    query = query.gte('created_at', created_after.toISOString());
+  }
+
+  if (created_before) {
+    query = query.lte('created_at', created_before.toISOString());
+  }
+
+  return query;
+}
+
+// The listing filters as arguments to the paged PostGIS search helpers
+const searchFilterArgs = ({ tag, tag_match, owner_id, status, include_archived, created_after, created_before }) => ({
+  filter_tags: tag ? tag.split(',').map(t => t.trim()).filter(Boolean) : null,
+  match_all_tags: tag_match === 'all',
+  filter_owner_id: owner_id || null,
+  filter_statuses: status ? status.split(',').map(s => s.trim()) : null,
+  include_archived,
+  created_after: created_after ? created_after.toISOString() : null,
+  created_before: created_before ? created_before.toISOString() : null
+});
+
+const findsByLocation = (query) => Boolean(query.bbox || query.lat !== undefined);
+
+// Run the matching PostGIS helper, or return null when the request has no
+// spatial parameters. Radius and bbox searches are filtered, sorted and paged
+// in SQL and return one page as { hits, total }; nearest-N returns at most
+// `nearest` hits ordered nearest first, to be filtered and paged here.
+async function findDisastersByLocation(query, list, sort) {
+  const { error: validationError, value } = geoSearchSchema.validate(query);
+  if (validationError) throw validationError;
+
+  const { lat, lon, radius = 10000, nearest, bbox } = value;
+
+  if (!bbox && lat === undefined) {
+    return null;
+  }
+
+  if (nearest) {
+    const { data, error } = await supabase.rpc('get_nearest_disasters', {
+      center_lat: lat,
+      center_lon: lon,
+      max_results: nearest
+    });
+    if (error) throw error;
+    return { hits: data, total: null };
+  }
+
+  const pageArgs = {
+    ...searchFilterArgs(list),
+    sort_column: sort.column,
+    sort_ascending: sort.ascending,
+    max_results: list.limit,
+    skip: list.offset
+  };
+
+  let search;
+  if (bbox) {
+    const [minLon, minLat, maxLon, maxLat] = bbox.split(',').map(parseFloat);
+    search = (args) => supabase.rpc('get_disasters_in_bbox', {
+      min_lon: minLon,
+      min_lat: minLat,
+      max_lon: maxLon,
+      max_lat: maxLat,
+      // Distances are measured from lat/lon when given, otherwise from the box center
+      center_lat: lat ?? (minLat + maxLat) / 2,
+      center_lon: lon ?? (minLon + maxLon) / 2,
+      ...args
+    });
+  } else {
+    search = (args) => supabase.rpc('get_disasters_within_distance', {
+      center_lat: lat,
+      center_lon: lon,
+      radius_meters: radius,
+      ...args
+    });
+  }
+
+  const { data, error } = await search(pageArgs);
+  if (error) throw error;
+
+  // Each row carries the total; a page past the end has none, so count apart
+  let total = data.length > 0 ? Number(data[0].total_count) : 0;
+  if (data.length === 0 && list.offset > 0) {
+    const { data: first, error: countError } = await search({ ...pageArgs, max_results: 1, skip: 0 });
+    if (countError) throw countError;
+    total = first.length > 0 ? Number(first[0].total_count) : 0;
+  }
+
+  return { hits: data, total };
+}
+
+// Score existing disasters against a candidate; see find_similar_disasters
+async function findPossibleDuplicates({ id, title, tags, location, created_at }) {
+  const { data, error } = await supabase.rpc('find_similar_disasters', {
+    candidate_title: title,
+    candidate_tags: tags || [],
+    candidate_location: location || null,
+    reference_time: created_at || new Date().toISOString(),
+    window_hours: DUPLICATE_WINDOW_HOURS,
+    radius_meters: DUPLICATE_RADIUS_METERS,
+    min_score: DUPLICATE_MIN_SCORE,
+    exclude_id: id || null
+  });
+
+  if (error) throw error;
+  return data;
+}
+
 // GET /disasters - List disasters with optional filtering
 router.get('/', async (req, res, next) => {
   try {
-    const { tag, owner_id, limit = 50, offset = 0 } = req.query;
-    
-    let query = supabase
-      .from('disasters')
-      .select(`
-        *,
-        reports:reports(count)
-      `)
-      .order('created_at', { ascending: false })
-      .range(offset, offset + limit - 1);
+    const { error: validationError, value } = listDisastersSchema.validate(req.query);
+    if (validationError) throw validationError;
 
-    if (tag) {
-      query = query.contains('tags', [tag]);
+    const { sort, limit, offset, cursor } = value;
+    const column = SORT_COLUMNS[sort];
+    const ascending = (value.order || (sort === 'title' ? 'asc' : 'desc')) === 'asc';
+
+    if (cursor && findsByLocation(req.query)) {
+      return res.status(400).json({ error: 'cursor is not supported with spatial search; use offset' });
     }
 
-    if (owner_id) {
-      query = query.eq('owner_id', owner_id);
+    // Spatial listings default to nearest first
+    const spatialColumn = req.query.sort ? column : 'distance_m';
+    const spatialSort = {
+      column: spatialColumn,
+      ascending: (value.order || (spatialColumn === 'distance_m' || spatialColumn === 'title' ? 'asc' : 'desc')) === 'asc'
+    };
+
+    const geoSearch = await findDisastersByLocation(req.query, value, spatialSort);
+
+    if (geoSearch) {
+      return await listDisastersByLocation(req, res, value, spatialSort, geoSearch);
     }
 
-    const { data, error } = await query;
+    let after = null;
+    if (cursor) {
+      after = decodeCursor(cursor);
+      if (!after) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    let query = applyListFilters(
+      supabase
+        .from('disasters')
+        .select(`
+          *,
+          reports:reports(count)
+        `, { count: 'exact' }),
+      value
+    )
+      .order(column, { ascending, nullsFirst: false })
+      .order('id', { ascending });
+
+    // Keyset pagination when a cursor is given, offset pagination otherwise
+    if (after) {
+      query = query.or(keysetFilter(column, ascending, after)).limit(limit);
+    } else {
+      query = query.range(offset, offset + limit - 1);
+    }
+
+    const { data, error, count } = await query;
 
     if (error) throw error;
 
-    logger.info(`Retrieved ${data.length} disasters`);
+    // With a cursor the count only covers the remaining rows, so count the full set
+    let total = count;
+    if (after) {
+      const { count: fullCount, error: countError } = await applyListFilters(
+        supabase.from('disasters').select('id', { count: 'exact', head: true }),
+        value
+      );
+      if (countError) throw countError;
+      total = fullCount;
+    }
+
+    const nextCursor = data.length === limit ? encodeCursor(data[data.length - 1], column) : null;
+
+    res.set('X-Total-Count', String(total));
+    if (nextCursor) {
+      res.set('X-Next-Cursor', nextCursor);
+      const params = new URLSearchParams({ ...req.query, cursor: nextCursor });
+      params.delete('offset');
+      res.set('Link', `<${req.baseUrl}?${params}>; rel="next"`);
+    }
+
+    logger.info(`Retrieved ${data.length} of ${total} disasters`);
     res.json(data);
   } catch (error) {
     next(error);
   }
 });
 
+// Spatial searches return disaster ids with distances; the rows are loaded by
+// id and keep the search's order. Nearest-N hits are filtered, sorted and paged
+// here, radius and bbox hits arrive as one page. Results carry distance_m.
+async function listDisastersByLocation(req, res, params, sort, { hits, total }) {
+  if (hits.length === 0) {
+    res.set('X-Total-Count', String(total ?? 0));
+    return res.json([]);
+  }
+
+  let query = supabase
+    .from('disasters')
+    .select(`
+      *,
+      reports:reports(count)
+    `)
+    .in('id', hits.map(hit => hit.disaster_id));
+
+  // Radius and bbox pages were already filtered in SQL
+  if (total === null) {
+    query = applyListFilters(query, params);
+  }
+
+  const { data, error } = await query;
+
+  if (error) throw error;
+
+  const distances = new Map(hits.map(hit => [hit.disaster_id, hit.distance_m]));
+  const rows = data.map(disaster => ({ ...disaster, distance_m: distances.get(disaster.id) }));
+
+  let page;
+  if (total === null) {
+    const compare = (a, b) => {
+      const x = a[sort.column];
+      const y = b[sort.column];
+      if (x === y) return 0;
+      if (x === null || x === undefined) return 1;
+      if (y === null || y === undefined) return -1;
+      return (x < y ? -1 : 1) * (sort.ascending ? 1 : -1);
+    };
+
+    const results = rows.sort(compare);
+    total = results.length;
+    page = results.slice(params.offset, params.offset + params.limit);
+  } else {
+    const position = new Map(hits.map((hit, index) => [hit.disaster_id, index]));
+    page = rows.sort((a, b) => position.get(a.id) - position.get(b.id));
+  }
+
+  res.set('X-Total-Count', String(total));
+
+  logger.info(`Retrieved ${page.length} of ${total} disasters by location`);
+  res.json(page);
+}
+
 // GET /disasters/:id - Get specific disaster
 router.get('/:id', async (req, res, next) => {
   try {
@@ -77,48 +400,98 @@ router.get('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'Disaster not found' });
     }
 
+    // Disasters created before severity scoring existed get scored on first read
+    if (data.severity_score === null || data.severity_score === undefined) {
+      const severity = await recomputeSeverity(data.id, req.io);
+      if (severity) {
+        Object.assign(data, severity);
+      }
+    }
+
     logger.info(`Retrieved disaster: ${data.id}`);
-    res.json(data);
+    res.json({
+      ...data,
+      reports: await redactFor(req, 'report', data.reports),
+      resources: await redactFor(req, 'resource', data.resources)
+    });
   } catch (error) {
     next(error);
   }
 });
 
-// POST /disasters - Create new disaster
-router.post('/', async (req, res, next) => {
+// Insert a disaster, broadcast it and return it with its possible duplicates.
+// Approved submissions are published on behalf of their submitter.
+export async function publishDisaster(req, value, submission = null) {
+  // latitude/longitude are not columns; they are stored as the location point
+  const { latitude, longitude, ...fields } = value;
+
+  const disasterData = {
+    ...fields,
+    owner_id: submission ? submission.submitted_by : req.user.id,
+    audit_trail: [{
+      action: 'create',
+      ...(submission
+        ? { user_id: submission.submitted_by, approved_by: req.user.id, submission_id: submission.id }
+        : auditActor(req)),
+      timestamp: new Date().toISOString()
+    }]
+  };
+
+  // Add location point if coordinates provided
+  if (latitude && longitude) {
+    disasterData.location = `POINT(${longitude} ${latitude})`;
+  }
+
+  const { data, error } = await supabase
+    .from('disasters')
+    .insert(disasterData)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  logger.info(`Created disaster: ${data.id} by ${disasterData.owner_id}`);
+
+  // Duplicate detection is advisory; never fail the create because of it
+  let possibleDuplicates = [];
   try {
-    const { error: validationError, value } = disasterSchema.validate(req.body);
-    if (validationError) throw validationError;
+    possibleDuplicates = await findPossibleDuplicates({
+      id: data.id,
+      title: data.title,
+      tags: data.tags,
+      location: disasterData.location
+    });
+  } catch (duplicateError) {
+    logger.warn(`Duplicate check failed for disaster ${data.id}:`, duplicateError);
+  }
 
-    const disasterData = {
-      ...value,
-      owner_id: req.user.id,
-      audit_trail: [{
-        action: 'create',
-        user_id: req.user.id,
-        timestamp: new Date().toISOString()
-      }]
-    };
+  if (possibleDuplicates.length > 0) {
+    logger.info(`Disaster ${data.id} has ${possibleDuplicates.length} possible duplicates`);
+  }
 
-    // Add location point if coordinates provided
-    if (value.latitude && value.longitude) {
-      disasterData.location = `POINT(${value.longitude} ${value.latitude})`;
-    }
+  // Emit real-time update
+  req.io.emit('disaster_created', data);
+  recomputeSeverity(data.id, req.io);
+  alertDisasterSubscribers(req.io, 'disaster_created', data);
 
-    const { data, error } = await supabase
-      .from('disasters')
-      .insert(disasterData)
-      .select()
-      .single();
+  return { ...data, possible_duplicates: possibleDuplicates };
+}
 
-    if (error) throw error;
+// POST /disasters - Create new disaster (in an organization when organization_id is given);
+// untrusted submitters' disasters are queued for moderation and answered with 202
+router.post('/', requirePermission('disasters:create', {
+  scope: (req) => ({ organizationId: req.body.organization_id || null })
+}), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = disasterSchema.validate(req.body);
+    if (validationError) throw validationError;
 
-    logger.info(`Created disaster: ${data.id} by ${req.user.id}`);
-    
-    // Emit real-time update
-    req.io.emit('disaster_created', data);
+    if (await needsModeration(req, { organizationId: value.organization_id || null })) {
+      const [submission] = await queueSubmissions(req, 'disaster', [value]);
+      return res.status(202).json({ message: 'Disaster submitted for review', submission });
+    }
 
-    res.status(201).json(data);
+    res.status(201).json(await publishDisaster(req, value));
   } catch (error) {
     next(error);
   }
@@ -133,7 +506,7 @@ router.put('/:id', async (req, res, next) => {
     // Check if disaster exists and user has permission
     const { data: existing, error: fetchError } = await supabase
       .from('disasters')
-      .select('owner_id, audit_trail')
+      .select('*')
       .eq('id', req.params.id)
       .single();
 
@@ -143,23 +516,37 @@ router.put('/:id', async (req, res, next) => {
       return res.status(404).json({ error: 'Disaster not found' });
     }
 
-    if (existing.owner_id !== req.user.id && req.user.role !== 'admin') {
+    const scope = { disasterId: existing.id, organizationId: existing.organization_id };
+    if (!await canModify(req, existing.owner_id, 'disasters:update', scope)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    // Handing a disaster to another organization needs rights there as well
+    if (value.organization_id && value.organization_id !== existing.organization_id &&
+        !await hasPermission(req, 'disasters:update', { organizationId: value.organization_id })) {
       return res.status(403).json({ error: 'Permission denied' });
     }
 
-    const updateData = { ...value };
+    // latitude/longitude are not columns; they are stored as the location point
+    const { latitude, longitude, ...fields } = value;
+    const updateData = { ...fields };
 
     // Update location point if coordinates provided
-    if (value.latitude && value.longitude) {
-      updateData.location = `POINT(${value.longitude} ${value.latitude})`;
+    if (latitude && longitude) {
+      updateData.location = `POINT(${longitude} ${latitude})`;
+    }
+
+    const changes = diffFields(existing, updateData);
+    if (changes.length === 0) {
+      return res.json(existing);
     }
 
     // Update audit trail
     const newAuditEntry = {
       action: 'update',
-      user_id: req.user.id,
+      ...auditActor(req),
       timestamp: new Date().toISOString(),
-      changes: Object.keys(value)
+      changes
     };
     
     updateData.audit_trail = [...(existing.audit_trail || []), newAuditEntry];
@@ -177,6 +564,342 @@ router.put('/:id', async (req, res, next) => {
     
     // Emit real-time update
     req.io.emit('disaster_updated', data);
+    alertDisasterSubscribers(req.io, 'disaster_updated', data);
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /disasters/:id/duplicates - Possible duplicates of an existing disaster
+router.get('/:id/duplicates', async (req, res, next) => {
+  try {
+    const { data: disaster, error } = await supabase
+      .from('disasters')
+      .select('id, title, tags, location, created_at')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error) throw error;
+
+    if (!disaster) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    const candidates = await findPossibleDuplicates(disaster);
+
+    logger.info(`Found ${candidates.length} possible duplicates for disaster ${disaster.id}`);
+    res.json({
+      disaster_id: disaster.id,
+      possible_duplicates: candidates
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /disasters/:id/merge - Fold a duplicate into this disaster
+router.post('/:id/merge', requirePermission('disasters:merge', { param: 'id' }), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = mergeSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const canonicalId = req.params.id;
+    const duplicateId = value.duplicate_id;
+
+    if (canonicalId === duplicateId) {
+      return res.status(400).json({ error: 'A disaster cannot be merged into itself' });
+    }
+
+    const { data: disasters, error: fetchError } = await supabase
+      .from('disasters')
+      .select('id, status, audit_trail')
+      .in('id', [canonicalId, duplicateId]);
+
+    if (fetchError) throw fetchError;
+
+    const canonical = disasters.find(d => d.id === canonicalId);
+    const duplicate = disasters.find(d => d.id === duplicateId);
+
+    if (!canonical || !duplicate) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    // The duplicate is archived by the merge, so it must be in the caller's reach too
+    if (!await hasPermission(req, 'disasters:merge', { disasterId: duplicateId })) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    if (canonical.status === 'archived') {
+      return res.status(409).json({ error: 'Cannot merge into an archived disaster' });
+    }
+
+    if (duplicate.status === 'archived') {
+      return res.status(409).json({ error: 'Duplicate disaster is already archived' });
+    }
+
+    // Move reports and resources over to the canonical disaster
+    const { data: movedReports, error: reportsError } = await supabase
+      .from('reports')
+      .update({ disaster_id: canonicalId })
+      .eq('disaster_id', duplicateId)
+      .select('id');
+
+    if (reportsError) throw reportsError;
+
+    const { data: movedResources, error: resourcesError } = await supabase
+      .from('resources')
+      .update({ disaster_id: canonicalId })
+      .eq('disaster_id', duplicateId)
+      .select('id');
+
+    if (resourcesError) throw resourcesError;
+
+    const timestamp = new Date().toISOString();
+    const moved = {
+      reports: movedReports.map(r => r.id),
+      resources: movedResources.map(r => r.id)
+    };
+
+    // The duplicate is archived rather than deleted so its history stays readable
+    const { data: archived, error: archiveError } = await supabase
+      .from('disasters')
+      .update({
+        status: 'archived',
+        audit_trail: [...(duplicate.audit_trail || []), {
+          action: 'merge',
+          ...auditActor(req),
+          timestamp,
+          merged_into: canonicalId,
+          from: duplicate.status,
+          to: 'archived',
+          moved
+        }]
+      })
+      .eq('id', duplicateId)
+      .select()
+      .single();
+
+    if (archiveError) throw archiveError;
+
+    const { data, error } = await supabase
+      .from('disasters')
+      .update({
+        audit_trail: [...(canonical.audit_trail || []), {
+          action: 'merge',
+          ...auditActor(req),
+          timestamp,
+          merged_from: duplicateId,
+          moved
+        }]
+      })
+      .eq('id', canonicalId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Merged disaster ${duplicateId} into ${canonicalId} by ${req.user.id} (${moved.reports.length} reports, ${moved.resources.length} resources)`);
+
+    // Emit real-time update
+    const mergeEvent = {
+      canonical_id: canonicalId,
+      duplicate_id: duplicateId,
+      moved_reports: moved.reports.length,
+      moved_resources: moved.resources.length,
+      disaster: data
+    };
+    req.io.emit('disaster_merged', mergeEvent);
+    alertDisasterSubscribers(req.io, 'disaster_merged', data);
+    recomputeSeverity(canonicalId, req.io);
+    req.io.emit('disaster_status_changed', {
+      id: archived.id,
+      from: duplicate.status,
+      to: archived.status,
+      disaster: archived
+    });
+
+    res.json(mergeEvent);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /disasters/:id/history - Field-level change history
+router.get('/:id/history', async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('disasters')
+      .select('id, audit_trail')
+      .eq('id', req.params.id)
+      .single();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    const trail = data.audit_trail || [];
+
+    logger.info(`Retrieved ${trail.length} history entries for disaster ${data.id}`);
+    res.json({
+      disaster_id: data.id,
+      current_version: trail.length,
+      history: trail.map(toHistoryItem)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /disasters/:id/revert/:version - Restore field values from an earlier version
+router.post('/:id/revert/:version', requirePermission('disasters:revert', { param: 'id' }), async (req, res, next) => {
+  try {
+    const version = Number(req.params.version);
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('disasters')
+      .select('*')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    const trail = existing.audit_trail || [];
+
+    if (!Number.isInteger(version) || version < 1 || version > trail.length) {
+      return res.status(404).json({ error: `Version ${req.params.version} not found` });
+    }
+
+    const restored = fieldsAtVersion(existing, trail, version);
+    if (!restored) {
+      return res.status(409).json({
+        error: 'Cannot revert: a later change was recorded without previous values'
+      });
+    }
+
+    const changes = diffFields(existing, restored);
+    if (changes.length === 0) {
+      return res.status(409).json({ error: `Disaster already matches version ${version}` });
+    }
+
+    // Restoring an earlier organization hands the disaster over, as PUT does
+    if (restored.organization_id && restored.organization_id !== existing.organization_id &&
+        !await hasPermission(req, 'disasters:update', { organizationId: restored.organization_id })) {
+      return res.status(403).json({ error: 'Permission denied', permission: 'disasters:update' });
+    }
+
+    const newAuditEntry = {
+      action: 'revert',
+      ...auditActor(req),
+      timestamp: new Date().toISOString(),
+      reverted_to_version: version,
+      changes
+    };
+
+    const { data, error } = await supabase
+      .from('disasters')
+      .update({
+        ...restored,
+        audit_trail: [...trail, newAuditEntry]
+      })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Reverted disaster ${data.id} to version ${version} by ${req.user.id}`);
+
+    // Emit real-time update
+    req.io.emit('disaster_updated', data);
+    alertDisasterSubscribers(req.io, 'disaster_updated', data);
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Verifying and archiving need their own permissions; other transitions are
+// open to the owner or anyone with disasters:status
+const requireRestrictedStatusPermission = (req, res, next) => {
+  const permission = RESTRICTED_STATUS_PERMISSIONS[req.body.status];
+  if (permission) {
+    return requirePermission(permission, { param: 'id' })(req, res, next);
+  }
+  next();
+};
+
+// PATCH /disasters/:id/status - Move a disaster through its lifecycle
+router.patch('/:id/status', requireRestrictedStatusPermission, async (req, res, next) => {
+  try {
+    const { error: validationError, value } = statusChangeSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('disasters')
+      .select('owner_id, organization_id, status, audit_trail')
+      .eq('id', req.params.id)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Disaster not found' });
+    }
+
+    const scope = { disasterId: req.params.id, organizationId: existing.organization_id };
+    if (!RESTRICTED_STATUS_PERMISSIONS[value.status] &&
+        !await canModify(req, existing.owner_id, 'disasters:status', scope)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const allowed = STATUS_TRANSITIONS[existing.status] || [];
+    if (!allowed.includes(value.status)) {
+      return res.status(409).json({
+        error: `Cannot change status from ${existing.status} to ${value.status}`,
+        allowed_transitions: allowed
+      });
+    }
+
+    const newAuditEntry = {
+      action: 'status_change',
+      ...auditActor(req),
+      timestamp: new Date().toISOString(),
+      from: existing.status,
+      to: value.status,
+      ...(value.note && { note: value.note })
+    };
+
+    const { data, error } = await supabase
+      .from('disasters')
+      .update({
+        status: value.status,
+        audit_trail: [...(existing.audit_trail || []), newAuditEntry]
+      })
+      .eq('id', req.params.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Disaster ${data.id} status ${existing.status} -> ${data.status} by ${req.user.id}`);
+
+    // Emit real-time update
+    req.io.emit('disaster_status_changed', {
+      id: data.id,
+      from: existing.status,
+      to: data.status,
+      disaster: data
+    });
+    alertDisasterSubscribers(req.io, 'disaster_status_changed', data);
 
     res.json(data);
   } catch (error) {
@@ -184,8 +907,8 @@ router.put('/:id', async (req, res, next) => {
   }
 });
 
-// DELETE /disasters/:id - Delete disaster (admin only)
-router.delete('/:id', requireAdmin, async (req, res, next) => {
+// DELETE /disasters/:id - Delete disaster
+router.delete('/:id', requirePermission('disasters:delete', { param: 'id' }), async (req, res, next) => {
   try {
     const { data, error } = await supabase
       .from('disasters')
@@ -7,6 +7,9 @@ import { logger } from '../utils/logger.js';
 
 const router = express.Router();
 
+// Each provider gets this long before the next one is tried
+const GEOCODE_TIMEOUT_MS = 5000;
+
 // Initialize Gemini AI
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
@@ -79,7 +82,7 @@ Location:`;
 });
 
 // Geocoding function with multiple providers
-async function geocodeLocation(locationName) {
+export async function geocodeLocation(locationName) {
   const cacheKey = `geocode_${Buffer.from(locationName).toString('base64')}`;
   
   // Check cache first
@@ -101,7 +104,8 @@ async function geocodeLocation(locationName) {
   if (process.env.GOOGLE_MAPS_API_KEY) {
     try {
       const response = await fetch(
-        `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(locationName)}&key=${process.env.GOOGLE_MAPS_API_KEY}`
+        `https://maps.googleapis.com/maps/api/geocode/json?address=${encodeURIComponent(locationName)}&key=${process.env.GOOGLE_MAPS_API_KEY}`,
+        { signal: AbortSignal.timeout(GEOCODE_TIMEOUT_MS) }
       );
       const data = await response.json();
       
@@ -128,7 +132,8 @@ async function geocodeLocation(locationName) {
   if (process.env.MAPBOX_API_KEY) {
     try {
       const response = await fetch(
-        `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(locationName)}.json?access_token=${process.env.MAPBOX_API_KEY}&limit=1`
+        `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(locationName)}.json?access_token=${process.env.MAPBOX_API_KEY}&limit=1`,
+        { signal: AbortSignal.timeout(GEOCODE_TIMEOUT_MS) }
       );
       const data = await response.json();
       
@@ -154,7 +159,8 @@ async function geocodeLocation(locationName) {
   // Try OpenStreetMap Nominatim as fallback
   try {
     const response = await fetch(
-      `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(locationName)}&limit=1&email=disaster-response@example.com`
+      `https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(locationName)}&limit=1&email=disaster-response@example.com`,
+      { signal: AbortSignal.timeout(GEOCODE_TIMEOUT_MS) }
     );
     const data = await response.json();
     
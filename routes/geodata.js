@@ -0,0 +1,294 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { parsePoint } from '../utils/geo.js';
+import { recomputeSeverity } from '../utils/severity.js';
+import { authMiddleware, requireKeyScope, requirePermission } from '../middleware/auth.js';
+import { standardRateLimit } from '../middleware/rateLimit.js';
+import { needsModeration, queueSubmissions } from '../utils/moderation.js';
+import { redactFor } from '../utils/redaction.js';
+import { resourceSchema, toResourceRow } from './resources.js';
+
+// Mounted at /api so the `.geojson`/`.kml` paths sit beside the resource
+// collections they export; each route carries its own auth.
+const router = express.Router();
+
+const DISASTER_PROPERTIES = [
+  'id', 'title', 'location_name', 'description', 'tags', 'owner_id',
+  'status', 'severity_score', 'created_at', 'updated_at'
+];
+
+const RESOURCE_PROPERTIES = [
+  'id', 'disaster_id', 'name', 'location_name', 'type', 'description',
+  'contact_info', 'status', 'capacity', 'current_occupancy', 'opening_hours',
+  'last_confirmed_at', 'created_by', 'created_at', 'updated_at'
+];
+
+const MAX_IMPORT_FEATURES = 1000;
+
+const featureCollectionSchema = Joi.object({
+  type: Joi.string().valid('FeatureCollection').required(),
+  features: Joi.array().items(Joi.object()).min(1).max(MAX_IMPORT_FEATURES).required()
+}).unknown(true);
+
+const pick = (row, keys) => Object.fromEntries(keys.filter(key => key in row).map(key => [key, row[key]]));
+
+function toFeature(row, properties) {
+  const point = parsePoint(row.location);
+  return {
+    type: 'Feature',
+    id: row.id,
+    geometry: point ? { type: 'Point', coordinates: [point.longitude, point.latitude] } : null,
+    properties: pick(row, properties)
+  };
+}
+
+const toFeatureCollection = (rows, properties) => ({
+  type: 'FeatureCollection',
+  features: rows.map(row => toFeature(row, properties))
+});
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const formatKmlValue = (value) => {
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return value;
+};
+
+function toKml(name, rows, properties, { titleField, descriptionField }) {
+  const placemarks = rows.map(row => {
+    const point = parsePoint(row.location);
+    const data = pick(row, properties);
+    const extendedData = Object.entries(data)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([key, value]) =>
+        `      <Data name="${escapeXml(key)}"><value>${escapeXml(formatKmlValue(value))}</value></Data>`)
+      .join('\n');
+
+    return [
+      `    <Placemark id="${escapeXml(row.id)}">`,
+      `      <name>${escapeXml(row[titleField] ?? '')}</name>`,
+      `      <description>${escapeXml(row[descriptionField] ?? '')}</description>`,
+      '      <ExtendedData>',
+      extendedData,
+      '      </ExtendedData>',
+      point ? `      <Point><coordinates>${point.longitude},${point.latitude}</coordinates></Point>` : null,
+      '    </Placemark>'
+    ].filter(line => line !== null).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    ...placemarks,
+    '  </Document>',
+    '</kml>'
+  ].join('\n');
+}
+
+function sendGeoJson(res, filename, collection) {
+  res.type('application/geo+json');
+  res.attachment(filename);
+  res.send(JSON.stringify(collection));
+}
+
+function sendKml(res, filename, kml) {
+  res.type('application/vnd.google-earth.kml+xml');
+  res.attachment(filename);
+  res.send(kml);
+}
+
+async function fetchDisasters({ tag, status, include_archived }) {
+  let query = supabase
+    .from('disasters')
+    .select('*')
+    .order('created_at', { ascending: false });
+
+  if (tag) {
+    query = query.contains('tags', [tag]);
+  }
+
+  // Archived disasters are hidden unless explicitly requested
+  if (status) {
+    query = query.in('status', status.split(',').map(s => s.trim()));
+  } else if (include_archived !== 'true') {
+    query = query.neq('status', 'archived');
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+async function fetchResources(disasterId, { type }) {
+  let query = supabase
+    .from('resources')
+    .select('*')
+    .eq('disaster_id', disasterId)
+    .order('created_at', { ascending: false });
+
+  if (type) {
+    query = query.eq('type', type);
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+// GET /disasters.geojson - Disasters as a GeoJSON FeatureCollection
+router.get('/disasters.geojson', authMiddleware, standardRateLimit, requireKeyScope('disasters'), async (req, res, next) => {
+  try {
+    const disasters = await fetchDisasters(req.query);
+
+    logger.info(`Exported ${disasters.length} disasters as GeoJSON`);
+    sendGeoJson(res, 'disasters.geojson', toFeatureCollection(disasters, DISASTER_PROPERTIES));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /disasters.kml - Disasters as KML
+router.get('/disasters.kml', authMiddleware, standardRateLimit, requireKeyScope('disasters'), async (req, res, next) => {
+  try {
+    const disasters = await fetchDisasters(req.query);
+
+    logger.info(`Exported ${disasters.length} disasters as KML`);
+    sendKml(res, 'disasters.kml', toKml('Disasters', disasters, DISASTER_PROPERTIES, {
+      titleField: 'title',
+      descriptionField: 'description'
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /disasters/:id/resources.geojson - A disaster's resources as GeoJSON
+router.get('/disasters/:disasterId/resources.geojson', authMiddleware, standardRateLimit, requireKeyScope('resources'), async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const resources = await redactFor(req, 'resource', await fetchResources(disasterId, req.query));
+
+    logger.info(`Exported ${resources.length} resources for disaster ${disasterId} as GeoJSON`);
+    sendGeoJson(res, `resources-${disasterId}.geojson`, toFeatureCollection(resources, RESOURCE_PROPERTIES));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /disasters/:id/resources.kml - A disaster's resources as KML
+router.get('/disasters/:disasterId/resources.kml', authMiddleware, standardRateLimit, requireKeyScope('resources'), async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const resources = await redactFor(req, 'resource', await fetchResources(disasterId, req.query));
+
+    logger.info(`Exported ${resources.length} resources for disaster ${disasterId} as KML`);
+    sendKml(res, `resources-${disasterId}.kml`, toKml(`Resources for disaster ${disasterId}`, resources, RESOURCE_PROPERTIES, {
+      titleField: 'name',
+      descriptionField: 'description'
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /disasters/:id/resources.geojson - Bulk import resources from a FeatureCollection
+router.post('/disasters/:disasterId/resources.geojson', authMiddleware, standardRateLimit, requireKeyScope('resources'), requirePermission('resources:create'), async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { error: validationError, value: collection } = featureCollectionSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const values = [];
+    const errors = [];
+
+    collection.features.forEach((feature, index) => {
+      const featureErrors = [];
+      const coordinates = feature.geometry?.coordinates;
+
+      if (feature.geometry && (feature.geometry.type !== 'Point' || !Array.isArray(coordinates))) {
+        featureErrors.push('geometry must be a Point');
+      }
+
+      const { error, value } = resourceSchema.validate({
+        ...(feature.properties || {}),
+        ...(Array.isArray(coordinates) && { longitude: coordinates[0], latitude: coordinates[1] })
+      }, { abortEarly: false, stripUnknown: true });
+
+      if (error) {
+        featureErrors.push(...error.details.map(detail => detail.message));
+      }
+
+      if (featureErrors.length > 0) {
+        errors.push({ index, id: feature.id ?? null, errors: featureErrors });
+        return;
+      }
+
+      values.push(value);
+    });
+
+    if (values.length === 0) {
+      return res.status(400).json({
+        error: 'No valid features to import',
+        imported: 0,
+        failed: errors.length,
+        errors
+      });
+    }
+
+    // Untrusted submitters' features wait in the moderation queue
+    if (await needsModeration(req, { disasterId })) {
+      const submissions = await queueSubmissions(req, 'resource', values, disasterId);
+      return res.status(202).json({
+        imported: 0,
+        queued: submissions.length,
+        failed: errors.length,
+        errors,
+        submissions
+      });
+    }
+
+    const rows = values.map(value => ({
+      ...toResourceRow(value),
+      disaster_id: disasterId,
+      created_by: req.user.id
+    }));
+
+    const { data, error } = await supabase
+      .from('resources')
+      .insert(rows)
+      .select();
+
+    if (error) throw error;
+
+    logger.info(`Imported ${data.length} resources for disaster ${disasterId} by ${req.user.id} (${errors.length} rejected)`);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('resources_imported', {
+      disaster_id: disasterId,
+      count: data.length,
+      resources: data
+    });
+    recomputeSeverity(disasterId, req.io);
+
+    res.status(201).json({
+      imported: data.length,
+      failed: errors.length,
+      errors,
+      resources: data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
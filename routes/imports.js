@@ -0,0 +1,266 @@
+import express from 'express';
+import multer from 'multer';
+import Joi from 'joi';
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { requirePermission } from '../middleware/auth.js';
+import { parseCsvRecords } from '../utils/csv.js';
+import { recomputeSeverity } from '../utils/severity.js';
+import { auditActor } from '../utils/auditTrail.js';
+import { needsModeration, queueSubmissions } from '../utils/moderation.js';
+import { geocodeLocation } from './geocoding.js';
+import { disasterSchema } from './disasters.js';
+import { resourceSchema, toResourceRow } from './resources.js';
+
+const router = express.Router();
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Geocoding calls third-party APIs, so an import geocodes at most this many
+// rows, a few at a time; later rows are reported as skipped
+const MAX_GEOCODED_ROWS = 100;
+const GEOCODE_BATCH_SIZE = 5;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const isCsv = file.mimetype === 'text/csv' ||
+      file.mimetype === 'application/vnd.ms-excel' ||
+      file.originalname.toLowerCase().endsWith('.csv');
+    if (isCsv) {
+      return cb(null, true);
+    }
+    const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+    error.message = 'Only CSV files are accepted';
+    cb(error);
+  }
+});
+
+// { "CSV column": "field" }; sent as JSON text in multipart form fields
+const mappingSchema = Joi.object().pattern(Joi.string(), Joi.string());
+
+// Options arrive as multipart form fields or query parameters
+const importOptionsSchema = Joi.object({
+  dry_run: Joi.boolean().default(false),
+  geocode: Joi.boolean().default(false),
+  mapping: Joi.alternatives().try(
+    mappingSchema,
+    Joi.string().custom((value, helpers) => {
+      try {
+        const { error, value: mapping } = mappingSchema.validate(JSON.parse(value));
+        return error ? helpers.error('any.invalid') : mapping;
+      } catch {
+        return helpers.error('any.invalid');
+      }
+    })
+  ).default({}).messages({ 'any.invalid': '"mapping" must be a JSON object mapping CSV columns to fields' })
+});
+
+const IMPORT_OPTIONS = ['dry_run', 'geocode', 'mapping'];
+
+// Forms may carry fields other than the options; only the options are validated
+function parseImportOptions(req) {
+  const fields = { ...req.query, ...req.body };
+  const options = Object.fromEntries(IMPORT_OPTIONS.filter(option => fields[option] !== undefined)
+    .map(option => [option, fields[option]]));
+
+  const { error, value } = importOptionsSchema.validate(options);
+  if (error) throw error;
+  return value;
+}
+
+async function geocodeCandidate(candidate, entry) {
+  const result = await geocodeLocation(candidate.location_name);
+  if (result.latitude !== null && result.longitude !== null) {
+    candidate.latitude = result.latitude;
+    candidate.longitude = result.longitude;
+    entry.geocoded = { provider: result.geocoding_provider, confidence: result.confidence };
+  } else {
+    entry.geocoded = { provider: null, confidence: 'none' };
+  }
+}
+
+// Validate every row, geocoding rows that have a location name but no coordinates
+async function validateRows(records, schema, { geocode, prepare }) {
+  const rows = records.map((record, index) => ({
+    entry: { row: index + 1, status: 'valid', errors: [] },
+    candidate: prepare ? prepare(record) : { ...record }
+  }));
+
+  if (geocode) {
+    const pending = rows.filter(({ candidate }) =>
+      (candidate.latitude === undefined || candidate.longitude === undefined) && candidate.location_name);
+
+    for (let start = 0; start < Math.min(pending.length, MAX_GEOCODED_ROWS); start += GEOCODE_BATCH_SIZE) {
+      const batch = pending.slice(start, Math.min(start + GEOCODE_BATCH_SIZE, MAX_GEOCODED_ROWS));
+      await Promise.all(batch.map(({ candidate, entry }) => geocodeCandidate(candidate, entry)));
+    }
+
+    for (const { entry } of pending.slice(MAX_GEOCODED_ROWS)) {
+      entry.geocoded = { provider: null, confidence: 'skipped' };
+    }
+  }
+
+  return rows.map(({ entry, candidate }) => {
+    const { error, value } = schema.validate(candidate, { abortEarly: false, stripUnknown: true });
+    if (error) {
+      entry.status = 'invalid';
+      entry.errors = error.details.map(detail => detail.message);
+    } else {
+      entry.data = value;
+    }
+    return entry;
+  });
+}
+
+const toRow = ({ latitude, longitude, ...fields }) => ({
+  ...fields,
+  ...(latitude !== undefined && longitude !== undefined && { location: `POINT(${longitude} ${latitude})` })
+});
+
+function summarize(report, dryRun) {
+  const valid = report.filter(entry => entry.status === 'valid').length;
+  return {
+    dry_run: dryRun,
+    total_rows: report.length,
+    valid_rows: valid,
+    invalid_rows: report.length - valid,
+    rows: report
+  };
+}
+
+function readRecords(req, res, mapping) {
+  if (!req.file) {
+    res.status(400).json({ error: 'A CSV file is required in the "file" field' });
+    return null;
+  }
+
+  const records = parseCsvRecords(req.file.buffer.toString('utf8'), mapping);
+  if (records.length === 0) {
+    res.status(400).json({ error: 'CSV file has no data rows' });
+    return null;
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    res.status(400).json({ error: `CSV file has ${records.length} rows; the limit is ${MAX_IMPORT_ROWS}` });
+    return null;
+  }
+
+  return records;
+}
+
+// POST /import/disasters - Import disasters from a CSV upload
+router.post('/disasters', requirePermission('disasters:create', { scope: () => ({}) }), upload.single('file'), async (req, res, next) => {
+  try {
+    const { dry_run, geocode, mapping } = parseImportOptions(req);
+    const records = readRecords(req, res, mapping);
+    if (!records) return;
+
+    const report = await validateRows(records, disasterSchema, {
+      geocode,
+      // Tags arrive as one cell separated by ; or |
+      prepare: (record) => ({
+        ...record,
+        ...(record.tags && { tags: record.tags.split(/[;|]/).map(tag => tag.trim()).filter(Boolean) })
+      })
+    });
+    const result = summarize(report, dry_run);
+
+    if (dry_run || result.valid_rows === 0) {
+      logger.info(`CSV disaster import ${dry_run ? 'dry run' : 'rejected'}: ${result.valid_rows}/${result.total_rows} valid`);
+      return res.status(dry_run ? 200 : 400).json(result);
+    }
+
+    const valid = report.filter(entry => entry.status === 'valid');
+
+    // Untrusted submitters' rows wait in the moderation queue
+    if (await needsModeration(req, {})) {
+      const submissions = await queueSubmissions(req, 'disaster', valid.map(entry => entry.data));
+      return res.status(202).json({ ...result, imported: 0, queued: submissions.length, submissions });
+    }
+
+    const timestamp = new Date().toISOString();
+    const rows = valid
+      .map(entry => ({
+        ...toRow(entry.data),
+        owner_id: req.user.id,
+        audit_trail: [{
+          action: 'create',
+          ...auditActor(req),
+          timestamp,
+          source: 'csv_import'
+        }]
+      }));
+
+    const { data, error } = await supabase
+      .from('disasters')
+      .insert(rows)
+      .select();
+
+    if (error) throw error;
+
+    logger.info(`Imported ${data.length} disasters from CSV by ${req.user.id} (${result.invalid_rows} rejected)`);
+
+    // Emit real-time update
+    req.io.emit('disasters_imported', { count: data.length, disasters: data });
+
+    res.status(201).json({ ...result, imported: data.length, disasters: data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /import/:disasterId/resources - Import a disaster's resources from a CSV upload
+router.post('/:disasterId/resources', requirePermission('resources:create'), upload.single('file'), async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { dry_run, geocode, mapping } = parseImportOptions(req);
+    const records = readRecords(req, res, mapping);
+    if (!records) return;
+
+    const report = await validateRows(records, resourceSchema, { geocode });
+    const result = summarize(report, dry_run);
+
+    if (dry_run || result.valid_rows === 0) {
+      logger.info(`CSV resource import ${dry_run ? 'dry run' : 'rejected'} for disaster ${disasterId}: ${result.valid_rows}/${result.total_rows} valid`);
+      return res.status(dry_run ? 200 : 400).json(result);
+    }
+
+    const valid = report.filter(entry => entry.status === 'valid');
+
+    if (await needsModeration(req, { disasterId })) {
+      const submissions = await queueSubmissions(req, 'resource', valid.map(entry => entry.data), disasterId);
+      return res.status(202).json({ ...result, imported: 0, queued: submissions.length, submissions });
+    }
+
+    const rows = valid
+      .map(entry => ({
+        ...toResourceRow(entry.data),
+        disaster_id: disasterId,
+        created_by: req.user.id
+      }));
+
+    const { data, error } = await supabase
+      .from('resources')
+      .insert(rows)
+      .select();
+
+    if (error) throw error;
+
+    logger.info(`Imported ${data.length} resources from CSV for disaster ${disasterId} by ${req.user.id} (${result.invalid_rows} rejected)`);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('resources_imported', {
+      disaster_id: disasterId,
+      count: data.length,
+      resources: data
+    });
+    recomputeSeverity(disasterId, req.io);
+
+    res.status(201).json({ ...result, imported: data.length, resources: data });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,340 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { loadEditableResource } from './resources.js';
+
+const router = express.Router();
+
+// Validation schemas
+const itemSchema = Joi.object({
+  name: Joi.string().trim().required().max(100),
+  unit: Joi.string().trim().max(30).default('units'),
+  quantity: Joi.number().min(0).default(0),
+  reorder_threshold: Joi.number().min(0).default(0)
+});
+
+const updateItemSchema = Joi.object({
+  name: Joi.string().trim().max(100),
+  unit: Joi.string().trim().max(30),
+  reorder_threshold: Joi.number().min(0)
+}).min(1);
+
+// receipt and disbursement take a positive amount; adjustment is a signed
+// correction (e.g. after a stock count)
+const transactionSchema = Joi.object({
+  kind: Joi.string().valid('receipt', 'disbursement', 'adjustment').required(),
+  quantity: Joi.when('kind', {
+    is: 'adjustment',
+    then: Joi.number().invalid(0).required(),
+    otherwise: Joi.number().positive().required()
+  }),
+  note: Joi.string().max(500)
+});
+
+const listTransactionsSchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const isLowStock = (item) => Number(item.quantity) < Number(item.reorder_threshold);
+
+// Record a ledger entry through record_inventory_transaction and emit the stock
+// change; crossing below the reorder threshold raises resource_low_stock
+async function recordTransaction(req, res, { itemId, kind, change, note }) {
+  const { disasterId } = req.params;
+
+  const { data, error } = await supabase.rpc('record_inventory_transaction', {
+    target_item_id: itemId,
+    transaction_kind: kind,
+    change,
+    transaction_note: note || null,
+    actor_id: req.user.id
+  });
+
+  if (error) {
+    if (error.code === 'P0001') {
+      res.status(409).json({ error: error.message });
+      return null;
+    }
+    if (error.code === 'P0002') {
+      res.status(404).json({ error: 'Inventory item not found' });
+      return null;
+    }
+    throw error;
+  }
+
+  const { item, transaction, previous_quantity } = data;
+
+  logger.info(`Inventory ${kind} of ${change} ${item.unit} ${item.name} at resource ${item.resource_id} by ${req.user.id} (balance ${item.quantity})`);
+
+  // Emit real-time update
+  req.io.to(`disaster_${disasterId}`).emit('inventory_updated', { item, transaction });
+
+  const wasLow = Number(previous_quantity) < Number(item.reorder_threshold);
+  if (isLowStock(item) && !wasLow) {
+    logger.warn(`Low stock: ${item.name} at resource ${item.resource_id} (${item.quantity}/${item.reorder_threshold} ${item.unit})`);
+    req.io.to(`disaster_${disasterId}`).emit('resource_low_stock', {
+      disaster_id: disasterId,
+      resource_id: item.resource_id,
+      item
+    });
+  }
+
+  return { item, transaction };
+}
+
+async function loadItem(req, res) {
+  const { resourceId, itemId } = req.params;
+
+  const { data, error } = await supabase
+    .from('inventory_items')
+    .select('*')
+    .eq('id', itemId)
+    .eq('resource_id', resourceId)
+    .single();
+
+  if (error) throw error;
+
+  if (!data) {
+    res.status(404).json({ error: 'Inventory item not found' });
+    return null;
+  }
+
+  return data;
+}
+
+// GET /disasters/:id/resources/:resourceId/inventory - Stock held at a resource
+router.get('/:disasterId/resources/:resourceId/inventory', async (req, res, next) => {
+  try {
+    const { disasterId, resourceId } = req.params;
+
+    // Items belong to a disaster through their resource, which a merge may move
+    const { data, error } = await supabase
+      .from('inventory_items')
+      .select('*, resource:resources!inner(disaster_id)')
+      .eq('resource_id', resourceId)
+      .eq('resource.disaster_id', disasterId)
+      .order('name');
+
+    if (error) throw error;
+
+    const items = data.map(({ resource, ...item }) => ({ ...item, low_stock: isLowStock(item) }));
+
+    logger.info(`Retrieved ${items.length} inventory items for resource ${resourceId}`);
+    res.json({
+      resource_id: resourceId,
+      total_items: items.length,
+      low_stock_items: items.filter(item => item.low_stock).length,
+      items
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /disasters/:id/resources/:resourceId/inventory - Start tracking an item
+router.post('/:disasterId/resources/:resourceId/inventory', async (req, res, next) => {
+  try {
+    const { disasterId, resourceId } = req.params;
+    const { error: validationError, value } = itemSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const resource = await loadEditableResource(req, res);
+    if (!resource) return;
+
+    const { quantity, ...fields } = value;
+
+    const { data: item, error } = await supabase
+      .from('inventory_items')
+      .insert({
+        ...fields,
+        resource_id: resourceId,
+        created_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `Item "${value.name}" is already tracked at this resource` });
+      }
+      throw error;
+    }
+
+    logger.info(`Created inventory item: ${item.id} (${item.name}) at resource ${resourceId}`);
+
+    // Opening stock goes through the ledger like any other receipt
+    if (quantity > 0) {
+      const result = await recordTransaction(req, res, {
+        itemId: item.id,
+        kind: 'receipt',
+        change: quantity,
+        note: 'Opening stock'
+      });
+      if (!result) return;
+      return res.status(201).json({ ...result.item, low_stock: isLowStock(result.item) });
+    }
+
+    req.io.to(`disaster_${disasterId}`).emit('inventory_updated', { item, transaction: null });
+    res.status(201).json({ ...item, low_stock: isLowStock(item) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /disasters/:id/resources/:resourceId/inventory/:itemId - Rename or change the threshold
+router.patch('/:disasterId/resources/:resourceId/inventory/:itemId', async (req, res, next) => {
+  try {
+    const { disasterId, itemId } = req.params;
+    const { error: validationError, value } = updateItemSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const resource = await loadEditableResource(req, res);
+    if (!resource) return;
+
+    const existing = await loadItem(req, res);
+    if (!existing) return;
+
+    const { data: item, error } = await supabase
+      .from('inventory_items')
+      .update(value)
+      .eq('id', itemId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Updated inventory item: ${item.id} by ${req.user.id}`);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('inventory_updated', { item, transaction: null });
+
+    // Raising the threshold above current stock is a low-stock event too
+    if (isLowStock(item) && !isLowStock(existing)) {
+      req.io.to(`disaster_${disasterId}`).emit('resource_low_stock', {
+        disaster_id: disasterId,
+        resource_id: item.resource_id,
+        item
+      });
+    }
+
+    res.json({ ...item, low_stock: isLowStock(item) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /disasters/:id/resources/:resourceId/inventory/:itemId/transactions - Ledger for an item
+router.get('/:disasterId/resources/:resourceId/inventory/:itemId/transactions', async (req, res, next) => {
+  try {
+    const { itemId } = req.params;
+    const { error: validationError, value } = listTransactionsSchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    const item = await loadItem(req, res);
+    if (!item) return;
+
+    const { data, error, count } = await supabase
+      .from('inventory_transactions')
+      .select('*', { count: 'exact' })
+      .eq('item_id', itemId)
+      .order('created_at', { ascending: false })
+      .range(value.offset, value.offset + value.limit - 1);
+
+    if (error) throw error;
+
+    logger.info(`Retrieved ${data.length} inventory transactions for item ${itemId}`);
+    res.json({
+      item,
+      total_transactions: count,
+      limit: value.limit,
+      offset: value.offset,
+      transactions: data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /disasters/:id/resources/:resourceId/inventory/:itemId/transactions - Receive, disburse or adjust stock
+router.post('/:disasterId/resources/:resourceId/inventory/:itemId/transactions', async (req, res, next) => {
+  try {
+    const { itemId } = req.params;
+    const { error: validationError, value } = transactionSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const resource = await loadEditableResource(req, res);
+    if (!resource) return;
+
+    const item = await loadItem(req, res);
+    if (!item) return;
+
+    const result = await recordTransaction(req, res, {
+      itemId,
+      kind: value.kind,
+      change: value.kind === 'disbursement' ? -value.quantity : value.quantity,
+      note: value.note
+    });
+    if (!result) return;
+
+    res.status(201).json({
+      item: { ...result.item, low_stock: isLowStock(result.item) },
+      transaction: result.transaction
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /disasters/:id/shortages - Items below their reorder threshold, grouped by item
+router.get('/:disasterId/shortages', async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+
+    const { data, error } = await supabase
+      .from('inventory_items')
+      .select('*, resource:resources!inner(id, name, location_name, type, status, disaster_id)')
+      .eq('resource.disaster_id', disasterId);
+
+    if (error) throw error;
+
+    // Group by item name and unit so "Water (liters)" across shelters adds up
+    const groups = new Map();
+    for (const item of data.filter(isLowStock)) {
+      const key = `${item.name.toLowerCase()}|${item.unit}`;
+      if (!groups.has(key)) {
+        groups.set(key, { item: item.name, unit: item.unit, total_quantity: 0, total_threshold: 0, shortfall: 0, resources: [] });
+      }
+      const group = groups.get(key);
+      const quantity = Number(item.quantity);
+      const threshold = Number(item.reorder_threshold);
+      group.total_quantity += quantity;
+      group.total_threshold += threshold;
+      group.shortfall += threshold - quantity;
+      group.resources.push({
+        resource_id: item.resource_id,
+        resource_name: item.resource?.name,
+        location_name: item.resource?.location_name,
+        item_id: item.id,
+        quantity,
+        reorder_threshold: threshold,
+        shortfall: threshold - quantity
+      });
+    }
+
+    const shortages = [...groups.values()].sort((a, b) => b.shortfall - a.shortfall);
+
+    logger.info(`Retrieved ${shortages.length} shortages for disaster ${disasterId}`);
+    res.json({
+      disaster_id: disasterId,
+      total_tracked_items: data.length,
+      low_stock_items: shortages.reduce((sum, group) => sum + group.resources.length, 0),
+      shortages
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
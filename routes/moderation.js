@@ -0,0 +1,408 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { requirePermission } from '../middleware/auth.js';
+import { hasPermission } from '../utils/permissions.js';
+import { recordReview, submissionScope } from '../utils/moderation.js';
+import { decodeCursor, encodeCursor, keysetFilter } from '../utils/pagination.js';
+import { disasterSchema, publishDisaster } from './disasters.js';
+import { publishResource, resourceSchema } from './resources.js';
+
+const router = express.Router();
+
+// Reviewers may hold moderation:review for one organization or disaster only;
+// the queue is filtered per submission
+const reviewerScope = { anyScope: true };
+
+const PAYLOAD_SCHEMAS = { disaster: disasterSchema, resource: resourceSchema };
+
+// Batches the queue reads looking for a page of submissions the reviewer may
+// review; a page can come back short, with a cursor, once they are used up
+const MAX_QUEUE_BATCHES = 10;
+
+// Validation schemas
+const listSubmissionsSchema = Joi.object({
+  status: Joi.string().valid('pending', 'approved', 'rejected').default('pending'),
+  kind: Joi.string().valid('disaster', 'resource'),
+  disaster_id: Joi.string().guid(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  cursor: Joi.string()
+});
+
+const mySubmissionsSchema = Joi.object({
+  status: Joi.string().valid('pending', 'approved', 'rejected'),
+  limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+const editSubmissionSchema = Joi.object({
+  payload: Joi.object().required()
+});
+
+const approveSchema = Joi.object({
+  // Corrections made while approving
+  payload: Joi.object()
+});
+
+const rejectSchema = Joi.object({
+  reason: Joi.string().required().min(3).max(1000)
+});
+
+const trustSchema = Joi.object({
+  trust_level: Joi.string().valid('restricted', 'new', 'trusted').required()
+});
+
+const validatePayload = (kind, payload) => {
+  const { error, value } = PAYLOAD_SCHEMAS[kind].validate(payload);
+  if (error) throw error;
+  return value;
+};
+
+// Moving a disaster submission to another organization needs the right to
+// create disasters there, as submitting it did. Answers 403 and returns false
+// otherwise.
+async function checkOrganizationChange(req, res, submission, payload) {
+  const organizationId = payload.organization_id || null;
+  if (submission.kind !== 'disaster' || organizationId === (submission.payload.organization_id || null)) {
+    return true;
+  }
+
+  if (!await hasPermission(req, 'disasters:create', { organizationId })) {
+    res.status(403).json({ error: 'Permission denied', permission: 'disasters:create' });
+    return false;
+  }
+  return true;
+}
+
+const canReview = (req, submission) => hasPermission(req, 'moderation:review', submissionScope(submission));
+
+async function loadSubmission(req, res) {
+  const { data, error } = await supabase
+    .from('submissions')
+    .select('*')
+    .eq('id', req.params.submissionId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!data) {
+    res.status(404).json({ error: 'Submission not found' });
+    return null;
+  }
+  return data;
+}
+
+// Loads a submission the caller may review, answering 404/403 otherwise
+async function loadReviewableSubmission(req, res) {
+  const submission = await loadSubmission(req, res);
+  if (!submission) return null;
+
+  if (!await canReview(req, submission)) {
+    res.status(403).json({ error: 'Permission denied', permission: 'moderation:review' });
+    return null;
+  }
+  return submission;
+}
+
+// Mark a pending submission as reviewed. Returns null when another reviewer
+// got there first.
+async function claimSubmission(req, submissionId, fields) {
+  const { data, error } = await supabase
+    .from('submissions')
+    .update({
+      ...fields,
+      reviewed_by: req.user.id,
+      reviewed_at: new Date().toISOString()
+    })
+    .eq('id', submissionId)
+    .eq('status', 'pending')
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+// GET /moderation/submissions - The review queue, oldest first
+router.get('/submissions', requirePermission('moderation:review', { scope: () => reviewerScope }), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = listSubmissionsSchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    let after = null;
+    if (value.cursor) {
+      after = decodeCursor(value.cursor);
+      if (!after) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    // Reviewers scoped to some organizations or disasters may not review most
+    // of the queue, so read it in batches until a page of reviewable
+    // submissions is found. `last` is the last submission looked at; the next
+    // page starts after it.
+    const reviewable = [];
+    let last = null;
+    let more = true;
+    for (let batch = 0; batch < MAX_QUEUE_BATCHES && more && reviewable.length < value.limit; batch++) {
+      let query = supabase
+        .from('submissions')
+        .select('*')
+        .eq('status', value.status)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(value.limit);
+
+      if (value.kind) {
+        query = query.eq('kind', value.kind);
+      }
+      if (value.disaster_id) {
+        query = query.eq('disaster_id', value.disaster_id);
+      }
+      if (after) {
+        query = query.or(keysetFilter('created_at', true, after));
+      }
+
+      const { data, error } = await query;
+
+      if (error) throw error;
+
+      more = data.length === value.limit;
+      for (const submission of data) {
+        if (reviewable.length === value.limit) {
+          more = true;
+          break;
+        }
+        last = submission;
+        if (await canReview(req, submission)) {
+          reviewable.push(submission);
+        }
+      }
+
+      if (last) {
+        after = { v: last.created_at, id: last.id };
+      }
+    }
+
+    if (more && last) {
+      const nextCursor = encodeCursor(last, 'created_at');
+      res.set('X-Next-Cursor', nextCursor);
+      const params = new URLSearchParams({ ...req.query, cursor: nextCursor });
+      res.set('Link', `<${req.baseUrl}${req.path}?${params}>; rel="next"`);
+    }
+
+    res.json(reviewable);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /moderation/submissions/mine - The caller's own submissions and their outcome
+router.get('/submissions/mine', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = mySubmissionsSchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    let query = supabase
+      .from('submissions')
+      .select('*')
+      .eq('submitted_by', req.user.id)
+      .order('created_at', { ascending: false })
+      .limit(value.limit);
+
+    if (value.status) {
+      query = query.eq('status', value.status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /moderation/submissions/:submissionId - Visible to the submitter and its reviewers
+router.get('/submissions/:submissionId', async (req, res, next) => {
+  try {
+    const submission = await loadSubmission(req, res);
+    if (!submission) return;
+
+    if (submission.submitted_by !== req.user.id && !await canReview(req, submission)) {
+      return res.status(403).json({ error: 'Permission denied', permission: 'moderation:review' });
+    }
+
+    res.json(submission);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /moderation/submissions/:submissionId - Correct a pending submission's payload
+router.patch('/submissions/:submissionId', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = editSubmissionSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const submission = await loadSubmission(req, res);
+    if (!submission) return;
+
+    if (submission.submitted_by !== req.user.id && !await canReview(req, submission)) {
+      return res.status(403).json({ error: 'Permission denied', permission: 'moderation:review' });
+    }
+
+    const payload = validatePayload(submission.kind, value.payload);
+
+    if (!await checkOrganizationChange(req, res, submission, payload)) return;
+
+    const { data, error } = await supabase
+      .from('submissions')
+      .update({ payload })
+      .eq('id', submission.id)
+      .eq('status', 'pending')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(409).json({ error: 'Submission has already been reviewed' });
+    }
+
+    logger.info(`Edited submission ${data.id} by ${req.user.id}`);
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /moderation/submissions/:submissionId/approve - Publish a submission
+router.post('/submissions/:submissionId/approve', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = approveSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const pending = await loadReviewableSubmission(req, res);
+    if (!pending) return;
+
+    const payload = validatePayload(pending.kind, value.payload || pending.payload);
+    if (!await checkOrganizationChange(req, res, pending, payload)) return;
+
+    const submission = await claimSubmission(req, pending.id, { status: 'approved', payload });
+    if (!submission) {
+      return res.status(409).json({ error: 'Submission has already been reviewed' });
+    }
+
+    let published;
+    try {
+      published = submission.kind === 'disaster'
+        ? await publishDisaster(req, payload, submission)
+        : await publishResource(req, submission.disaster_id, payload, submission);
+    } catch (publishError) {
+      // Put it back in the queue so it can be retried or rejected
+      await supabase
+        .from('submissions')
+        .update({ status: 'pending', reviewed_by: null, reviewed_at: null })
+        .eq('id', submission.id);
+
+      // The organization or disaster was deleted while the submission waited
+      if (publishError.code === '23503') {
+        return res.status(409).json({ error: 'The organization or disaster this submission belongs to no longer exists' });
+      }
+      throw publishError;
+    }
+
+    const { data, error } = await supabase
+      .from('submissions')
+      .update({ published_id: published.id })
+      .eq('id', submission.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await recordReview(req, data);
+
+    logger.info(`Approved ${data.kind} submission ${data.id} as ${published.id} by ${req.user.id}`);
+    res.json({ submission: data, published });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /moderation/submissions/:submissionId/reject - Reject a submission with a reason
+router.post('/submissions/:submissionId/reject', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = rejectSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const pending = await loadReviewableSubmission(req, res);
+    if (!pending) return;
+
+    const submission = await claimSubmission(req, pending.id, { status: 'rejected', reason: value.reason });
+    if (!submission) {
+      return res.status(409).json({ error: 'Submission has already been reviewed' });
+    }
+
+    await recordReview(req, submission);
+
+    logger.info(`Rejected ${submission.kind} submission ${submission.id} by ${req.user.id}: ${value.reason}`);
+    res.json(submission);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Trust levels are global, so changing them needs moderation:trust outside any scope
+const requireTrustManager = requirePermission('moderation:trust', { scope: () => ({}) });
+
+// GET /moderation/trust/:userId - A user's trust level and review record
+router.get('/trust/:userId', requireTrustManager, async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('users')
+      .select('id, trust_level, approved_submissions, rejected_submissions')
+      .eq('id', req.params.userId)
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /moderation/trust/:userId - Set a user's trust level
+router.put('/trust/:userId', requireTrustManager, async (req, res, next) => {
+  try {
+    const { error: validationError, value } = trustSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const { data, error } = await supabase
+      .from('users')
+      .update({ trust_level: value.trust_level })
+      .eq('id', req.params.userId)
+      .select('id, trust_level, approved_submissions, rejected_submissions')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    logger.info(`Set trust level of ${data.id} to ${data.trust_level} by ${req.user.id}`);
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
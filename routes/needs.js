@@ -0,0 +1,497 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { requirePermission } from '../middleware/auth.js';
+import { canModify } from '../utils/permissions.js';
+import { auditActor } from '../utils/auditTrail.js';
+import { redactFor } from '../utils/redaction.js';
+import { geocodeLocation } from './geocoding.js';
+import { toResourceRow } from './resources.js';
+
+const router = express.Router();
+
+const NEED_CATEGORIES = ['shelter', 'food', 'water', 'medical', 'transport', 'rescue', 'supplies', 'other'];
+const NEED_STATUSES = ['open', 'matched', 'fulfilled', 'closed'];
+
+// Resource types that can serve each need category, best fit first
+const CATEGORY_RESOURCE_TYPES = {
+  shelter: ['shelter'],
+  food: ['food', 'distribution', 'shelter'],
+  water: ['water', 'distribution', 'shelter'],
+  medical: ['medical', 'hospital', 'clinic'],
+  transport: ['transport', 'evacuation'],
+  rescue: ['rescue'],
+  supplies: ['supplies', 'distribution', 'shelter'],
+  other: []
+};
+
+// Match ranking: type fit, proximity within the search radius and room to take
+// the requested quantity
+const MATCH_WEIGHTS = { type: 0.4, distance: 0.35, capacity: 0.25 };
+const DEFAULT_MATCH_RADIUS = 25000;
+
+// Validation schemas
+const needFields = {
+  category: Joi.string().valid(...NEED_CATEGORIES),
+  description: Joi.string().max(1000),
+  quantity: Joi.number().integer().min(1),
+  urgency: Joi.string().valid('low', 'medium', 'high', 'critical'),
+  location_name: Joi.string().max(200),
+  latitude: Joi.number().min(-90).max(90),
+  longitude: Joi.number().min(-180).max(180)
+};
+
+const needSchema = Joi.object({
+  ...needFields,
+  category: needFields.category.required(),
+  description: needFields.description.required(),
+  quantity: needFields.quantity.default(1),
+  urgency: needFields.urgency.default('medium'),
+  location_name: needFields.location_name.required()
+}).and('latitude', 'longitude');
+
+const patchNeedSchema = Joi.object(needFields).and('latitude', 'longitude').min(1);
+
+const listNeedsSchema = Joi.object({
+  status: Joi.string().valid(...NEED_STATUSES),
+  category: Joi.string().valid(...NEED_CATEGORIES),
+  urgency: Joi.string().valid('low', 'medium', 'high', 'critical'),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const matchQuerySchema = Joi.object({
+  radius: Joi.number().integer().min(100).max(500000).default(DEFAULT_MATCH_RADIUS),
+  limit: Joi.number().integer().min(1).max(50).default(10),
+  any_type: Joi.boolean().default(false)
+});
+
+const acceptSchema = Joi.object({
+  resource_id: Joi.string().guid().required(),
+  note: Joi.string().max(500)
+});
+
+const noteSchema = Joi.object({
+  note: Joi.string().max(500)
+});
+
+function scoreMatch(need, candidate, radius) {
+  const preferred = CATEGORY_RESOURCE_TYPES[need.category] || [];
+  const typeIndex = preferred.indexOf(candidate.type);
+  // Best-fit type scores 1, later fits a little less, anything else 0.2
+  const typeScore = typeIndex === -1 ? 0.2 : 1 - typeIndex * 0.15;
+
+  const distanceScore = Math.max(0, 1 - candidate.distance_m / radius);
+
+  let remaining = null;
+  let capacityScore = 0.5; // capacity unknown
+  if (candidate.capacity !== null && candidate.capacity !== undefined) {
+    remaining = Math.max(0, candidate.capacity - (candidate.current_occupancy || 0));
+    capacityScore = remaining >= need.quantity ? 1 : 0.7 * (remaining / need.quantity);
+  }
+  if (candidate.status === 'full') {
+    capacityScore = 0;
+  }
+
+  const score = MATCH_WEIGHTS.type * typeScore +
+    MATCH_WEIGHTS.distance * distanceScore +
+    MATCH_WEIGHTS.capacity * capacityScore;
+
+  return {
+    ...candidate,
+    remaining_capacity: remaining,
+    type_match: typeIndex !== -1,
+    score: Math.round(score * 1000) / 1000,
+    score_breakdown: {
+      type: Math.round(typeScore * 100) / 100,
+      distance: Math.round(distanceScore * 100) / 100,
+      capacity: Math.round(capacityScore * 100) / 100
+    }
+  };
+}
+
+async function loadNeed(req, res) {
+  const { disasterId, needId } = req.params;
+
+  const { data, error } = await supabase
+    .from('needs')
+    .select('*')
+    .eq('id', needId)
+    .eq('disaster_id', disasterId)
+    .single();
+
+  if (error) throw error;
+
+  if (!data) {
+    res.status(404).json({ error: 'Need not found' });
+    return null;
+  }
+
+  return data;
+}
+
+// Move a need to a new status, recording the step in its audit trail
+async function transitionNeed(req, need, status, extra = {}, note) {
+  const entry = {
+    action: 'status_change',
+    ...auditActor(req),
+    timestamp: new Date().toISOString(),
+    from: need.status,
+    to: status,
+    ...(extra.matched_resource_id && { resource_id: extra.matched_resource_id }),
+    ...(note && { note })
+  };
+
+  const { data, error } = await supabase
+    .from('needs')
+    .update({
+      ...extra,
+      status,
+      audit_trail: [...(need.audit_trail || []), entry]
+    })
+    .eq('id', need.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  logger.info(`Need ${need.id} ${need.status} -> ${status} by ${req.user.id}`);
+  return data;
+}
+
+// GET /disasters/:id/needs - List needs for a disaster
+router.get('/:disasterId/needs', async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { error: validationError, value } = listNeedsSchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    const { status, category, urgency, limit, offset } = value;
+
+    let query = supabase
+      .from('needs')
+      .select('*', { count: 'exact' })
+      .eq('disaster_id', disasterId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (category) {
+      query = query.eq('category', category);
+    }
+
+    if (urgency) {
+      query = query.eq('urgency', urgency);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    logger.info(`Retrieved ${data.length} needs for disaster ${disasterId}`);
+    res.json({
+      disaster_id: disasterId,
+      total_needs: count,
+      limit,
+      offset,
+      needs: await redactFor(req, 'need', data)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /disasters/:id/needs/:needId - Get a specific need
+router.get('/:disasterId/needs/:needId', async (req, res, next) => {
+  try {
+    const need = await loadNeed(req, res);
+    if (!need) return;
+
+    logger.info(`Retrieved need: ${need.id}`);
+    res.json(await redactFor(req, 'need', need));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /disasters/:id/needs - Post a need
+router.post('/:disasterId/needs', requirePermission('needs:create'), async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { error: validationError, value } = needSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    let { latitude, longitude, ...fields } = value;
+
+    // Matching is spatial, so fall back to geocoding the location name
+    if (latitude === undefined) {
+      const geocoded = await geocodeLocation(fields.location_name);
+      latitude = geocoded.latitude ?? undefined;
+      longitude = geocoded.longitude ?? undefined;
+    }
+
+    const needData = {
+      ...fields,
+      disaster_id: disasterId,
+      requested_by: req.user.id,
+      audit_trail: [{
+        action: 'create',
+        ...auditActor(req),
+        timestamp: new Date().toISOString()
+      }]
+    };
+
+    if (latitude !== undefined && longitude !== undefined) {
+      needData.location = `POINT(${longitude} ${latitude})`;
+    }
+
+    const { data, error } = await supabase
+      .from('needs')
+      .insert(needData)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Created need: ${data.id} (${data.category} x${data.quantity}) for disaster ${disasterId} by ${req.user.id}`);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('need_created', data);
+
+    res.status(201).json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /disasters/:id/needs/:needId - Edit a need's details or location (requester, or needs:manage)
+router.patch('/:disasterId/needs/:needId', async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { error: validationError, value } = patchNeedSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const need = await loadNeed(req, res);
+    if (!need) return;
+
+    if (!await canModify(req, need.requested_by, 'needs:manage', { disasterId })) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    if (['fulfilled', 'closed'].includes(need.status)) {
+      return res.status(409).json({ error: `Cannot edit a ${need.status} need` });
+    }
+
+    let { latitude, longitude, ...changes } = value;
+
+    // A new place name without coordinates is geocoded; if that fails the old
+    // point no longer describes the need, so it is cleared
+    if (latitude === undefined && changes.location_name !== undefined) {
+      const geocoded = await geocodeLocation(changes.location_name);
+      latitude = geocoded.latitude ?? undefined;
+      longitude = geocoded.longitude ?? undefined;
+      changes.location = null;
+    }
+
+    if (latitude !== undefined && longitude !== undefined) {
+      changes.location = `POINT(${longitude} ${latitude})`;
+    }
+
+    const entry = {
+      action: 'update',
+      ...auditActor(req),
+      timestamp: new Date().toISOString(),
+      fields: Object.keys(changes)
+    };
+
+    const { data, error } = await supabase
+      .from('needs')
+      .update({
+        ...changes,
+        audit_trail: [...(need.audit_trail || []), entry]
+      })
+      .eq('id', need.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Updated need: ${data.id} by ${req.user.id}`);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('need_updated', data);
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /disasters/:id/needs/:needId/matches - Candidate resources ranked for a need
+router.get('/:disasterId/needs/:needId/matches', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = matchQuerySchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    const need = await loadNeed(req, res);
+    if (!need) return;
+
+    if (!need.location) {
+      return res.status(400).json({ error: 'Need has no location; set its coordinates or location_name with PATCH to find matches' });
+    }
+
+    const { data, error } = await supabase.rpc('match_resources_for_need', {
+      target_need_id: need.id,
+      radius_meters: value.radius
+    });
+
+    if (error) throw error;
+
+    const preferred = CATEGORY_RESOURCE_TYPES[need.category] || [];
+    const matches = data
+      .filter(candidate => value.any_type || preferred.length === 0 || preferred.includes(candidate.type))
+      .map(candidate => scoreMatch(need, candidate, value.radius))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, value.limit);
+
+    logger.info(`Found ${matches.length} matches for need ${need.id}`);
+    res.json({
+      need_id: need.id,
+      category: need.category,
+      quantity: need.quantity,
+      search_radius: value.radius,
+      matches
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /disasters/:id/needs/:needId/accept - Assign a resource to the need (needs:manage)
+router.post('/:disasterId/needs/:needId/accept', requirePermission('needs:manage'), async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { error: validationError, value } = acceptSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const need = await loadNeed(req, res);
+    if (!need) return;
+
+    if (!['open', 'matched'].includes(need.status)) {
+      return res.status(409).json({ error: `Cannot match a ${need.status} need` });
+    }
+
+    const { data: resource, error: resourceError } = await supabase
+      .from('resources')
+      .select('id, name, status')
+      .eq('id', value.resource_id)
+      .eq('disaster_id', disasterId)
+      .maybeSingle();
+
+    if (resourceError) throw resourceError;
+
+    if (!resource) {
+      return res.status(404).json({ error: 'Resource not found' });
+    }
+
+    if (resource.status === 'closed') {
+      return res.status(409).json({ error: 'Resource is closed' });
+    }
+
+    const data = await transitionNeed(req, need, 'matched', { matched_resource_id: resource.id }, value.note);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('need_matched', { need: data, resource });
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /disasters/:id/needs/:needId/fulfil - Mark a matched need as served (needs:manage)
+router.post('/:disasterId/needs/:needId/fulfil', requirePermission('needs:manage'), async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { error: validationError, value } = noteSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const need = await loadNeed(req, res);
+    if (!need) return;
+
+    if (need.status !== 'matched') {
+      return res.status(409).json({ error: `Only matched needs can be fulfilled (need is ${need.status})` });
+    }
+
+    // Served people or units now take up room at a capacity-tracked resource.
+    // The matched resource may since have been deleted.
+    let resource = null;
+    if (need.matched_resource_id) {
+      const { data, error: resourceError } = await supabase
+        .from('resources')
+        .select('*')
+        .eq('id', need.matched_resource_id)
+        .maybeSingle();
+
+      if (resourceError) throw resourceError;
+      resource = data;
+    }
+
+    if (resource && resource.capacity !== null) {
+      const { data: updatedResource, error: updateError } = await supabase
+        .from('resources')
+        .update(toResourceRow({ current_occupancy: resource.current_occupancy + need.quantity }, resource))
+        .eq('id', resource.id)
+        .select()
+        .single();
+
+      if (updateError) throw updateError;
+
+      req.io.to(`disaster_${disasterId}`).emit('resource_updated', updatedResource);
+    }
+
+    const data = await transitionNeed(req, need, 'fulfilled', {}, value.note);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('need_fulfilled', data);
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /disasters/:id/needs/:needId/close - Close a need (requester, or needs:manage)
+router.post('/:disasterId/needs/:needId/close', async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { error: validationError, value } = noteSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const need = await loadNeed(req, res);
+    if (!need) return;
+
+    if (!await canModify(req, need.requested_by, 'needs:manage', { disasterId })) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    if (need.status === 'closed') {
+      return res.status(409).json({ error: 'Need is already closed' });
+    }
+
+    const data = await transitionNeed(req, need, 'closed', {}, value.note);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('need_closed', data);
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,139 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { requirePermission } from '../middleware/auth.js';
+import { hasPermission } from '../utils/permissions.js';
+
+const router = express.Router();
+
+// Validation schemas
+const organizationSchema = Joi.object({
+  name: Joi.string().required().min(2).max(200),
+  description: Joi.string().max(2000).allow('', null)
+});
+
+const patchOrganizationSchema = organizationSchema.fork(['name'], field => field.optional()).min(1);
+
+const organizationScope = req => ({ organizationId: req.params.organizationId });
+
+// GET /organizations - List organizations
+router.get('/', async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('organizations')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+
+    logger.info(`Retrieved ${data.length} organizations`);
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /organizations/:organizationId - An organization with its disasters, and
+// its members for those who may grant roles in it
+router.get('/:organizationId', async (req, res, next) => {
+  try {
+    const { organizationId } = req.params;
+
+    const { data, error } = await supabase
+      .from('organizations')
+      .select(`
+        *,
+        disasters(id, title, status)
+      `)
+      .eq('id', organizationId)
+      .single();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    if (await hasPermission(req, 'roles:grant', { organizationId })) {
+      const { data: members, error: membersError } = await supabase
+        .from('role_assignments')
+        .select(`
+          *,
+          user:users(id, name, role)
+        `)
+        .eq('organization_id', organizationId)
+        .order('created_at', { ascending: true });
+
+      if (membersError) throw membersError;
+      data.members = members;
+    }
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /organizations - Create an organization (organizations:manage)
+router.post('/', requirePermission('organizations:manage', { scope: () => ({}) }), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = organizationSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const { data, error } = await supabase
+      .from('organizations')
+      .insert({
+        ...value,
+        created_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `Organization "${value.name}" already exists` });
+      }
+      throw error;
+    }
+
+    logger.info(`Created organization: ${data.id} (${data.name}) by ${req.user.id}`);
+    res.status(201).json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /organizations/:organizationId - Rename or describe an organization (organizations:manage)
+router.patch('/:organizationId', requirePermission('organizations:manage', { scope: organizationScope }), async (req, res, next) => {
+  try {
+    const { organizationId } = req.params;
+    const { error: validationError, value } = patchOrganizationSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const { data, error } = await supabase
+      .from('organizations')
+      .update(value)
+      .eq('id', organizationId)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `Organization "${value.name}" already exists` });
+      }
+      throw error;
+    }
+
+    if (!data) {
+      return res.status(404).json({ error: 'Organization not found' });
+    }
+
+    logger.info(`Updated organization: ${organizationId} by ${req.user.id}`);
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,589 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { canModify, hasPermission } from '../utils/permissions.js';
+
+const router = express.Router();
+
+const PERSON_STATUSES = ['registered', 'checked_in', 'checked_out'];
+
+// Trigram similarity thresholds: searches cast a wider net than the automatic
+// "looking for" notifications, which should rarely fire on the wrong person
+const SEARCH_MIN_SIMILARITY = 0.35;
+const NOTIFY_MIN_SIMILARITY = 0.5;
+
+const personFields = {
+  full_name: Joi.string().max(200),
+  age: Joi.number().integer().min(0).max(149).allow(null),
+  gender: Joi.string().max(50).allow('', null),
+  description: Joi.string().max(1000).allow('', null),
+  contact_info: Joi.string().max(500).allow('', null)
+};
+
+// Validation schemas
+const registerPersonSchema = Joi.object({
+  ...personFields,
+  full_name: personFields.full_name.required(),
+  // Check the person in to this shelter straight away
+  resource_id: Joi.string().guid(),
+  note: Joi.string().max(500)
+});
+
+const patchPersonSchema = Joi.object(personFields).min(1);
+
+const listPersonsSchema = Joi.object({
+  status: Joi.string().valid(...PERSON_STATUSES),
+  resource_id: Joi.string().guid(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const checkInSchema = Joi.object({
+  resource_id: Joi.string().guid().required(),
+  note: Joi.string().max(500)
+});
+
+const noteSchema = Joi.object({
+  note: Joi.string().max(500)
+});
+
+const searchQuerySchema = Joi.object({
+  name: Joi.string().min(2).max(200).required(),
+  disaster_id: Joi.string().guid(),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+const lookingForSchema = Joi.object({
+  full_name: Joi.string().min(2).max(200).required(),
+  disaster_id: Joi.string().guid(),
+  contact_info: Joi.string().max(500).allow('', null),
+  note: Joi.string().max(500)
+});
+
+// What a caller without persons:read may learn about a person: the name and which shelter they
+// are in, never their contact details, description or exact location
+const toPublicMatch = (person, shelter, similarity) => ({
+  full_name: person.full_name,
+  status: person.status,
+  shelter_name: person.status === 'checked_in' && shelter ? shelter.name : null,
+  ...(similarity !== undefined && { similarity })
+});
+
+async function loadPerson(req, res) {
+  const { disasterId, personId } = req.params;
+
+  const { data, error } = await supabase
+    .from('displaced_persons')
+    .select('*')
+    .eq('id', personId)
+    .eq('disaster_id', disasterId)
+    .single();
+
+  if (error) throw error;
+
+  if (!data) {
+    res.status(404).json({ error: 'Person not found' });
+    return null;
+  }
+
+  return data;
+}
+
+// Load a shelter in this disaster and check the caller runs it (creator or persons:manage)
+async function loadShelter(req, res, resourceId) {
+  const { disasterId } = req.params;
+
+  const { data, error } = await supabase
+    .from('resources')
+    .select('*')
+    .eq('id', resourceId)
+    .eq('disaster_id', disasterId)
+    .single();
+
+  if (error) throw error;
+
+  if (!data) {
+    res.status(404).json({ error: 'Resource not found' });
+    return null;
+  }
+
+  if (!await canModify(req, data.created_by, 'persons:manage', { disasterId })) {
+    res.status(403).json({ error: 'Permission denied' });
+    return null;
+  }
+
+  return data;
+}
+
+// People checked in or out change the shelter's occupancy; the RPC adds the
+// change in one statement so concurrent movements are all counted
+async function adjustOccupancy(req, resourceId, delta) {
+  const { disasterId } = req.params;
+
+  const { data, error } = await supabase
+    .rpc('adjust_resource_occupancy', { target_resource_id: resourceId, delta })
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return;
+
+  req.io.to(`disaster_${disasterId}`).emit('resource_updated', data);
+}
+
+// Tell anyone looking for this person that they have checked in
+async function notifySearchers(req, person, shelter) {
+  const { data: matches, error } = await supabase.rpc('match_person_searches', {
+    target_person_id: person.id,
+    min_similarity: NOTIFY_MIN_SIMILARITY
+  });
+
+  if (error) throw error;
+
+  for (const match of matches) {
+    const { data: search, error: updateError } = await supabase
+      .from('person_searches')
+      .update({
+        status: 'matched',
+        matched_person_id: person.id,
+        matched_at: new Date().toISOString()
+      })
+      .eq('id', match.search_id)
+      .eq('status', 'active')
+      .select()
+      .maybeSingle();
+
+    if (updateError) throw updateError;
+    // Already matched (or cancelled) since the RPC ran
+    if (!search) continue;
+
+    logger.info(`Person search ${search.id} matched person ${person.id} (similarity ${match.name_similarity})`);
+
+    req.io.to(`user_${search.requested_by}`).emit('person_search_matched', {
+      search_id: search.id,
+      looking_for: search.full_name,
+      match: toPublicMatch(person, shelter, match.name_similarity)
+    });
+  }
+}
+
+// A new search may be for someone who is already checked in; match it against
+// them straight away, as check-in would have. Returns the matched search with
+// its public `match`, or null.
+async function matchNewSearch(search) {
+  const { data: matches, error } = await supabase.rpc('match_search_persons', {
+    target_search_id: search.id,
+    min_similarity: NOTIFY_MIN_SIMILARITY
+  });
+
+  if (error) throw error;
+  if (matches.length === 0) return null;
+
+  const [best] = matches;
+  const { data: person, error: personError } = await supabase
+    .from('displaced_persons')
+    .select(`
+      *,
+      shelter:resources(name)
+    `)
+    .eq('id', best.person_id)
+    .maybeSingle();
+
+  if (personError) throw personError;
+  if (!person) return null;
+
+  const { data: matched, error: updateError } = await supabase
+    .from('person_searches')
+    .update({
+      status: 'matched',
+      matched_person_id: person.id,
+      matched_at: new Date().toISOString()
+    })
+    .eq('id', search.id)
+    .eq('status', 'active')
+    .select()
+    .maybeSingle();
+
+  if (updateError) throw updateError;
+  // Matched by a check-in since the RPC ran
+  if (!matched) return null;
+
+  logger.info(`Person search ${matched.id} matched person ${person.id} on registration (similarity ${best.name_similarity})`);
+  return { ...matched, match: toPublicMatch(person, person.shelter, best.name_similarity) };
+}
+
+// Check a person in or out through record_person_movement and keep shelter
+// occupancy in step
+async function recordMovement(req, res, person, kind, shelter, note) {
+  const { data, error } = await supabase.rpc('record_person_movement', {
+    target_person_id: person.id,
+    movement_kind: kind,
+    target_resource_id: shelter ? shelter.id : null,
+    movement_note: note || null,
+    actor_id: req.user.id
+  });
+
+  if (error) {
+    if (error.code === 'P0001') {
+      res.status(409).json({ error: error.message });
+      return null;
+    }
+    if (error.code === 'P0002') {
+      res.status(404).json({ error: 'Person not found' });
+      return null;
+    }
+    throw error;
+  }
+
+  const { person: updated, movements, previous_resource_id } = data;
+
+  logger.info(`Person ${person.id} ${kind === 'check_in' ? `checked in to ${shelter.id}` : 'checked out'} by ${req.user.id}`);
+
+  if (previous_resource_id) {
+    await adjustOccupancy(req, previous_resource_id, -1);
+  }
+
+  if (kind === 'check_in') {
+    await adjustOccupancy(req, shelter.id, 1);
+    await notifySearchers(req, updated, shelter);
+  }
+
+  return { person: updated, movements };
+}
+
+// GET /persons/search?name= - Fuzzy name search across the registry
+router.get('/search', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = searchQuerySchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    const { data: hits, error: searchError } = await supabase.rpc('search_displaced_persons', {
+      search_name: value.name,
+      target_disaster_id: value.disaster_id || null,
+      min_similarity: SEARCH_MIN_SIMILARITY,
+      max_results: value.limit
+    });
+
+    if (searchError) throw searchError;
+
+    let results = [];
+    if (hits.length > 0) {
+      const { data, error } = await supabase
+        .from('displaced_persons')
+        .select(`
+          *,
+          shelter:resources(id, name, location_name, contact_info)
+        `)
+        .in('id', hits.map(hit => hit.person_id));
+
+      if (error) throw error;
+
+      const persons = new Map(data.map(person => [person.id, person]));
+      // Without a disaster only global roles count
+      const fullRecords = await hasPermission(req, 'persons:read', { disasterId: value.disaster_id });
+
+      results = hits
+        .filter(hit => persons.has(hit.person_id))
+        .map(hit => {
+          const person = persons.get(hit.person_id);
+          return fullRecords
+            ? { ...person, similarity: hit.name_similarity }
+            : toPublicMatch(person, person.shelter, hit.name_similarity);
+        });
+    }
+
+    logger.info(`Person search by ${req.user.id} returned ${results.length} matches`);
+    res.json({ query: value.name, results });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /persons/searches - Register a "looking for" search
+router.post('/searches', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = lookingForSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const { data, error } = await supabase
+      .from('person_searches')
+      .insert({ ...value, requested_by: req.user.id })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Registered person search ${data.id} by ${req.user.id}`);
+
+    const matched = await matchNewSearch(data);
+    res.status(201).json(matched || { ...data, match: null });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /persons/searches/mine - The caller's "looking for" searches and their matches
+router.get('/searches/mine', async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('person_searches')
+      .select(`
+        *,
+        matched_person:displaced_persons(full_name, status, shelter:resources(name))
+      `)
+      .eq('requested_by', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json(data.map(({ matched_person, ...search }) => ({
+      ...search,
+      match: matched_person ? toPublicMatch(matched_person, matched_person.shelter) : null
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /persons/searches/:searchId - Cancel a search (requester or persons:manage)
+router.delete('/searches/:searchId', async (req, res, next) => {
+  try {
+    const { searchId } = req.params;
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('person_searches')
+      .select('id, requested_by, disaster_id')
+      .eq('id', searchId)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Search not found' });
+    }
+
+    if (!await canModify(req, existing.requested_by, 'persons:manage', { disasterId: existing.disaster_id })) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const { data, error } = await supabase
+      .from('person_searches')
+      .update({ status: 'cancelled' })
+      .eq('id', searchId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Cancelled person search ${searchId} by ${req.user.id}`);
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /persons/:disasterId/persons - List the registry (persons:read, or a shelter's own roster)
+router.get('/:disasterId/persons', async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { error: validationError, value } = listPersonsSchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    const { status, resource_id, limit, offset } = value;
+
+    if (!await hasPermission(req, 'persons:read', { disasterId })) {
+      if (!resource_id) {
+        return res.status(403).json({ error: 'Permission denied', permission: 'persons:read' });
+      }
+      const shelter = await loadShelter(req, res, resource_id);
+      if (!shelter) return;
+    }
+
+    let query = supabase
+      .from('displaced_persons')
+      .select('*', { count: 'exact' })
+      .eq('disaster_id', disasterId)
+      .order('full_name', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (resource_id) {
+      query = query.eq('current_resource_id', resource_id);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    logger.info(`Retrieved ${data.length} registered persons for disaster ${disasterId}`);
+    res.json({
+      disaster_id: disasterId,
+      total_persons: count,
+      limit,
+      offset,
+      persons: data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /persons/:disasterId/persons - Register a person, optionally checking them in
+router.post('/:disasterId/persons', async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { error: validationError, value } = registerPersonSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const { resource_id, note, ...fields } = value;
+
+    let shelter = null;
+    if (resource_id) {
+      shelter = await loadShelter(req, res, resource_id);
+      if (!shelter) return;
+
+      if (shelter.status === 'closed') {
+        return res.status(409).json({ error: 'Shelter is closed' });
+      }
+    } else if (!await hasPermission(req, 'persons:manage', { disasterId })) {
+      return res.status(403).json({ error: 'Permission denied', permission: 'persons:manage' });
+    }
+
+    const { data: person, error } = await supabase
+      .from('displaced_persons')
+      .insert({
+        ...fields,
+        disaster_id: disasterId,
+        registered_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Registered person ${person.id} for disaster ${disasterId} by ${req.user.id}`);
+
+    if (!shelter) {
+      return res.status(201).json(person);
+    }
+
+    const result = await recordMovement(req, res, person, 'check_in', shelter, note);
+    if (!result) return;
+
+    res.status(201).json(result.person);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /persons/:disasterId/persons/:personId - A person with their movement history (registrant or persons:read)
+router.get('/:disasterId/persons/:personId', async (req, res, next) => {
+  try {
+    const person = await loadPerson(req, res);
+    if (!person) return;
+
+    if (!await canModify(req, person.registered_by, 'persons:read', { disasterId: person.disaster_id })) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const { data: movements, error } = await supabase
+      .from('person_movements')
+      .select(`
+        *,
+        shelter:resources(id, name)
+      `)
+      .eq('person_id', person.id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ ...person, movements });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /persons/:disasterId/persons/:personId - Correct a person's details (registrant or persons:manage)
+router.patch('/:disasterId/persons/:personId', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = patchPersonSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const person = await loadPerson(req, res);
+    if (!person) return;
+
+    if (!await canModify(req, person.registered_by, 'persons:manage', { disasterId: person.disaster_id })) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const { data, error } = await supabase
+      .from('displaced_persons')
+      .update(value)
+      .eq('id', person.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Updated person ${data.id} by ${req.user.id}`);
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /persons/:disasterId/persons/:personId/check-in - Check in to a shelter, or transfer between shelters
+router.post('/:disasterId/persons/:personId/check-in', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = checkInSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const person = await loadPerson(req, res);
+    if (!person) return;
+
+    const shelter = await loadShelter(req, res, value.resource_id);
+    if (!shelter) return;
+
+    if (shelter.status === 'closed') {
+      return res.status(409).json({ error: 'Shelter is closed' });
+    }
+
+    const result = await recordMovement(req, res, person, 'check_in', shelter, value.note);
+    if (!result) return;
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /persons/:disasterId/persons/:personId/check-out - Check out of the current shelter
+router.post('/:disasterId/persons/:personId/check-out', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = noteSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const person = await loadPerson(req, res);
+    if (!person) return;
+
+    if (person.status !== 'checked_in') {
+      return res.status(409).json({ error: 'Person is not checked in' });
+    }
+
+    // Staff of the shelter the person is leaving, or persons:manage
+    const shelter = await loadShelter(req, res, person.current_resource_id);
+    if (!shelter) return;
+
+    const result = await recordMovement(req, res, person, 'check_out', null, value.note);
+    if (!result) return;
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
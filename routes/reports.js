@@ -0,0 +1,223 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { recomputeSeverity } from '../utils/severity.js';
+import { canModify, hasPermission } from '../utils/permissions.js';
+import { requirePermission } from '../middleware/auth.js';
+import { redactFor } from '../utils/redaction.js';
+
+const router = express.Router();
+
+const VERIFICATION_STATUSES = ['pending', 'authentic', 'suspicious', 'error'];
+
+// Validation schemas
+const reportSchema = Joi.object({
+  content: Joi.string().required().max(2000),
+  image_url: Joi.string().uri().allow(null)
+});
+
+const updateReportSchema = Joi.object({
+  content: Joi.string().max(2000),
+  image_url: Joi.string().uri().allow(null),
+  verification_status: Joi.string().valid(...VERIFICATION_STATUSES)
+}).min(1);
+
+const listReportsSchema = Joi.object({
+  verification_status: Joi.string().valid(...VERIFICATION_STATUSES),
+  user_id: Joi.string(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// GET /disasters/:id/reports - List reports for a disaster
+router.get('/:disasterId/reports', async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { error: validationError, value } = listReportsSchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    const { verification_status, user_id, limit, offset } = value;
+
+    let query = supabase
+      .from('reports')
+      .select('*', { count: 'exact' })
+      .eq('disaster_id', disasterId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (verification_status) {
+      query = query.eq('verification_status', verification_status);
+    }
+
+    if (user_id) {
+      query = query.eq('user_id', user_id);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    logger.info(`Retrieved ${data.length} reports for disaster ${disasterId}`);
+    res.json({
+      disaster_id: disasterId,
+      total_reports: count,
+      limit,
+      offset,
+      reports: await redactFor(req, 'report', data)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /disasters/:id/reports/:reportId - Get a specific report
+router.get('/:disasterId/reports/:reportId', async (req, res, next) => {
+  try {
+    const { disasterId, reportId } = req.params;
+
+    const { data, error } = await supabase
+      .from('reports')
+      .select('*')
+      .eq('id', reportId)
+      .eq('disaster_id', disasterId)
+      .single();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    logger.info(`Retrieved report: ${data.id}`);
+    res.json(await redactFor(req, 'report', data));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /disasters/:id/reports - Submit a report for a disaster
+router.post('/:disasterId/reports', requirePermission('reports:create'), async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { error: validationError, value } = reportSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const { data, error } = await supabase
+      .from('reports')
+      .insert({
+        ...value,
+        disaster_id: disasterId,
+        user_id: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Created report: ${data.id} for disaster ${disasterId} by ${req.user.id}`);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('report_created', data);
+    recomputeSeverity(disasterId, req.io);
+
+    res.status(201).json(await redactFor(req, 'report', data));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /disasters/:id/reports/:reportId - Update a report
+router.put('/:disasterId/reports/:reportId', async (req, res, next) => {
+  try {
+    const { disasterId, reportId } = req.params;
+    const { error: validationError, value } = updateReportSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    // Check if report exists and user has permission
+    const { data: existing, error: fetchError } = await supabase
+      .from('reports')
+      .select('user_id')
+      .eq('id', reportId)
+      .eq('disaster_id', disasterId)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    // Verifiers may set the verification outcome without being able to edit the content
+    const editsContent = Object.keys(value).some(field => field !== 'verification_status');
+    if (editsContent && !await canModify(req, existing.user_id, 'reports:update', { disasterId })) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    if (value.verification_status && !await hasPermission(req, 'reports:verify', { disasterId })) {
+      return res.status(403).json({ error: 'Permission required to change verification status', permission: 'reports:verify' });
+    }
+
+    const { data, error } = await supabase
+      .from('reports')
+      .update(value)
+      .eq('id', reportId)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Updated report: ${data.id} by ${req.user.id}`);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('report_updated', data);
+    recomputeSeverity(disasterId, req.io);
+
+    res.json(await redactFor(req, 'report', data));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /disasters/:id/reports/:reportId - Delete a report (owner or admin)
+router.delete('/:disasterId/reports/:reportId', async (req, res, next) => {
+  try {
+    const { disasterId, reportId } = req.params;
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('reports')
+      .select('user_id')
+      .eq('id', reportId)
+      .eq('disaster_id', disasterId)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (!await canModify(req, existing.user_id, 'reports:delete', { disasterId })) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const { error } = await supabase
+      .from('reports')
+      .delete()
+      .eq('id', reportId);
+
+    if (error) throw error;
+
+    logger.info(`Deleted report: ${reportId} by ${req.user.id}`);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('report_deleted', { id: reportId, disaster_id: disasterId });
+    recomputeSeverity(disasterId, req.io);
+
+    res.json({ message: 'Report deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,148 +1,433 @@
 import express from 'express';
+import Joi from 'joi';
 import { supabase } from '../config/supabase.js';
 import { logger } from '../utils/logger.js';
+import { parsePoint } from '../utils/geo.js';
+import { recomputeSeverity } from '../utils/severity.js';
+import { canModify } from '../utils/permissions.js';
+import { requirePermission } from '../middleware/auth.js';
+import { needsModeration, queueSubmissions } from '../utils/moderation.js';
+import { redactFor } from '../utils/redaction.js';
 
 const router = express.Router();
 
-// GET /disasters/:id/resources - Get resources near a disaster location
+const RESOURCE_STATUSES = ['open', 'full', 'closed'];
+
+// Resources not confirmed within this many hours are flagged stale
+const STALE_AFTER_HOURS = Number(process.env.RESOURCE_STALE_HOURS) || 48;
+
+const timeOfDay = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).messages({
+  'string.pattern.base': '{{#label}} must be a time in HH:MM format'
+});
+
+const dailyHours = Joi.array().items(Joi.object({
+  open: timeOfDay.required(),
+  close: timeOfDay.required()
+}));
+
+const openingHoursSchema = Joi.object({
+  always_open: Joi.boolean(),
+  mon: dailyHours,
+  tue: dailyHours,
+  wed: dailyHours,
+  thu: dailyHours,
+  fri: dailyHours,
+  sat: dailyHours,
+  sun: dailyHours,
+  notes: Joi.string().max(500)
+}).allow(null);
+
+const resourceFields = {
+  name: Joi.string().max(200),
+  location_name: Joi.string().max(200),
+  type: Joi.string().max(50),
+  description: Joi.string().max(2000).allow('', null),
+  contact_info: Joi.string().max(500).allow('', null),
+  latitude: Joi.number().min(-90).max(90),
+  longitude: Joi.number().min(-180).max(180),
+  status: Joi.string().valid(...RESOURCE_STATUSES),
+  capacity: Joi.number().integer().min(0).allow(null),
+  current_occupancy: Joi.number().integer().min(0),
+  opening_hours: openingHoursSchema
+};
+
+// Validation schemas (resourceSchema is shared with bulk import)
+export const resourceSchema = Joi.object({
+  ...resourceFields,
+  name: resourceFields.name.required(),
+  location_name: resourceFields.location_name.required(),
+  type: resourceFields.type.required()
+}).and('latitude', 'longitude');
+
+const patchResourceSchema = Joi.object(resourceFields).and('latitude', 'longitude').min(1);
+
+// latitude/longitude become the location point; occupancy changes flip an open
+// resource to full (and back) unless the request sets status itself
+export function toResourceRow(value, existing = {}) {
+  const { latitude, longitude, ...fields } = value;
+  const row = { ...fields };
+
+  if (latitude !== undefined && longitude !== undefined) {
+    row.location = `POINT(${longitude} ${latitude})`;
+  }
+
+  const capacity = row.capacity !== undefined ? row.capacity : existing.capacity;
+  const occupancy = row.current_occupancy !== undefined ? row.current_occupancy : existing.current_occupancy;
+  const status = row.status || existing.status || 'open';
+
+  if (!row.status && status !== 'closed' && capacity !== null && capacity !== undefined && occupancy !== undefined) {
+    const derived = occupancy >= capacity ? 'full' : 'open';
+    if (derived !== status) {
+      row.status = derived;
+    }
+  }
+
+  return row;
+}
+
+export const staleBefore = () => new Date(Date.now() - STALE_AFTER_HOURS * 60 * 60 * 1000);
+
+export const withFreshness = (resource) => ({
+  ...resource,
+  stale: new Date(resource.last_confirmed_at) < staleBefore()
+});
+
+const commaList = (values) => (value, helpers) => {
+  const items = value.split(',').map(item => item.trim()).filter(Boolean);
+  if (items.length === 0) return helpers.error('any.invalid');
+  if (values && items.some(item => !values.includes(item))) return helpers.error('any.only');
+  return items;
+};
+
+const nearbyResourcesSchema = Joi.object({
+  lat: Joi.number().min(-90).max(90),
+  lon: Joi.number().min(-180).max(180),
+  radius: Joi.number().integer().min(1).max(1000000).default(10000),
+  // Comma-separated, e.g. type=shelter,medical&status=open
+  type: Joi.string().custom(commaList()),
+  status: Joi.string().custom(commaList(RESOURCE_STATUSES))
+    .messages({ 'any.only': `"status" must be a comma-separated list of ${RESOURCE_STATUSES.join(', ')}` }),
+  limit: Joi.number().integer().min(1).max(100),
+  // Stale resources are listed after fresh ones unless hidden
+  include_stale: Joi.boolean().default(true)
+}).and('lat', 'lon');
+
+const reverificationQuerySchema = Joi.object({
+  include_closed: Joi.boolean().default(false),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const confirmSchema = Joi.object({
+  note: Joi.string().max(500)
+});
+
+// GET /disasters/:id/resources - The disaster's resources nearest a point, with distance
 router.get('/:disasterId/resources', async (req, res, next) => {
   try {
     const { disasterId } = req.params;
-    const { lat, lon, radius = 10000, type } = req.query; // radius in meters
-    
-    // First get the disaster to get its location if lat/lon not provided
-    let latitude = parseFloat(lat);
-    let longitude = parseFloat(lon);
-    
-    if (!latitude || !longitude) {
-      const { data: disaster, error: disasterError } = await supabase
-        .from('disasters')
-        .select('location')
-        .eq('id', disasterId)
-        .single();
-      
-      if (disasterError) throw disasterError;
-      
-      if (!disaster || !disaster.location) {
-        return res.status(400).json({ 
-          error: 'No coordinates provided and disaster has no location data' 
-        });
-      }
-      
-      // Extract coordinates from PostGIS POINT
-      const match = disaster.location.match(/POINT\(([^\s]+)\s+([^\)]+)\)/);
-      if (match) {
-        longitude = parseFloat(match[1]);
-        latitude = parseFloat(match[2]);
-      }
+    const { error: validationError, value } = nearbyResourcesSchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    const { data: disaster, error: disasterError } = await supabase
+      .from('disasters')
+      .select('id, location')
+      .eq('id', disasterId)
+      .single();
+
+    if (disasterError) throw disasterError;
+
+    if (!disaster) {
+      return res.status(404).json({ error: 'Disaster not found' });
     }
-    
-    // Build geospatial query
-    let query = supabase
-      .from('resources')
-      .select('*')
-      .eq('disaster_id', disasterId);
-    
-    // Add spatial filter if we have coordinates
-    if (latitude && longitude) {
-      // Use PostGIS ST_DWithin function for distance-based filtering
-      query = query.rpc('get_resources_within_distance', {
-        center_lat: latitude,
-        center_lon: longitude,
-        radius_meters: parseInt(radius)
+
+    // Search from the given point, otherwise from the disaster's own location
+    const center = value.lat !== undefined
+      ? { latitude: value.lat, longitude: value.lon }
+      : parsePoint(disaster.location);
+
+    if (!center) {
+      return res.status(400).json({
+        error: 'No coordinates provided and disaster has no location data'
       });
     }
-    
-    if (type) {
-      query = query.eq('type', type);
-    }
-    
-    const { data, error } = await query;
-    
-    if (error) {
-      // If the RPC function doesn't exist, fall back to regular query
-      if (error.code === '42883') {
-        const { data: fallbackData, error: fallbackError } = await supabase
-          .from('resources')
-          .select('*')
-          .eq('disaster_id', disasterId);
-        
-        if (fallbackError) throw fallbackError;
-        
-        const result = {
-          disaster_id: disasterId,
-          search_center: { latitude, longitude },
-          search_radius: parseInt(radius),
-          total_resources: fallbackData.length,
-          resources: fallbackData
-        };
-        
-        logger.info(`Retrieved ${fallbackData.length} resources for disaster ${disasterId} (fallback query)`);
-        return res.json(result);
-      }
-      throw error;
+
+    const { data: hits, error: searchError } = await supabase.rpc('get_resources_within_distance', {
+      target_disaster_id: disasterId,
+      center_lat: center.latitude,
+      center_lon: center.longitude,
+      radius_meters: value.radius,
+      resource_types: value.type || null,
+      resource_statuses: value.status || null,
+      max_results: value.limit || null,
+      stale_before: staleBefore().toISOString(),
+      include_stale: value.include_stale
+    });
+
+    if (searchError) throw searchError;
+
+    let resources = [];
+    if (hits.length > 0) {
+      const { data, error } = await supabase
+        .from('resources')
+        .select('*')
+        .in('id', hits.map(hit => hit.resource_id));
+
+      if (error) throw error;
+
+      // Keep the function's order: fresh before stale, then nearest first
+      const rows = new Map(data.map(row => [row.id, row]));
+      resources = hits
+        .filter(hit => rows.has(hit.resource_id))
+        .map(hit => ({ ...rows.get(hit.resource_id), distance_m: hit.distance_m, stale: hit.stale }));
     }
-    
+
     const result = {
       disaster_id: disasterId,
-      search_center: { latitude, longitude },
-      search_radius: parseInt(radius),
-      total_resources: data.length,
-      resources: data
+      search_center: center,
+      search_radius: value.radius,
+      stale_after_hours: STALE_AFTER_HOURS,
+      total_resources: resources.length,
+      resources
     };
-    
-    logger.info(`Retrieved ${data.length} resources within ${radius}m of disaster ${disasterId}`);
-    
+
+    logger.info(`Retrieved ${resources.length} resources within ${value.radius}m for disaster ${disasterId}`);
+
     // Emit real-time update
     req.io.to(`disaster_${disasterId}`).emit('resources_updated', result);
-    
-    res.json(result);
+
+    res.json({ ...result, resources: await redactFor(req, 'resource', resources) });
   } catch (error) {
     next(error);
   }
 });
 
-// POST /disasters/:id/resources - Add a resource to a disaster
-router.post('/:disasterId/resources', async (req, res, next) => {
+// Insert a resource and broadcast it. Approved submissions are published on
+// behalf of their submitter.
+export async function publishResource(req, disasterId, value, submission = null) {
+  const submitter = submission ? submission.submitted_by : req.user.id;
+  const resourceData = {
+    ...toResourceRow(value),
+    disaster_id: disasterId,
+    created_by: submitter,
+    confirmed_by: submitter
+  };
+
+  const { data, error } = await supabase
+    .from('resources')
+    .insert(resourceData)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  logger.info(`Created resource: ${data.id} for disaster ${disasterId}`);
+
+  // Emit real-time update
+  req.io.to(`disaster_${disasterId}`).emit('resource_created', data);
+  recomputeSeverity(disasterId, req.io);
+
+  return data;
+}
+
+// POST /disasters/:id/resources - Add a resource; untrusted submitters'
+// resources are queued for moderation and answered with 202
+router.post('/:disasterId/resources', requirePermission('resources:create'), async (req, res, next) => {
   try {
     const { disasterId } = req.params;
-    const { name, location_name, type, latitude, longitude, description, contact_info } = req.body;
-    
-    if (!name || !location_name || !type) {
-      return res.status(400).json({ 
-        error: 'Missing required fields: name, location_name, type' 
-      });
+    const { error: validationError, value } = resourceSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    if (await needsModeration(req, { disasterId })) {
+      const [submission] = await queueSubmissions(req, 'resource', [value], disasterId);
+      return res.status(202).json({ message: 'Resource submitted for review', submission });
     }
-    
-    const resourceData = {
-      disaster_id: disasterId,
-      name,
-      location_name,
-      type,
-      description,
-      contact_info,
-      created_by: req.user.id
-    };
-    
-    // Add location point if coordinates provided
-    if (latitude && longitude) {
-      resourceData.location = `POINT(${longitude} ${latitude})`;
+
+    res.status(201).json(await redactFor(req, 'resource', await publishResource(req, disasterId, value)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Load a resource and check the caller may change it (creator, or holder of
+// `permission` in the disaster)
+export async function loadEditableResource(req, res, permission = 'resources:update') {
+  const { disasterId, resourceId } = req.params;
+
+  const { data: existing, error } = await supabase
+    .from('resources')
+    .select('*')
+    .eq('id', resourceId)
+    .eq('disaster_id', disasterId)
+    .single();
+
+  if (error) throw error;
+
+  if (!existing) {
+    res.status(404).json({ error: 'Resource not found' });
+    return null;
+  }
+
+  if (!await canModify(req, existing.created_by, permission, { disasterId })) {
+    res.status(403).json({ error: 'Permission denied' });
+    return null;
+  }
+
+  return existing;
+}
+
+async function updateResource(req, res, schema) {
+  const { disasterId, resourceId } = req.params;
+  const { error: validationError, value } = schema.validate(req.body);
+  if (validationError) throw validationError;
+
+  const existing = await loadEditableResource(req, res);
+  if (!existing) return;
+
+  // An edit by the creator or an admin also confirms the resource is current
+  const { data, error } = await supabase
+    .from('resources')
+    .update({
+      ...toResourceRow(value, existing),
+      last_confirmed_at: new Date().toISOString(),
+      confirmed_by: req.user.id
+    })
+    .eq('id', resourceId)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  logger.info(`Updated resource: ${data.id} by ${req.user.id}`);
+
+  // Emit real-time update
+  req.io.to(`disaster_${disasterId}`).emit('resource_updated', data);
+  if (data.status !== existing.status) {
+    recomputeSeverity(disasterId, req.io);
+  }
+
+  res.json(await redactFor(req, 'resource', withFreshness(data)));
+}
+
+// GET /disasters/:id/resources/reverification - Stale resources, longest unconfirmed first
+router.get('/:disasterId/resources/reverification', async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { error: validationError, value } = reverificationQuerySchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    const { include_closed, limit, offset } = value;
+    const cutoff = staleBefore();
+
+    let query = supabase
+      .from('resources')
+      .select('*', { count: 'exact' })
+      .eq('disaster_id', disasterId)
+      .lt('last_confirmed_at', cutoff.toISOString())
+      .order('last_confirmed_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    // Closed resources are not directing anyone anywhere
+    if (!include_closed) {
+      query = query.neq('status', 'closed');
     }
-    
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    const now = Date.now();
+    logger.info(`Retrieved ${data.length} resources awaiting re-verification for disaster ${disasterId}`);
+    res.json({
+      disaster_id: disasterId,
+      stale_after_hours: STALE_AFTER_HOURS,
+      total_resources: count,
+      limit,
+      offset,
+      resources: await redactFor(req, 'resource', data.map(resource => ({
+        ...resource,
+        stale: true,
+        hours_since_confirmed: Math.floor((now - new Date(resource.last_confirmed_at).getTime()) / (60 * 60 * 1000))
+      })))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /disasters/:id/resources/:resourceId/confirm - Confirm a resource is still valid (creator or resources:confirm)
+router.post('/:disasterId/resources/:resourceId/confirm', async (req, res, next) => {
+  try {
+    const { disasterId, resourceId } = req.params;
+    const { error: validationError, value } = confirmSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const existing = await loadEditableResource(req, res, 'resources:confirm');
+    if (!existing) return;
+
     const { data, error } = await supabase
       .from('resources')
-      .insert(resourceData)
+      .update({
+        last_confirmed_at: new Date().toISOString(),
+        confirmed_by: req.user.id
+      })
+      .eq('id', resourceId)
       .select()
       .single();
-    
+
     if (error) throw error;
-    
-    logger.info(`Created resource: ${data.id} for disaster ${disasterId}`);
-    
+
+    logger.info(`Confirmed resource: ${resourceId} by ${req.user.id}${value.note ? ` (${value.note})` : ''}`);
+
     // Emit real-time update
-    req.io.to(`disaster_${disasterId}`).emit('resource_created', data);
-    
-    res.status(201).json(data);
+    req.io.to(`disaster_${disasterId}`).emit('resource_confirmed', withFreshness(data));
+
+    res.json(await redactFor(req, 'resource', withFreshness(data)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /disasters/:id/resources/:resourceId - Replace a resource's details
+router.put('/:disasterId/resources/:resourceId', async (req, res, next) => {
+  try {
+    await updateResource(req, res, resourceSchema);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /disasters/:id/resources/:resourceId - Update status, occupancy or other fields
+router.patch('/:disasterId/resources/:resourceId', async (req, res, next) => {
+  try {
+    await updateResource(req, res, patchResourceSchema);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /disasters/:id/resources/:resourceId - Delete a resource (creator or resources:delete)
+router.delete('/:disasterId/resources/:resourceId', async (req, res, next) => {
+  try {
+    const { disasterId, resourceId } = req.params;
+
+    const existing = await loadEditableResource(req, res, 'resources:delete');
+    if (!existing) return;
+
+    const { error } = await supabase
+      .from('resources')
+      .delete()
+      .eq('id', resourceId);
+
+    if (error) throw error;
+
+    logger.info(`Deleted resource: ${resourceId} by ${req.user.id}`);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('resource_deleted', { id: resourceId, disaster_id: disasterId });
+    recomputeSeverity(disasterId, req.io);
+
+    res.json({ message: 'Resource deleted successfully' });
   } catch (error) {
     next(error);
   }
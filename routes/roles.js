@@ -0,0 +1,179 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { hasPermission, ROLE_PERMISSIONS, ROLES } from '../utils/permissions.js';
+
+const router = express.Router();
+
+// Validation schemas
+const assignmentSchema = Joi.object({
+  user_id: Joi.string().required().max(200),
+  role: Joi.string().valid(...ROLES).required(),
+  // At most one scope; neither makes the role global
+  organization_id: Joi.string().guid(),
+  disaster_id: Joi.string().guid()
+}).oxor('organization_id', 'disaster_id');
+
+const listAssignmentsSchema = Joi.object({
+  user_id: Joi.string().max(200),
+  organization_id: Joi.string().guid(),
+  disaster_id: Joi.string().guid()
+}).oxor('organization_id', 'disaster_id');
+
+const scopeOf = (assignment) => ({
+  organizationId: assignment.organization_id || null,
+  disasterId: assignment.disaster_id || null
+});
+
+// Granting roles:grant in a scope lets a coordinator staff it; only admins may
+// hand out admin
+async function canGrant(req, assignment) {
+  if (assignment.role === 'admin' && !await hasPermission(req, '*')) {
+    return false;
+  }
+  return hasPermission(req, 'roles:grant', scopeOf(assignment));
+}
+
+// GET /roles/me - The caller's base role, scoped assignments and role permissions
+router.get('/me', async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('role_assignments')
+      .select(`
+        *,
+        organization:organizations(id, name),
+        disaster:disasters(id, title)
+      `)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+
+    const roles = [...new Set([req.user.role, ...data.map(assignment => assignment.role)])];
+
+    res.json({
+      user_id: req.user.id,
+      role: req.user.role,
+      assignments: data,
+      permissions: Object.fromEntries(roles.map(role => [role, ROLE_PERMISSIONS[role] || []]))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /roles - List role assignments in a scope (roles:grant there)
+router.get('/', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = listAssignmentsSchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    if (!await hasPermission(req, 'roles:grant', scopeOf(value))) {
+      return res.status(403).json({ error: 'Permission denied', permission: 'roles:grant' });
+    }
+
+    let query = supabase
+      .from('role_assignments')
+      .select(`
+        *,
+        user:users(id, name, role)
+      `)
+      .order('created_at', { ascending: true });
+
+    if (value.user_id) {
+      query = query.eq('user_id', value.user_id);
+    }
+
+    if (value.organization_id) {
+      query = query.eq('organization_id', value.organization_id);
+    }
+
+    if (value.disaster_id) {
+      query = query.eq('disaster_id', value.disaster_id);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    logger.info(`Retrieved ${data.length} role assignments`);
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /roles - Grant a user a role, globally or in an organization or disaster
+router.post('/', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = assignmentSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    if (!await canGrant(req, value)) {
+      return res.status(403).json({ error: 'Permission denied', permission: 'roles:grant' });
+    }
+
+    const { data, error } = await supabase
+      .from('role_assignments')
+      .insert({
+        ...value,
+        granted_by: req.user.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: 'User already holds this role in this scope' });
+      }
+      // Unknown user, organization or disaster
+      if (error.code === '23503') {
+        return res.status(404).json({ error: 'User, organization or disaster not found' });
+      }
+      throw error;
+    }
+
+    logger.info(`Granted ${data.role} to ${data.user_id} (organization ${data.organization_id}, disaster ${data.disaster_id}) by ${req.user.id}`);
+    res.status(201).json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /roles/:assignmentId - Revoke a role assignment
+router.delete('/:assignmentId', async (req, res, next) => {
+  try {
+    const { assignmentId } = req.params;
+
+    const { data: existing, error: fetchError } = await supabase
+      .from('role_assignments')
+      .select('*')
+      .eq('id', assignmentId)
+      .single();
+
+    if (fetchError) throw fetchError;
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Role assignment not found' });
+    }
+
+    if (!await canGrant(req, existing)) {
+      return res.status(403).json({ error: 'Permission denied', permission: 'roles:grant' });
+    }
+
+    const { error } = await supabase
+      .from('role_assignments')
+      .delete()
+      .eq('id', assignmentId);
+
+    if (error) throw error;
+
+    logger.info(`Revoked ${existing.role} from ${existing.user_id} by ${req.user.id}`);
+    res.json({ message: 'Role assignment revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
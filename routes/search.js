@@ -0,0 +1,65 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { redactFor } from '../utils/redaction.js';
+
+const router = express.Router();
+
+const ENTITY_TYPES = ['disaster', 'report', 'resource', 'official_update'];
+
+// Validation schema
+const searchSchema = Joi.object({
+  q: Joi.string().trim().min(2).max(200).required(),
+  type: Joi.string().pattern(new RegExp(`^(${ENTITY_TYPES.join('|')})(,(${ENTITY_TYPES.join('|')}))*$`))
+    .messages({ 'string.pattern.base': `"type" must be a comma-separated list of ${ENTITY_TYPES.join(', ')}` }),
+  disaster_id: Joi.string().guid(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// GET /search?q= - Ranked full-text search across disasters, reports, resources and official updates
+router.get('/', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = searchSchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    const { q, type, disaster_id, limit, offset } = value;
+
+    const { data, error, count } = await supabase
+      .rpc('search_all', {
+        search_query: q,
+        entity_types: type ? type.split(',') : null,
+        scope_disaster_id: disaster_id || null
+      }, { count: 'exact' })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    const rows = data.map(row => ({
+      type: row.entity_type,
+      id: row.entity_id,
+      disaster_id: row.disaster_id,
+      title: row.title,
+      highlight: row.highlight,
+      rank: row.rank,
+      created_at: row.created_at
+    }));
+
+    // Snippets of reports and resources may hold contact details
+    const results = await redactFor(req, 'search_result', rows);
+
+    logger.info(`Search "${q}" returned ${results.length} of ${count} results`);
+    res.json({
+      query: q,
+      total_results: count,
+      limit,
+      offset,
+      results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,6 +1,8 @@
 import express from 'express';
 import { cache } from '../utils/cache.js';
 import { logger } from '../utils/logger.js';
+import { recomputeSeverity } from '../utils/severity.js';
+import { redactFor } from '../utils/redaction.js';
 
 const router = express.Router();
 
@@ -109,12 +111,15 @@ router.get('/:disasterId/social-media', async (req, res, next) => {
       cachedResult = result;
       
       logger.info(`Fetched ${filteredData.length} social media posts for disaster ${disasterId}`);
+
+      // New posts feed the social urgency component of the severity score
+      recomputeSeverity(disasterId, req.io);
     }
     
     // Emit real-time update
     req.io.to(`disaster_${disasterId}`).emit('social_media_updated', cachedResult);
     
-    res.json(cachedResult);
+    res.json({ ...cachedResult, posts: await redactFor(req, 'social_media_post', cachedResult.posts) });
   } catch (error) {
     next(error);
   }
@@ -155,7 +160,7 @@ router.get('/mock-social-media', async (req, res, next) => {
     
     logger.info(`Generated ${filteredData.length} mock social media posts`);
     res.json({
-      posts: filteredData,
+      posts: await redactFor(req, 'social_media_post', filteredData),
       generated_at: new Date().toISOString()
     });
   } catch (error) {
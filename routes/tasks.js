@@ -0,0 +1,581 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { requirePermission } from '../middleware/auth.js';
+import { hasPermission } from '../utils/permissions.js';
+import { auditActor } from '../utils/auditTrail.js';
+import { redactFor } from '../utils/redaction.js';
+import { isAvailable, skillList } from './volunteers.js';
+
+const router = express.Router();
+
+const TASK_STATUSES = ['open', 'assigned', 'in_progress', 'done'];
+
+const taskFields = {
+  title: Joi.string().max(200),
+  description: Joi.string().max(2000).allow('', null),
+  required_skills: skillList,
+  location_name: Joi.string().max(200).allow('', null),
+  latitude: Joi.number().min(-90).max(90),
+  longitude: Joi.number().min(-180).max(180),
+  headcount: Joi.number().integer().min(1).max(1000),
+  starts_at: Joi.date().iso().allow(null),
+  ends_at: Joi.date().iso().allow(null)
+};
+
+// Validation schemas
+const taskSchema = Joi.object({
+  ...taskFields,
+  title: taskFields.title.required(),
+  required_skills: taskFields.required_skills.default([]),
+  headcount: taskFields.headcount.default(1)
+}).and('latitude', 'longitude');
+
+const patchTaskSchema = Joi.object(taskFields).and('latitude', 'longitude').min(1);
+
+const listTasksSchema = Joi.object({
+  status: Joi.string().valid(...TASK_STATUSES),
+  skill: Joi.string(),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const candidatesQuerySchema = Joi.object({
+  radius: Joi.number().integer().min(100).max(500000),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const assignSchema = Joi.object({
+  volunteer_id: Joi.string().required()
+});
+
+const releaseSchema = Joi.object({
+  volunteer_id: Joi.string()
+});
+
+const noteSchema = Joi.object({
+  note: Joi.string().max(500)
+});
+
+function toTaskRow({ latitude, longitude, ...fields }) {
+  return {
+    ...fields,
+    ...(latitude !== undefined && longitude !== undefined && { location: `POINT(${longitude} ${latitude})` })
+  };
+}
+
+const missingSkills = (task, volunteer) =>
+  (task.required_skills || []).filter(skill => !(volunteer.skills || []).includes(skill));
+
+async function loadTask(req, res) {
+  const { disasterId, taskId } = req.params;
+
+  const { data, error } = await supabase
+    .from('tasks')
+    .select(`
+      *,
+      assignments:task_assignments(volunteer_id, kind, assigned_by, created_at)
+    `)
+    .eq('id', taskId)
+    .eq('disaster_id', disasterId)
+    .single();
+
+  if (error) throw error;
+
+  if (!data) {
+    res.status(404).json({ error: 'Task not found' });
+    return null;
+  }
+
+  return data;
+}
+
+async function loadVolunteer(res, volunteerId) {
+  const { data, error } = await supabase
+    .from('volunteers')
+    .select('*')
+    .eq('id', volunteerId)
+    .single();
+
+  if (error) throw error;
+
+  if (!data) {
+    res.status(404).json({ error: 'Volunteer profile not found' });
+    return null;
+  }
+
+  if (!data.active) {
+    res.status(409).json({ error: 'Volunteer is not active' });
+    return null;
+  }
+
+  return data;
+}
+
+// Run a staffing function (assign_task_volunteer / release_task_volunteer),
+// mapping its raised errors to 409 and 404
+async function changeStaffing(res, fn, params) {
+  const { data, error } = await supabase.rpc(fn, params);
+
+  if (error) {
+    if (error.code === 'P0001') {
+      res.status(409).json({ error: error.message });
+      return null;
+    }
+    if (error.code === 'P0002') {
+      res.status(404).json({ error: error.message });
+      return null;
+    }
+    throw error;
+  }
+
+  return data;
+}
+
+function emitStatusChange(req, from, task) {
+  if (from !== task.status) {
+    req.io.to(`disaster_${task.disaster_id}`).emit('task_status_changed', { from, task });
+  }
+}
+
+// Move a task to a new status, recording the step in its audit trail
+async function transitionTask(req, task, status, note) {
+  const entry = {
+    action: 'status_change',
+    ...auditActor(req),
+    timestamp: new Date().toISOString(),
+    from: task.status,
+    to: status,
+    ...(note && { note })
+  };
+
+  const { data, error } = await supabase
+    .from('tasks')
+    .update({
+      status,
+      audit_trail: [...(task.audit_trail || []), entry]
+    })
+    .eq('id', task.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  logger.info(`Task ${task.id} ${task.status} -> ${status} by ${req.user.id}`);
+  return data;
+}
+
+// Coordinators and the task's own volunteers may move it along
+const canWorkOn = async (req, task) =>
+  task.assignments.some(a => a.volunteer_id === req.user.id) ||
+  hasPermission(req, 'tasks:manage', { disasterId: task.disaster_id });
+
+// GET /disasters/:id/tasks - List tasks for a disaster
+router.get('/:disasterId/tasks', async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { error: validationError, value } = listTasksSchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    const { status, skill, limit, offset } = value;
+
+    let query = supabase
+      .from('tasks')
+      .select(`
+        *,
+        assignments:task_assignments(volunteer_id, kind)
+      `, { count: 'exact' })
+      .eq('disaster_id', disasterId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    // Tasks a volunteer with these skills could take
+    if (skill) {
+      query = query.containedBy('required_skills', skill.split(',').map(s => s.trim().toLowerCase()).filter(Boolean));
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+
+    logger.info(`Retrieved ${data.length} tasks for disaster ${disasterId}`);
+    res.json({
+      disaster_id: disasterId,
+      total_tasks: count,
+      limit,
+      offset,
+      tasks: await redactFor(req, 'task', data.map(task => ({ ...task, staffed: task.assignments.length })))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /disasters/:id/tasks/:taskId - Get a task with its volunteers
+router.get('/:disasterId/tasks/:taskId', async (req, res, next) => {
+  try {
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    logger.info(`Retrieved task: ${task.id}`);
+    res.json(await redactFor(req, 'task', { ...task, staffed: task.assignments.length }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /disasters/:id/tasks - Create a task (tasks:manage)
+router.post('/:disasterId/tasks', requirePermission('tasks:manage'), async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { error: validationError, value } = taskSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const { data, error } = await supabase
+      .from('tasks')
+      .insert({
+        ...toTaskRow(value),
+        disaster_id: disasterId,
+        created_by: req.user.id,
+        audit_trail: [{
+          action: 'create',
+          ...auditActor(req),
+          timestamp: new Date().toISOString()
+        }]
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Created task: ${data.id} (${data.headcount} volunteers) for disaster ${disasterId} by ${req.user.id}`);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('task_created', data);
+
+    res.status(201).json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /disasters/:id/tasks/:taskId - Edit a task (tasks:manage)
+router.patch('/:disasterId/tasks/:taskId', requirePermission('tasks:manage'), async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { error: validationError, value } = patchTaskSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    if (task.status === 'done') {
+      return res.status(409).json({ error: 'Completed tasks cannot be edited' });
+    }
+
+    const changes = toTaskRow(value);
+    const timestamp = new Date().toISOString();
+    const entries = [{
+      action: 'update',
+      ...auditActor(req),
+      timestamp,
+      fields: Object.keys(changes)
+    }];
+
+    // A headcount change can fill an open task or reopen an assigned one
+    const staffed = task.assignments.length;
+    const headcount = changes.headcount ?? task.headcount;
+    if (task.status === 'open' && staffed >= headcount) {
+      changes.status = 'assigned';
+    } else if (task.status === 'assigned' && staffed < headcount) {
+      changes.status = 'open';
+    }
+    if (changes.status) {
+      entries.push({
+        action: 'status_change',
+        ...auditActor(req),
+        timestamp,
+        from: task.status,
+        to: changes.status
+      });
+    }
+
+    const { data, error } = await supabase
+      .from('tasks')
+      .update({
+        ...changes,
+        audit_trail: [...(task.audit_trail || []), ...entries]
+      })
+      .eq('id', task.id)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Updated task: ${data.id} by ${req.user.id}`);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('task_updated', data);
+    emitStatusChange(req, task.status, data);
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /disasters/:id/tasks/:taskId - Delete a task (tasks:manage)
+router.delete('/:disasterId/tasks/:taskId', requirePermission('tasks:manage'), async (req, res, next) => {
+  try {
+    const { disasterId, taskId } = req.params;
+
+    const { data, error } = await supabase
+      .from('tasks')
+      .delete()
+      .eq('id', taskId)
+      .eq('disaster_id', disasterId)
+      .select('id')
+      .maybeSingle();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    logger.info(`Deleted task: ${taskId} by ${req.user.id}`);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('task_deleted', { id: taskId, disaster_id: disasterId });
+
+    res.json({ message: 'Task deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /disasters/:id/tasks/:taskId/candidates - Volunteers who could be assigned (tasks:manage)
+router.get('/:disasterId/tasks/:taskId/candidates', requirePermission('tasks:manage'), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = candidatesQuerySchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    const { data: hits, error: searchError } = await supabase.rpc('task_candidates', {
+      target_task_id: task.id,
+      radius_meters: value.radius ?? null
+    });
+
+    if (searchError) throw searchError;
+
+    let candidates = [];
+    if (hits.length > 0) {
+      const { data, error } = await supabase
+        .from('volunteers')
+        .select('id, name, skills, certifications, availability, home_location_name')
+        .in('id', hits.map(hit => hit.volunteer_id));
+
+      if (error) throw error;
+
+      // Keep the function's nearest-first order
+      const volunteers = new Map(data.map(volunteer => [volunteer.id, volunteer]));
+      candidates = hits
+        .filter(hit => volunteers.has(hit.volunteer_id))
+        .map(hit => ({ ...volunteers.get(hit.volunteer_id), distance_m: hit.distance_m }))
+        .filter(volunteer => isAvailable(volunteer, task.starts_at, task.ends_at))
+        .slice(0, value.limit);
+    }
+
+    logger.info(`Found ${candidates.length} candidate volunteers for task ${task.id}`);
+    res.json({
+      task_id: task.id,
+      required_skills: task.required_skills,
+      open_slots: Math.max(0, task.headcount - task.assignments.length),
+      candidates
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /disasters/:id/tasks/:taskId/assign - Assign a volunteer (tasks:manage)
+router.post('/:disasterId/tasks/:taskId/assign', requirePermission('tasks:manage'), async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { error: validationError, value } = assignSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    const volunteer = await loadVolunteer(res, value.volunteer_id);
+    if (!volunteer) return;
+
+    const result = await changeStaffing(res, 'assign_task_volunteer', {
+      target_task_id: task.id,
+      target_volunteer_id: volunteer.id,
+      assignment_kind: 'assigned',
+      actor_id: req.user.id
+    });
+    if (!result) return;
+
+    // Coordinators may overrule skills and availability; the gaps are reported
+    const warnings = {
+      missing_skills: missingSkills(task, volunteer),
+      unavailable: !isAvailable(volunteer, task.starts_at, task.ends_at)
+    };
+
+    logger.info(`Assigned volunteer ${volunteer.id} to task ${task.id} by ${req.user.id} (${result.staffed}/${task.headcount})`);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('task_assigned', result);
+    emitStatusChange(req, task.status, result.task);
+
+    res.json({ ...result, warnings });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /disasters/:id/tasks/:taskId/claim - Volunteer claims a slot on a task (tasks:work)
+router.post('/:disasterId/tasks/:taskId/claim', requirePermission('tasks:work'), async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    const volunteer = await loadVolunteer(res, req.user.id);
+    if (!volunteer) return;
+
+    const missing = missingSkills(task, volunteer);
+    if (missing.length > 0) {
+      return res.status(409).json({ error: 'Missing required skills', missing_skills: missing });
+    }
+
+    if (!isAvailable(volunteer, task.starts_at, task.ends_at)) {
+      return res.status(409).json({ error: 'Task falls outside your availability' });
+    }
+
+    const result = await changeStaffing(res, 'assign_task_volunteer', {
+      target_task_id: task.id,
+      target_volunteer_id: volunteer.id,
+      assignment_kind: 'claimed',
+      actor_id: req.user.id
+    });
+    if (!result) return;
+
+    logger.info(`Volunteer ${volunteer.id} claimed task ${task.id} (${result.staffed}/${task.headcount})`);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('task_assigned', result);
+    emitStatusChange(req, task.status, result.task);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /disasters/:id/tasks/:taskId/release - Take a volunteer off a task (the volunteer or tasks:manage)
+router.post('/:disasterId/tasks/:taskId/release', async (req, res, next) => {
+  try {
+    const { disasterId } = req.params;
+    const { error: validationError, value } = releaseSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const volunteerId = value.volunteer_id || req.user.id;
+    if (volunteerId !== req.user.id && !await hasPermission(req, 'tasks:manage', { disasterId })) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    const result = await changeStaffing(res, 'release_task_volunteer', {
+      target_task_id: task.id,
+      target_volunteer_id: volunteerId,
+      actor_id: req.user.id
+    });
+    if (!result) return;
+
+    logger.info(`Released volunteer ${volunteerId} from task ${task.id} by ${req.user.id}`);
+
+    // Emit real-time update
+    req.io.to(`disaster_${disasterId}`).emit('task_released', { ...result, volunteer_id: volunteerId });
+    emitStatusChange(req, task.status, result.task);
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /disasters/:id/tasks/:taskId/start - Mark a staffed task in progress
+router.post('/:disasterId/tasks/:taskId/start', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = noteSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    if (!await canWorkOn(req, task)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    // Coordinators may start an understaffed task once someone is on it
+    const startable = task.status === 'assigned' ||
+      (task.status === 'open' && task.assignments.length > 0 &&
+        await hasPermission(req, 'tasks:manage', { disasterId: task.disaster_id }));
+    if (!startable) {
+      return res.status(409).json({ error: `Cannot start a ${task.status} task` });
+    }
+
+    const data = await transitionTask(req, task, 'in_progress', value.note);
+
+    // Emit real-time update
+    emitStatusChange(req, task.status, data);
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /disasters/:id/tasks/:taskId/complete - Mark an in-progress task done
+router.post('/:disasterId/tasks/:taskId/complete', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = noteSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const task = await loadTask(req, res);
+    if (!task) return;
+
+    if (!await canWorkOn(req, task)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    if (task.status !== 'in_progress') {
+      return res.status(409).json({ error: `Only in-progress tasks can be completed (task is ${task.status})` });
+    }
+
+    const data = await transitionTask(req, task, 'done', value.note);
+
+    // Emit real-time update
+    emitStatusChange(req, task.status, data);
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
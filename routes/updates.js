@@ -3,29 +3,11 @@ import fetch from 'node-fetch';
 import * as cheerio from 'cheerio';
 import { cache } from '../utils/cache.js';
 import { logger } from '../utils/logger.js';
+import { recomputeSeverity } from '../utils/severity.js';
+import { alertOfficialUpdateSubscribers } from '../utils/alerts.js';
 
 const router = express.Router();
 
-// Mock official sources
-const OFFICIAL_SOURCES = [
-  {
-    name: 'FEMA',
-    url: 'https://www.fema.gov/news-release',
-    selector: '.news-release-item',
-    titleSelector: '.news-release-title',
-    contentSelector: '.news-release-summary',
-    dateSelector: '.news-release-date'
-  },
-  {
-    name: 'Red Cross',
-    url: 'https://www.redcross.org/about-us/news-and-events/news',
-    selector: '.news-item',
-    titleSelector: '.news-title',
-    contentSelector: '.news-summary',
-    dateSelector: '.news-date'
-  }
-];
-
 // Mock official updates data
 const MOCK_OFFICIAL_UPDATES = [
   {
@@ -135,6 +117,10 @@ router.get('/:disasterId/official-updates', async (req, res, next) => {
       cachedResult = result;
       
       logger.info(`Fetched ${updates.length} official updates for disaster ${disasterId}`);
+
+      // New updates feed the official priority component of the severity score
+      recomputeSeverity(disasterId, req.io);
+      alertOfficialUpdateSubscribers(req.io, disasterId, updates);
     }
     
     // Emit real-time update
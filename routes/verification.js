@@ -1,7 +1,11 @@
 import express from 'express';
 import { GoogleGenerativeAI } from '@google/generative-ai';
+import { supabase } from '../config/supabase.js';
 import { cache } from '../utils/cache.js';
 import { logger } from '../utils/logger.js';
+import { recomputeSeverity } from '../utils/severity.js';
+import { aiRateLimit } from '../middleware/rateLimit.js';
+import { hasPermission } from '../utils/permissions.js';
 
 const router = express.Router();
 
@@ -9,7 +13,7 @@ const router = express.Router();
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
 // POST /disasters/:id/verify-image - Verify image authenticity
-router.post('/:disasterId/verify-image', async (req, res, next) => {
+router.post('/:disasterId/verify-image', aiRateLimit, async (req, res, next) => {
   try {
     const { disasterId } = req.params;
     const { image_url, report_id } = req.body;
@@ -17,7 +21,28 @@ router.post('/:disasterId/verify-image', async (req, res, next) => {
     if (!image_url) {
       return res.status(400).json({ error: 'image_url is required' });
     }
-    
+
+    // Recording the outcome on a report is a verification; a report can only
+    // be verified within its own disaster
+    if (report_id) {
+      if (!await hasPermission(req, 'reports:verify', { disasterId })) {
+        return res.status(403).json({ error: 'Permission required to change verification status', permission: 'reports:verify' });
+      }
+
+      const { data: report, error: reportError } = await supabase
+        .from('reports')
+        .select('id')
+        .eq('id', report_id)
+        .eq('disaster_id', disasterId)
+        .maybeSingle();
+
+      if (reportError) throw reportError;
+
+      if (!report) {
+        return res.status(404).json({ error: 'Report not found' });
+      }
+    }
+
     const cacheKey = `image_verify_${Buffer.from(image_url).toString('base64')}`;
     
     // Check cache first
@@ -136,16 +161,25 @@ Please format your response as a structured analysis.`;
     // Update report verification status if report_id provided
     if (report_id) {
       try {
-        const { error: updateError } = await supabase
+        const { data: updated, error: updateError } = await supabase
           .from('reports')
           .update({ 
             verification_status: cachedResult.verification_status,
             verification_details: cachedResult
           })
-          .eq('id', report_id);
+          .eq('id', report_id)
+          .eq('disaster_id', disasterId)
+          .select('id')
+          .maybeSingle();
         
         if (updateError) {
           logger.warn(`Failed to update report ${report_id} verification:`, updateError);
+        } else if (!updated) {
+          // Deleted while the image was being analysed
+          return res.status(404).json({ error: 'Report not found' });
+        } else {
+          // urgency_level feeds the image urgency component of the severity score
+          recomputeSeverity(disasterId, req.io);
         }
       } catch (updateError) {
         logger.warn('Report update error:', updateError);
@@ -0,0 +1,201 @@
+import express from 'express';
+import Joi from 'joi';
+import { supabase } from '../config/supabase.js';
+import { logger } from '../utils/logger.js';
+import { requirePermission } from '../middleware/auth.js';
+import { hasPermission } from '../utils/permissions.js';
+
+const router = express.Router();
+
+// Skills are free-form tags, matched case-insensitively
+export const skillList = Joi.array().items(Joi.string().trim().lowercase().max(50)).max(50);
+
+// Validation schemas
+const volunteerSchema = Joi.object({
+  name: Joi.string().required().max(200),
+  contact_info: Joi.string().max(500).allow('', null),
+  skills: skillList.default([]),
+  certifications: Joi.array().items(Joi.object({
+    name: Joi.string().required().max(200),
+    issuer: Joi.string().max(200),
+    expires_on: Joi.date().iso()
+  })).max(50).default([]),
+  availability: Joi.array().items(Joi.object({
+    start: Joi.date().iso().required(),
+    end: Joi.date().iso().greater(Joi.ref('start')).required()
+  })).max(100).default([]),
+  home_location_name: Joi.string().max(200).allow('', null),
+  latitude: Joi.number().min(-90).max(90),
+  longitude: Joi.number().min(-180).max(180),
+  active: Joi.boolean().default(true)
+}).and('latitude', 'longitude');
+
+const listVolunteersSchema = Joi.object({
+  // Comma-separated; volunteers must hold all of them
+  skill: Joi.string(),
+  available_at: Joi.date().iso(),
+  include_inactive: Joi.boolean().default(false),
+  limit: Joi.number().integer().min(1).max(100).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// A volunteer with no availability windows has not said when they are free,
+// so they are treated as available. Otherwise one window must cover the span.
+export function isAvailable(volunteer, start, end = start) {
+  const windows = volunteer.availability || [];
+  if (!start || windows.length === 0) {
+    return true;
+  }
+
+  const from = new Date(start).getTime();
+  const to = new Date(end || start).getTime();
+  return windows.some(window =>
+    new Date(window.start).getTime() <= from && new Date(window.end).getTime() >= to);
+}
+
+// The registry spans disasters, so a volunteers:read grant in any scope counts
+const registryScope = { anyScope: true };
+
+// GET /volunteers - Search the registry (volunteers:read)
+router.get('/', requirePermission('volunteers:read', { scope: () => registryScope }), async (req, res, next) => {
+  try {
+    const { error: validationError, value } = listVolunteersSchema.validate(req.query);
+    if (validationError) throw validationError;
+
+    const { skill, available_at, include_inactive, limit, offset } = value;
+
+    let query = supabase
+      .from('volunteers')
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (skill) {
+      query = query.contains('skills', skill.split(',').map(s => s.trim().toLowerCase()).filter(Boolean));
+    }
+
+    if (!include_inactive) {
+      query = query.eq('active', true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+
+    // Availability windows live in jsonb, so that filter and paging happen here
+    const matching = available_at ? data.filter(volunteer => isAvailable(volunteer, available_at)) : data;
+
+    logger.info(`Retrieved ${matching.length} volunteers`);
+    res.json({
+      total_volunteers: matching.length,
+      limit,
+      offset,
+      volunteers: matching.slice(offset, offset + limit)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /volunteers/me - The caller's volunteer profile
+router.get('/me', async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('volunteers')
+      .select('*')
+      .eq('id', req.user.id)
+      .single();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: 'Volunteer profile not found' });
+    }
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /volunteers/me - Create or replace the caller's volunteer profile
+router.put('/me', async (req, res, next) => {
+  try {
+    const { error: validationError, value } = volunteerSchema.validate(req.body);
+    if (validationError) throw validationError;
+
+    const { latitude, longitude, ...fields } = value;
+
+    const profile = {
+      ...fields,
+      id: req.user.id,
+      home_location: latitude !== undefined && longitude !== undefined
+        ? `POINT(${longitude} ${latitude})`
+        : null
+    };
+
+    const { data, error } = await supabase
+      .from('volunteers')
+      .upsert(profile)
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Saved volunteer profile: ${data.id} (${data.skills.length} skills)`);
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /volunteers/me/tasks - Tasks the caller is assigned to, across disasters
+router.get('/me/tasks', async (req, res, next) => {
+  try {
+    const { data, error } = await supabase
+      .from('task_assignments')
+      .select(`
+        kind,
+        assigned_by,
+        created_at,
+        task:tasks(*)
+      `)
+      .eq('volunteer_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    logger.info(`Retrieved ${data.length} tasks for volunteer ${req.user.id}`);
+    res.json(data.map(({ task, ...assignment }) => ({ ...task, assignment })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /volunteers/:volunteerId - A volunteer's profile (the volunteer or volunteers:read)
+router.get('/:volunteerId', async (req, res, next) => {
+  try {
+    const { volunteerId } = req.params;
+
+    if (volunteerId !== req.user.id && !await hasPermission(req, 'volunteers:read', registryScope)) {
+      return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const { data, error } = await supabase
+      .from('volunteers')
+      .select('*')
+      .eq('id', volunteerId)
+      .single();
+
+    if (error) throw error;
+
+    if (!data) {
+      return res.status(404).json({ error: 'Volunteer not found' });
+    }
+
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
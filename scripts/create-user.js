@@ -0,0 +1,42 @@
+// Create a user or reset their password:
+//   npm run create-user -- <id> <password> [role] [name] [email]
+import { supabase } from '../config/supabase.js';
+import { hashPassword } from '../utils/passwords.js';
+import { ROLES } from '../utils/permissions.js';
+
+const [id, password, role = 'contributor', name = id, email] = process.argv.slice(2);
+
+if (!id || !password) {
+  console.error('Usage: npm run create-user -- <id> <password> [role] [name] [email]');
+  process.exit(1);
+}
+
+if (!ROLES.includes(role)) {
+  console.error(`Role must be one of: ${ROLES.join(', ')}`);
+  process.exit(1);
+}
+
+if (password.length < 8) {
+  console.error('Password must be at least 8 characters');
+  process.exit(1);
+}
+
+const { data, error } = await supabase
+  .from('users')
+  .upsert({
+    id,
+    name,
+    role,
+    ...(email && { email }),
+    password_hash: await hashPassword(password)
+  })
+  .select('id, name, email, role')
+  .single();
+
+if (error) {
+  console.error('Failed to save user:', error.message);
+  process.exit(1);
+}
+
+console.log(`Saved user ${data.id} (${data.role})`);
+process.exit(0);
@@ -0,0 +1,17 @@
+/*
+  # Reports API support
+
+  1. Security
+    - Allow users to delete their own reports (mirrors the update policy)
+
+  2. Indexes
+    - Composite index for paginated report listing per disaster
+*/
+
+CREATE POLICY "Users can delete their own reports"
+  ON reports
+  FOR DELETE
+  TO public
+  USING (user_id = current_user);
+
+CREATE INDEX IF NOT EXISTS reports_disaster_id_created_at_idx ON reports (disaster_id, created_at DESC);
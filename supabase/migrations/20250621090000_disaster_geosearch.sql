@@ -0,0 +1,72 @@
+/*
+  # Geospatial search helpers for disasters
+
+  1. Functions
+    - `get_disasters_within_distance` - disasters within a radius of a point
+    - `get_disasters_in_bbox` - disasters inside a lon/lat bounding box
+    - `get_nearest_disasters` - the N disasters closest to a point
+
+  Each function returns `disaster_id` and `distance_m` (meters from the search
+  center), ordered nearest first, so callers can apply the usual column
+  filters and embeds on `disasters` and keep the distance alongside.
+  All three use the GIST index on `disasters.location`.
+*/
+
+CREATE OR REPLACE FUNCTION get_disasters_within_distance(
+  center_lat double precision,
+  center_lon double precision,
+  radius_meters integer
+)
+RETURNS TABLE (disaster_id uuid, distance_m double precision) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    d.id,
+    ST_Distance(d.location, ST_SetSRID(ST_Point(center_lon, center_lat), 4326)::geography)
+  FROM disasters d
+  WHERE ST_DWithin(
+    d.location,
+    ST_SetSRID(ST_Point(center_lon, center_lat), 4326)::geography,
+    radius_meters
+  )
+  ORDER BY 2;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+CREATE OR REPLACE FUNCTION get_disasters_in_bbox(
+  min_lon double precision,
+  min_lat double precision,
+  max_lon double precision,
+  max_lat double precision,
+  center_lat double precision,
+  center_lon double precision
+)
+RETURNS TABLE (disaster_id uuid, distance_m double precision) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    d.id,
+    ST_Distance(d.location, ST_SetSRID(ST_Point(center_lon, center_lat), 4326)::geography)
+  FROM disasters d
+  WHERE d.location && ST_MakeEnvelope(min_lon, min_lat, max_lon, max_lat, 4326)::geography
+  ORDER BY 2;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+CREATE OR REPLACE FUNCTION get_nearest_disasters(
+  center_lat double precision,
+  center_lon double precision,
+  max_results integer
+)
+RETURNS TABLE (disaster_id uuid, distance_m double precision) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    d.id,
+    ST_Distance(d.location, ST_SetSRID(ST_Point(center_lon, center_lat), 4326)::geography)
+  FROM disasters d
+  WHERE d.location IS NOT NULL
+  ORDER BY d.location <-> ST_SetSRID(ST_Point(center_lon, center_lat), 4326)::geography
+  LIMIT max_results;
+END;
+$$ LANGUAGE plpgsql STABLE;
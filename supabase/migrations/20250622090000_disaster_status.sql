@@ -0,0 +1,17 @@
+/*
+  # Disaster lifecycle status
+
+  1. Changes
+    - `disasters.status` (text, default 'reported')
+      reported → verified → active → contained → resolved → archived
+      Allowed transitions are enforced by the API (routes/disasters.js)
+
+  2. Indexes
+    - Standard index on status for listing filters
+*/
+
+ALTER TABLE disasters
+  ADD COLUMN IF NOT EXISTS status text NOT NULL DEFAULT 'reported'
+  CHECK (status IN ('reported', 'verified', 'active', 'contained', 'resolved', 'archived'));
+
+CREATE INDEX IF NOT EXISTS disasters_status_idx ON disasters (status);
@@ -0,0 +1,107 @@
+/*
+  # Cross-entity full-text search
+
+  1. Indexes
+    - GIN full-text indexes on disaster title/description, report content
+      and resource name/description
+
+  2. Functions
+    - `search_all` - ranked, highlighted matches across disasters, reports,
+      resources and cached official updates (`cache` rows keyed
+      `official_updates_*`). Matches are wrapped in <mark></mark>.
+*/
+
+CREATE INDEX IF NOT EXISTS disasters_fts_idx ON disasters
+  USING GIN (to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '')));
+
+CREATE INDEX IF NOT EXISTS reports_fts_idx ON reports
+  USING GIN (to_tsvector('english', coalesce(content, '')));
+
+CREATE INDEX IF NOT EXISTS resources_fts_idx ON resources
+  USING GIN (to_tsvector('english', coalesce(name, '') || ' ' || coalesce(description, '')));
+
+CREATE OR REPLACE FUNCTION search_all(
+  search_query text,
+  entity_types text[] DEFAULT NULL,
+  scope_disaster_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+  entity_type text,
+  entity_id text,
+  disaster_id uuid,
+  title text,
+  highlight text,
+  rank real,
+  created_at timestamptz
+) AS $$
+  WITH q AS (
+    SELECT websearch_to_tsquery('english', search_query) AS query
+  ),
+  official_updates AS (
+    SELECT DISTINCT ON (u->>'id', (c.value->>'disaster_id'))
+      u->>'id' AS id,
+      (c.value->>'disaster_id')::uuid AS disaster_id,
+      u->>'title' AS title,
+      coalesce(u->>'title', '') || ' ' || coalesce(u->>'content', '') AS body,
+      (u->>'published_at')::timestamptz AS published_at
+    FROM cache c
+    CROSS JOIN LATERAL jsonb_array_elements(c.value->'updates') AS u
+    WHERE c.key LIKE 'official_updates_%'
+      AND c.expires_at > now()
+      AND (c.value->>'disaster_id') ~ '^[0-9a-fA-F-]{36}$'
+  ),
+  results (entity_type, entity_id, disaster_id, title, highlight, rank, created_at) AS (
+    SELECT
+      'disaster'::text, d.id::text, d.id, d.title,
+      ts_headline('english', d.title || ' — ' || d.description, q.query,
+        'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=8'),
+      ts_rank(
+        setweight(to_tsvector('english', coalesce(d.title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(d.description, '')), 'B'),
+        q.query),
+      d.created_at
+    FROM disasters d, q
+    WHERE to_tsvector('english', coalesce(d.title, '') || ' ' || coalesce(d.description, '')) @@ q.query
+
+    UNION ALL
+
+    SELECT
+      'report'::text, r.id::text, r.disaster_id, left(r.content, 80),
+      ts_headline('english', r.content, q.query,
+        'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=8'),
+      ts_rank(to_tsvector('english', coalesce(r.content, '')), q.query),
+      r.created_at
+    FROM reports r, q
+    WHERE to_tsvector('english', coalesce(r.content, '')) @@ q.query
+
+    UNION ALL
+
+    SELECT
+      'resource'::text, res.id::text, res.disaster_id, res.name,
+      ts_headline('english', res.name || ' — ' || coalesce(res.description, '') || ' (' || res.location_name || ')', q.query,
+        'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=8'),
+      ts_rank(
+        setweight(to_tsvector('english', coalesce(res.name, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(res.description, '')), 'B'),
+        q.query),
+      res.created_at
+    FROM resources res, q
+    WHERE to_tsvector('english', coalesce(res.name, '') || ' ' || coalesce(res.description, '')) @@ q.query
+
+    UNION ALL
+
+    SELECT
+      'official_update'::text, ou.id, ou.disaster_id, ou.title,
+      ts_headline('english', ou.body, q.query,
+        'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=30, MinWords=8'),
+      ts_rank(to_tsvector('english', ou.body), q.query),
+      ou.published_at
+    FROM official_updates ou, q
+    WHERE to_tsvector('english', ou.body) @@ q.query
+  )
+  SELECT *
+  FROM results r
+  WHERE (entity_types IS NULL OR r.entity_type = ANY (entity_types))
+    AND (scope_disaster_id IS NULL OR r.disaster_id = scope_disaster_id)
+  ORDER BY r.rank DESC, r.created_at DESC;
+$$ LANGUAGE sql STABLE;
@@ -0,0 +1,85 @@
+/*
+  # Duplicate disaster detection
+
+  1. Extensions
+    - `pg_trgm` for title similarity
+
+  2. Indexes
+    - Trigram GIN index on disaster titles
+
+  3. Functions
+    - `find_similar_disasters` - disasters created within a time window of a
+      reference time that look like the candidate. Scores combine title
+      trigram similarity (50%), tag overlap (30%) and proximity within the
+      search radius (20%). Archived disasters are ignored.
+*/
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS disasters_title_trgm_idx ON disasters USING GIN (title gin_trgm_ops);
+
+CREATE OR REPLACE FUNCTION find_similar_disasters(
+  candidate_title text,
+  candidate_tags text[],
+  candidate_location geography,
+  reference_time timestamptz,
+  window_hours integer,
+  radius_meters integer,
+  min_score double precision,
+  exclude_id uuid DEFAULT NULL
+)
+RETURNS TABLE (
+  disaster_id uuid,
+  title text,
+  location_name text,
+  status text,
+  created_at timestamptz,
+  title_similarity real,
+  tag_overlap double precision,
+  distance_m double precision,
+  score double precision
+) AS $$
+  WITH candidates AS (
+    SELECT
+      d.id,
+      d.title,
+      d.location_name,
+      d.status,
+      d.created_at,
+      similarity(d.title, candidate_title) AS title_similarity,
+      CASE
+        WHEN coalesce(array_length(candidate_tags, 1), 0) = 0 OR coalesce(array_length(d.tags, 1), 0) = 0 THEN 0
+        ELSE (
+          SELECT count(*)::double precision FROM (SELECT unnest(d.tags) INTERSECT SELECT unnest(candidate_tags)) i
+        ) / (
+          SELECT count(*)::double precision FROM (SELECT unnest(d.tags) UNION SELECT unnest(candidate_tags)) u
+        )
+      END AS tag_overlap,
+      CASE
+        WHEN candidate_location IS NULL OR d.location IS NULL THEN NULL
+        ELSE ST_Distance(d.location, candidate_location)
+      END AS distance_m
+    FROM disasters d
+    WHERE d.status <> 'archived'
+      AND (exclude_id IS NULL OR d.id <> exclude_id)
+      AND d.created_at BETWEEN reference_time - make_interval(hours => window_hours)
+                           AND reference_time + make_interval(hours => window_hours)
+      AND (
+        candidate_location IS NULL OR d.location IS NULL
+        OR ST_DWithin(d.location, candidate_location, radius_meters)
+      )
+  ),
+  scored AS (
+    SELECT
+      c.*,
+      0.5 * c.title_similarity
+        + 0.3 * c.tag_overlap
+        + 0.2 * CASE WHEN c.distance_m IS NULL THEN 0 ELSE 1 - c.distance_m / radius_meters END AS score
+    FROM candidates c
+  )
+  SELECT id, title, location_name, status, created_at, title_similarity, tag_overlap, distance_m, score
+  FROM scored
+  WHERE score >= min_score
+  ORDER BY score DESC
+  LIMIT 10;
+$$ LANGUAGE sql STABLE;
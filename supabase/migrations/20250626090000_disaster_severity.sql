@@ -0,0 +1,37 @@
+/*
+  # Computed disaster severity
+
+  1. Changes
+    - `disasters.severity_score` (numeric 0-100, recomputed by the API)
+    - `disasters.severity_breakdown` (jsonb, per-component scores and inputs)
+    - `disasters.severity_updated_at` (timestamptz)
+
+  2. Indexes
+    - Descending index on severity_score for triage ordering
+
+  3. Triggers
+    - Severity recomputes no longer bump `disasters.updated_at`
+*/
+
+ALTER TABLE disasters ADD COLUMN IF NOT EXISTS severity_score numeric(5, 2);
+ALTER TABLE disasters ADD COLUMN IF NOT EXISTS severity_breakdown jsonb;
+ALTER TABLE disasters ADD COLUMN IF NOT EXISTS severity_updated_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS disasters_severity_score_idx ON disasters (severity_score DESC NULLS LAST);
+
+CREATE OR REPLACE FUNCTION update_disasters_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (to_jsonb(NEW) - 'severity_score' - 'severity_breakdown' - 'severity_updated_at' - 'updated_at')
+       = (to_jsonb(OLD) - 'severity_score' - 'severity_breakdown' - 'severity_updated_at' - 'updated_at') THEN
+        RETURN NEW;
+    END IF;
+    NEW.updated_at = now();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_disasters_updated_at ON disasters;
+
+CREATE TRIGGER update_disasters_updated_at BEFORE UPDATE ON disasters
+    FOR EACH ROW EXECUTE FUNCTION update_disasters_updated_at_column();
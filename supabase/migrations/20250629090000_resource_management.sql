@@ -0,0 +1,35 @@
+/*
+  # Resource operational status, capacity and opening hours
+
+  1. Changes to `resources`
+    - `status` (text, default 'open') - open, full or closed
+    - `capacity` (integer, optional) - people or units the resource can serve
+    - `current_occupancy` (integer, default 0)
+    - `opening_hours` (jsonb, optional) - { always_open, mon..sun: [{ open, close }], notes }
+    - `updated_at` (timestamptz) with update trigger
+
+  2. Security
+    - Allow users to delete their own resources (mirrors the update policy)
+
+  3. Indexes
+    - Standard index on status
+*/
+
+ALTER TABLE resources
+  ADD COLUMN IF NOT EXISTS status text NOT NULL DEFAULT 'open'
+  CHECK (status IN ('open', 'full', 'closed'));
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS capacity integer CHECK (capacity >= 0);
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS current_occupancy integer NOT NULL DEFAULT 0 CHECK (current_occupancy >= 0);
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS opening_hours jsonb;
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS updated_at timestamptz DEFAULT now();
+
+CREATE INDEX IF NOT EXISTS resources_status_idx ON resources (status);
+
+CREATE TRIGGER update_resources_updated_at BEFORE UPDATE ON resources
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE POLICY "Users can delete their own resources"
+  ON resources
+  FOR DELETE
+  TO public
+  USING (created_by = current_user);
@@ -0,0 +1,152 @@
+/*
+  # Supply inventory per resource
+
+  1. New Tables
+    - `inventory_items`
+      - `id` (uuid, primary key)
+      - `resource_id` (uuid, foreign key)
+      - `disaster_id` (uuid, foreign key; copied from the resource for summaries)
+      - `name` (text, required) - e.g. water, blankets, insulin
+      - `unit` (text, default 'units')
+      - `quantity` (numeric, current stock, kept in step with the ledger)
+      - `reorder_threshold` (numeric, default 0)
+      - `created_by` (text, required)
+      - `created_at`, `updated_at` (timestamptz)
+
+    - `inventory_transactions` (append-only ledger)
+      - `id` (uuid, primary key)
+      - `item_id`, `resource_id`, `disaster_id` (uuid, foreign keys)
+      - `kind` (text) - receipt, disbursement or adjustment
+      - `quantity` (numeric) - signed change applied to stock
+      - `balance_after` (numeric)
+      - `note` (text, optional)
+      - `user_id` (text, required)
+      - `created_at` (timestamptz)
+
+  2. Functions
+    - `record_inventory_transaction` - locks the item, applies the change,
+      rejects negative stock and appends to the ledger in one transaction
+
+  3. Security
+    - Enable RLS; ledger rows can be inserted and read but never changed
+*/
+
+CREATE TABLE IF NOT EXISTS inventory_items (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  resource_id uuid NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+  disaster_id uuid NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  unit text NOT NULL DEFAULT 'units',
+  quantity numeric NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+  reorder_threshold numeric NOT NULL DEFAULT 0 CHECK (reorder_threshold >= 0),
+  created_by text NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS inventory_items_resource_name_idx ON inventory_items (resource_id, lower(name));
+CREATE INDEX IF NOT EXISTS inventory_items_disaster_id_idx ON inventory_items (disaster_id);
+
+CREATE TABLE IF NOT EXISTS inventory_transactions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  item_id uuid NOT NULL REFERENCES inventory_items(id) ON DELETE CASCADE,
+  resource_id uuid NOT NULL REFERENCES resources(id) ON DELETE CASCADE,
+  disaster_id uuid NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+  kind text NOT NULL CHECK (kind IN ('receipt', 'disbursement', 'adjustment')),
+  quantity numeric NOT NULL,
+  balance_after numeric NOT NULL,
+  note text,
+  user_id text NOT NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS inventory_transactions_item_id_idx ON inventory_transactions (item_id, created_at DESC);
+
+CREATE TRIGGER update_inventory_items_updated_at BEFORE UPDATE ON inventory_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- The ledger is append-only; nested trigger depth lets item/resource cascades through
+CREATE OR REPLACE FUNCTION prevent_inventory_transaction_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'inventory_transactions is append-only';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER inventory_transactions_append_only BEFORE UPDATE OR DELETE ON inventory_transactions
+    FOR EACH ROW WHEN (pg_trigger_depth() < 1) EXECUTE FUNCTION prevent_inventory_transaction_changes();
+
+CREATE OR REPLACE FUNCTION record_inventory_transaction(
+  target_item_id uuid,
+  transaction_kind text,
+  change numeric,
+  transaction_note text,
+  actor_id text
+)
+RETURNS jsonb AS $$
+DECLARE
+  item inventory_items%ROWTYPE;
+  previous_quantity numeric;
+  txn inventory_transactions%ROWTYPE;
+BEGIN
+  SELECT * INTO item FROM inventory_items WHERE id = target_item_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Inventory item % not found', target_item_id USING ERRCODE = 'P0002';
+  END IF;
+
+  previous_quantity := item.quantity;
+
+  IF item.quantity + change < 0 THEN
+    RAISE EXCEPTION 'Insufficient stock: % % available', item.quantity, item.unit USING ERRCODE = 'P0001';
+  END IF;
+
+  UPDATE inventory_items
+  SET quantity = quantity + change
+  WHERE id = target_item_id
+  RETURNING * INTO item;
+
+  INSERT INTO inventory_transactions (item_id, resource_id, disaster_id, kind, quantity, balance_after, note, user_id)
+  VALUES (item.id, item.resource_id, item.disaster_id, transaction_kind, change, item.quantity, transaction_note, actor_id)
+  RETURNING * INTO txn;
+
+  RETURN jsonb_build_object(
+    'item', to_jsonb(item),
+    'transaction', to_jsonb(txn),
+    'previous_quantity', previous_quantity
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+ALTER TABLE inventory_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE inventory_transactions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view inventory"
+  ON inventory_items
+  FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "Users can create inventory items"
+  ON inventory_items
+  FOR INSERT
+  TO public
+  WITH CHECK (true);
+
+CREATE POLICY "Users can update their own inventory items"
+  ON inventory_items
+  FOR UPDATE
+  TO public
+  USING (created_by = current_user);
+
+CREATE POLICY "Anyone can view inventory transactions"
+  ON inventory_transactions
+  FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "Users can record inventory transactions"
+  ON inventory_transactions
+  FOR INSERT
+  TO public
+  WITH CHECK (true);
@@ -0,0 +1,96 @@
+/*
+  # Needs requests and resource matching
+
+  1. New Tables
+    - `needs`
+      - `id` (uuid, primary key)
+      - `disaster_id` (uuid, foreign key)
+      - `category` (text) - shelter, food, water, medical, transport, rescue, supplies, other
+      - `description` (text, required)
+      - `quantity` (integer, people or units needed)
+      - `urgency` (text) - low, medium, high, critical
+      - `location_name` (text, required)
+      - `location` (geography point, required for matching)
+      - `status` (text) - open → matched → fulfilled → closed
+      - `requested_by` (text, required)
+      - `matched_resource_id` (uuid, optional)
+      - `audit_trail` (jsonb for tracking changes)
+      - `created_at`, `updated_at` (timestamptz)
+
+  2. Functions
+    - `match_resources_for_need` - resources of the need's disaster within a
+      radius of the need, with distance, using the same ST_DWithin logic as
+      `get_resources_within_distance`; closed resources are skipped
+
+  3. Security
+    - Enable RLS with the same policies as reports
+*/
+
+CREATE TABLE IF NOT EXISTS needs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  disaster_id uuid NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+  category text NOT NULL CHECK (category IN ('shelter', 'food', 'water', 'medical', 'transport', 'rescue', 'supplies', 'other')),
+  description text NOT NULL,
+  quantity integer NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  urgency text NOT NULL DEFAULT 'medium' CHECK (urgency IN ('low', 'medium', 'high', 'critical')),
+  location_name text NOT NULL,
+  location geography(POINT, 4326),
+  status text NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'matched', 'fulfilled', 'closed')),
+  requested_by text NOT NULL,
+  matched_resource_id uuid REFERENCES resources(id) ON DELETE SET NULL,
+  audit_trail jsonb DEFAULT '[]',
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS needs_location_idx ON needs USING GIST (location);
+CREATE INDEX IF NOT EXISTS needs_disaster_id_status_idx ON needs (disaster_id, status);
+CREATE INDEX IF NOT EXISTS needs_matched_resource_id_idx ON needs (matched_resource_id);
+
+CREATE TRIGGER update_needs_updated_at BEFORE UPDATE ON needs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE FUNCTION match_resources_for_need(
+  target_need_id uuid,
+  radius_meters integer
+)
+RETURNS TABLE (
+  resource_id uuid,
+  name text,
+  type text,
+  location_name text,
+  status text,
+  capacity integer,
+  current_occupancy integer,
+  distance_m double precision
+) AS $$
+  SELECT
+    r.id, r.name, r.type, r.location_name, r.status, r.capacity, r.current_occupancy,
+    ST_Distance(r.location, n.location)
+  FROM needs n
+  JOIN resources r ON r.disaster_id = n.disaster_id
+  WHERE n.id = target_need_id
+    AND r.status <> 'closed'
+    AND ST_DWithin(r.location, n.location, radius_meters)
+  ORDER BY 8;
+$$ LANGUAGE sql STABLE;
+
+ALTER TABLE needs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view needs"
+  ON needs
+  FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "Users can create needs"
+  ON needs
+  FOR INSERT
+  TO public
+  WITH CHECK (true);
+
+CREATE POLICY "Users can update their own needs"
+  ON needs
+  FOR UPDATE
+  TO public
+  USING (requested_by = current_user);
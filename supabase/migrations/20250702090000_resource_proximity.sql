@@ -0,0 +1,45 @@
+/*
+  # Disaster-scoped resource proximity search
+
+  1. Functions
+    - `get_resources_within_distance` - replaced. The original returned every
+      resource in the radius regardless of disaster or type and carried no
+      distance. The new version is scoped to one disaster, optionally filtered
+      by resource types and statuses, and returns `resource_id` and
+      `distance_m` ordered nearest first, like the disaster geosearch helpers.
+      `max_results` caps the result after filtering, so "nearest 5 open
+      shelters" returns five when five exist.
+
+  2. Indexes
+    - `resources_disaster_id_type_idx` on (disaster_id, type)
+*/
+
+DROP FUNCTION IF EXISTS get_resources_within_distance(double precision, double precision, integer);
+
+CREATE OR REPLACE FUNCTION get_resources_within_distance(
+  target_disaster_id uuid,
+  center_lat double precision,
+  center_lon double precision,
+  radius_meters integer,
+  resource_types text[] DEFAULT NULL,
+  resource_statuses text[] DEFAULT NULL,
+  max_results integer DEFAULT NULL
+)
+RETURNS TABLE (resource_id uuid, distance_m double precision) AS $$
+  SELECT
+    r.id,
+    ST_Distance(r.location, ST_SetSRID(ST_Point(center_lon, center_lat), 4326)::geography)
+  FROM resources r
+  WHERE r.disaster_id = target_disaster_id
+    AND (resource_types IS NULL OR r.type = ANY (resource_types))
+    AND (resource_statuses IS NULL OR r.status = ANY (resource_statuses))
+    AND ST_DWithin(
+      r.location,
+      ST_SetSRID(ST_Point(center_lon, center_lat), 4326)::geography,
+      radius_meters
+    )
+  ORDER BY r.location <-> ST_SetSRID(ST_Point(center_lon, center_lat), 4326)::geography
+  LIMIT max_results;
+$$ LANGUAGE sql STABLE;
+
+CREATE INDEX IF NOT EXISTS resources_disaster_id_type_idx ON resources (disaster_id, type);
@@ -0,0 +1,282 @@
+/*
+  # Volunteer registry and task assignment
+
+  1. New Tables
+    - `volunteers` (one profile per user)
+      - `id` (text, primary key, the user id)
+      - `name` (text, required)
+      - `contact_info` (text, optional)
+      - `skills` (text array, lowercase) - e.g. first_aid, driving, cooking
+      - `certifications` (jsonb) - [{ name, issuer, expires_on }]
+      - `availability` (jsonb) - [{ start, end }] ISO timestamps
+      - `home_location_name` (text, optional)
+      - `home_location` (geography point, optional)
+      - `active` (boolean, default true)
+      - `created_at`, `updated_at` (timestamptz)
+
+    - `tasks`
+      - `id` (uuid, primary key)
+      - `disaster_id` (uuid, foreign key)
+      - `title` (text, required)
+      - `description` (text, optional)
+      - `required_skills` (text array, lowercase)
+      - `location_name` (text, optional)
+      - `location` (geography point, optional)
+      - `headcount` (integer, volunteers needed)
+      - `starts_at`, `ends_at` (timestamptz, optional)
+      - `status` (text) - open → assigned → in_progress → done
+      - `created_by` (text, required)
+      - `audit_trail` (jsonb for tracking changes)
+      - `created_at`, `updated_at` (timestamptz)
+
+    - `task_assignments`
+      - `id` (uuid, primary key)
+      - `task_id` (uuid, foreign key)
+      - `volunteer_id` (text, foreign key)
+      - `kind` (text) - assigned by a coordinator or claimed by the volunteer
+      - `assigned_by` (text, required)
+      - `created_at` (timestamptz)
+
+  2. Functions
+    - `assign_task_volunteer` - locks the task, rejects duplicate or
+      over-headcount assignments and moves the task to `assigned` once fully
+      staffed, in one transaction
+    - `release_task_volunteer` - removes an assignment and reopens an
+      `assigned` task that is no longer fully staffed
+    - `task_candidates` - active volunteers holding every required skill,
+      not already on the task, with distance from home to the task
+
+  3. Security
+    - Enable RLS with the same policies as needs
+*/
+
+CREATE TABLE IF NOT EXISTS volunteers (
+  id text PRIMARY KEY,
+  name text NOT NULL,
+  contact_info text,
+  skills text[] NOT NULL DEFAULT '{}',
+  certifications jsonb NOT NULL DEFAULT '[]',
+  availability jsonb NOT NULL DEFAULT '[]',
+  home_location_name text,
+  home_location geography(POINT, 4326),
+  active boolean NOT NULL DEFAULT true,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS volunteers_skills_idx ON volunteers USING GIN (skills);
+CREATE INDEX IF NOT EXISTS volunteers_home_location_idx ON volunteers USING GIST (home_location);
+
+CREATE TABLE IF NOT EXISTS tasks (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  disaster_id uuid NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+  title text NOT NULL,
+  description text,
+  required_skills text[] NOT NULL DEFAULT '{}',
+  location_name text,
+  location geography(POINT, 4326),
+  headcount integer NOT NULL DEFAULT 1 CHECK (headcount > 0),
+  starts_at timestamptz,
+  ends_at timestamptz,
+  status text NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'assigned', 'in_progress', 'done')),
+  created_by text NOT NULL,
+  audit_trail jsonb DEFAULT '[]',
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CHECK (ends_at IS NULL OR starts_at IS NULL OR ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS tasks_disaster_id_status_idx ON tasks (disaster_id, status);
+CREATE INDEX IF NOT EXISTS tasks_location_idx ON tasks USING GIST (location);
+
+CREATE TABLE IF NOT EXISTS task_assignments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  task_id uuid NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  volunteer_id text NOT NULL REFERENCES volunteers(id) ON DELETE CASCADE,
+  kind text NOT NULL CHECK (kind IN ('assigned', 'claimed')),
+  assigned_by text NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (task_id, volunteer_id)
+);
+
+CREATE INDEX IF NOT EXISTS task_assignments_volunteer_id_idx ON task_assignments (volunteer_id);
+
+CREATE TRIGGER update_volunteers_updated_at BEFORE UPDATE ON volunteers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_tasks_updated_at BEFORE UPDATE ON tasks
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE FUNCTION assign_task_volunteer(
+  target_task_id uuid,
+  target_volunteer_id text,
+  assignment_kind text,
+  actor_id text
+)
+RETURNS jsonb AS $$
+DECLARE
+  task tasks%ROWTYPE;
+  assignment task_assignments%ROWTYPE;
+  staffed integer;
+BEGIN
+  SELECT * INTO task FROM tasks WHERE id = target_task_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Task % not found', target_task_id USING ERRCODE = 'P0002';
+  END IF;
+
+  IF task.status <> 'open' THEN
+    RAISE EXCEPTION 'Task is % and not taking volunteers', task.status USING ERRCODE = 'P0001';
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM task_assignments WHERE task_id = task.id AND volunteer_id = target_volunteer_id) THEN
+    RAISE EXCEPTION 'Volunteer % is already on this task', target_volunteer_id USING ERRCODE = 'P0001';
+  END IF;
+
+  INSERT INTO task_assignments (task_id, volunteer_id, kind, assigned_by)
+  VALUES (task.id, target_volunteer_id, assignment_kind, actor_id)
+  RETURNING * INTO assignment;
+
+  SELECT count(*) INTO staffed FROM task_assignments WHERE task_id = task.id;
+
+  IF staffed >= task.headcount THEN
+    UPDATE tasks
+    SET status = 'assigned',
+        audit_trail = audit_trail || jsonb_build_array(jsonb_build_object(
+          'action', 'status_change',
+          'user_id', actor_id,
+          'timestamp', now(),
+          'from', 'open',
+          'to', 'assigned'
+        ))
+    WHERE id = task.id
+    RETURNING * INTO task;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'task', to_jsonb(task),
+    'assignment', to_jsonb(assignment),
+    'staffed', staffed
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION release_task_volunteer(
+  target_task_id uuid,
+  target_volunteer_id text,
+  actor_id text
+)
+RETURNS jsonb AS $$
+DECLARE
+  task tasks%ROWTYPE;
+  staffed integer;
+BEGIN
+  SELECT * INTO task FROM tasks WHERE id = target_task_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Task % not found', target_task_id USING ERRCODE = 'P0002';
+  END IF;
+
+  IF task.status NOT IN ('open', 'assigned') THEN
+    RAISE EXCEPTION 'Task is % and its volunteers can no longer change', task.status USING ERRCODE = 'P0001';
+  END IF;
+
+  DELETE FROM task_assignments WHERE task_id = task.id AND volunteer_id = target_volunteer_id;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Volunteer % is not on this task', target_volunteer_id USING ERRCODE = 'P0002';
+  END IF;
+
+  SELECT count(*) INTO staffed FROM task_assignments WHERE task_id = task.id;
+
+  IF task.status = 'assigned' AND staffed < task.headcount THEN
+    UPDATE tasks
+    SET status = 'open',
+        audit_trail = audit_trail || jsonb_build_array(jsonb_build_object(
+          'action', 'status_change',
+          'user_id', actor_id,
+          'timestamp', now(),
+          'from', 'assigned',
+          'to', 'open'
+        ))
+    WHERE id = task.id
+    RETURNING * INTO task;
+  END IF;
+
+  RETURN jsonb_build_object('task', to_jsonb(task), 'staffed', staffed);
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION task_candidates(
+  target_task_id uuid,
+  radius_meters integer
+)
+RETURNS TABLE (volunteer_id text, distance_m double precision) AS $$
+  SELECT
+    v.id,
+    ST_Distance(v.home_location, t.location)
+  FROM tasks t
+  JOIN volunteers v ON v.active AND v.skills @> t.required_skills
+  WHERE t.id = target_task_id
+    AND NOT EXISTS (
+      SELECT 1 FROM task_assignments a WHERE a.task_id = t.id AND a.volunteer_id = v.id
+    )
+    AND (
+      radius_meters IS NULL
+      OR t.location IS NULL
+      OR ST_DWithin(v.home_location, t.location, radius_meters)
+    )
+  ORDER BY 2 NULLS LAST;
+$$ LANGUAGE sql STABLE;
+
+ALTER TABLE volunteers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tasks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE task_assignments ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view volunteers"
+  ON volunteers
+  FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "Users can create their volunteer profile"
+  ON volunteers
+  FOR INSERT
+  TO public
+  WITH CHECK (true);
+
+CREATE POLICY "Users can update their own volunteer profile"
+  ON volunteers
+  FOR UPDATE
+  TO public
+  USING (id = current_user);
+
+CREATE POLICY "Anyone can view tasks"
+  ON tasks
+  FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "Users can create tasks"
+  ON tasks
+  FOR INSERT
+  TO public
+  WITH CHECK (true);
+
+CREATE POLICY "Users can update their own tasks"
+  ON tasks
+  FOR UPDATE
+  TO public
+  USING (created_by = current_user);
+
+CREATE POLICY "Anyone can view task assignments"
+  ON task_assignments
+  FOR SELECT
+  TO public
+  USING (true);
+
+CREATE POLICY "Users can create task assignments"
+  ON task_assignments
+  FOR INSERT
+  TO public
+  WITH CHECK (true);
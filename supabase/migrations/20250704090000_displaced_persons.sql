@@ -0,0 +1,268 @@
+/*
+  # Displaced-person registry and family reunification
+
+  1. New Tables
+    - `displaced_persons`
+      - `id` (uuid, primary key)
+      - `disaster_id` (uuid, foreign key)
+      - `full_name` (text, required)
+      - `age` (integer, optional)
+      - `gender` (text, optional)
+      - `description` (text, optional) - identifying details
+      - `contact_info` (text, optional)
+      - `status` (text) - registered, checked_in or checked_out
+      - `current_resource_id` (uuid, the shelter the person is checked in to)
+      - `registered_by` (text, required)
+      - `created_at`, `updated_at` (timestamptz)
+
+    - `person_movements` (check-in/check-out history)
+      - `id` (uuid, primary key)
+      - `person_id`, `resource_id`, `disaster_id` (uuid, foreign keys)
+      - `kind` (text) - check_in or check_out
+      - `note` (text, optional)
+      - `user_id` (text, required)
+      - `created_at` (timestamptz)
+
+    - `person_searches` ("looking for" registrations)
+      - `id` (uuid, primary key)
+      - `disaster_id` (uuid, optional; null searches every disaster)
+      - `full_name` (text, required) - the person being looked for
+      - `contact_info` (text, optional)
+      - `note` (text, optional)
+      - `requested_by` (text, required)
+      - `status` (text) - active, matched or cancelled
+      - `matched_person_id` (uuid, optional)
+      - `matched_at` (timestamptz, optional)
+      - `created_at`, `updated_at` (timestamptz)
+
+  2. Functions
+    - `record_person_movement` - locks the person and checks them in or out,
+      writing the history rows; checking in elsewhere records the check-out
+      from the previous shelter first
+    - `search_displaced_persons` - trigram name similarity, best first
+    - `match_person_searches` - active "looking for" registrations whose name
+      resembles a person, for check-in notifications
+
+  3. Security
+    - Enable RLS; rows are readable only by whoever wrote them, and movement
+      history can be inserted but never changed
+
+  4. Indexes
+    - Trigram GIN indexes on both name columns
+*/
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE TABLE IF NOT EXISTS displaced_persons (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  disaster_id uuid NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+  full_name text NOT NULL,
+  age integer CHECK (age >= 0 AND age < 150),
+  gender text,
+  description text,
+  contact_info text,
+  status text NOT NULL DEFAULT 'registered' CHECK (status IN ('registered', 'checked_in', 'checked_out')),
+  current_resource_id uuid REFERENCES resources(id) ON DELETE SET NULL,
+  registered_by text NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS displaced_persons_name_trgm_idx ON displaced_persons USING GIN (lower(full_name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS displaced_persons_disaster_id_idx ON displaced_persons (disaster_id, status);
+CREATE INDEX IF NOT EXISTS displaced_persons_current_resource_id_idx ON displaced_persons (current_resource_id);
+
+CREATE TABLE IF NOT EXISTS person_movements (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  person_id uuid NOT NULL REFERENCES displaced_persons(id) ON DELETE CASCADE,
+  resource_id uuid REFERENCES resources(id) ON DELETE SET NULL,
+  disaster_id uuid NOT NULL REFERENCES disasters(id) ON DELETE CASCADE,
+  kind text NOT NULL CHECK (kind IN ('check_in', 'check_out')),
+  note text,
+  user_id text NOT NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS person_movements_person_id_idx ON person_movements (person_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS person_searches (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  disaster_id uuid REFERENCES disasters(id) ON DELETE CASCADE,
+  full_name text NOT NULL,
+  contact_info text,
+  note text,
+  requested_by text NOT NULL,
+  status text NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'matched', 'cancelled')),
+  matched_person_id uuid REFERENCES displaced_persons(id) ON DELETE SET NULL,
+  matched_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS person_searches_name_trgm_idx ON person_searches USING GIN (lower(full_name) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS person_searches_requested_by_idx ON person_searches (requested_by);
+
+CREATE TRIGGER update_displaced_persons_updated_at BEFORE UPDATE ON displaced_persons
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_person_searches_updated_at BEFORE UPDATE ON person_searches
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- History is append-only; nested trigger depth lets person/resource cascades through
+CREATE OR REPLACE FUNCTION prevent_person_movement_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'person_movements is append-only';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER person_movements_append_only BEFORE UPDATE OR DELETE ON person_movements
+    FOR EACH ROW WHEN (pg_trigger_depth() < 1) EXECUTE FUNCTION prevent_person_movement_changes();
+
+CREATE OR REPLACE FUNCTION record_person_movement(
+  target_person_id uuid,
+  movement_kind text,
+  target_resource_id uuid,
+  movement_note text,
+  actor_id text
+)
+RETURNS jsonb AS $$
+DECLARE
+  person displaced_persons%ROWTYPE;
+  previous_resource_id uuid;
+  movements jsonb := '[]';
+  movement person_movements%ROWTYPE;
+BEGIN
+  SELECT * INTO person FROM displaced_persons WHERE id = target_person_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Person % not found', target_person_id USING ERRCODE = 'P0002';
+  END IF;
+
+  previous_resource_id := person.current_resource_id;
+
+  IF movement_kind = 'check_in' AND person.status = 'checked_in' AND previous_resource_id = target_resource_id THEN
+    RAISE EXCEPTION 'Person is already checked in here' USING ERRCODE = 'P0001';
+  END IF;
+
+  IF movement_kind = 'check_out' AND person.status <> 'checked_in' THEN
+    RAISE EXCEPTION 'Person is not checked in' USING ERRCODE = 'P0001';
+  END IF;
+
+  -- Leaving the current shelter, either on check-out or on transfer
+  IF person.status = 'checked_in' THEN
+    INSERT INTO person_movements (person_id, resource_id, disaster_id, kind, note, user_id)
+    VALUES (person.id, previous_resource_id, person.disaster_id, 'check_out', movement_note, actor_id)
+    RETURNING * INTO movement;
+    movements := movements || jsonb_build_array(to_jsonb(movement));
+  END IF;
+
+  IF movement_kind = 'check_in' THEN
+    INSERT INTO person_movements (person_id, resource_id, disaster_id, kind, note, user_id)
+    VALUES (person.id, target_resource_id, person.disaster_id, 'check_in', movement_note, actor_id)
+    RETURNING * INTO movement;
+    movements := movements || jsonb_build_array(to_jsonb(movement));
+
+    UPDATE displaced_persons
+    SET status = 'checked_in', current_resource_id = target_resource_id
+    WHERE id = person.id
+    RETURNING * INTO person;
+  ELSE
+    UPDATE displaced_persons
+    SET status = 'checked_out', current_resource_id = NULL
+    WHERE id = person.id
+    RETURNING * INTO person;
+  END IF;
+
+  RETURN jsonb_build_object(
+    'person', to_jsonb(person),
+    'movements', movements,
+    'previous_resource_id', previous_resource_id
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION search_displaced_persons(
+  search_name text,
+  target_disaster_id uuid,
+  min_similarity real,
+  max_results integer
+)
+RETURNS TABLE (person_id uuid, name_similarity real) AS $$
+  SELECT p.id, similarity(lower(p.full_name), lower(search_name))
+  FROM displaced_persons p
+  WHERE lower(p.full_name) % lower(search_name)
+    AND (target_disaster_id IS NULL OR p.disaster_id = target_disaster_id)
+    AND similarity(lower(p.full_name), lower(search_name)) >= min_similarity
+  ORDER BY 2 DESC
+  LIMIT max_results;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION match_person_searches(
+  target_person_id uuid,
+  min_similarity real
+)
+RETURNS TABLE (search_id uuid, name_similarity real) AS $$
+  SELECT s.id, similarity(lower(s.full_name), lower(p.full_name))
+  FROM displaced_persons p
+  JOIN person_searches s
+    ON s.status = 'active'
+   AND (s.disaster_id IS NULL OR s.disaster_id = p.disaster_id)
+   AND lower(s.full_name) % lower(p.full_name)
+  WHERE p.id = target_person_id
+    AND similarity(lower(s.full_name), lower(p.full_name)) >= min_similarity
+  ORDER BY 2 DESC;
+$$ LANGUAGE sql STABLE;
+
+ALTER TABLE displaced_persons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE person_movements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE person_searches ENABLE ROW LEVEL SECURITY;
+
+-- Registry details go through the API, which redacts them for non-admins
+CREATE POLICY "Users can view persons they registered"
+  ON displaced_persons
+  FOR SELECT
+  TO public
+  USING (registered_by = current_user);
+
+CREATE POLICY "Users can register displaced persons"
+  ON displaced_persons
+  FOR INSERT
+  TO public
+  WITH CHECK (true);
+
+CREATE POLICY "Users can update persons they registered"
+  ON displaced_persons
+  FOR UPDATE
+  TO public
+  USING (registered_by = current_user);
+
+CREATE POLICY "Users can view movements they recorded"
+  ON person_movements
+  FOR SELECT
+  TO public
+  USING (user_id = current_user);
+
+CREATE POLICY "Users can record person movements"
+  ON person_movements
+  FOR INSERT
+  TO public
+  WITH CHECK (true);
+
+CREATE POLICY "Users can view their own searches"
+  ON person_searches
+  FOR SELECT
+  TO public
+  USING (requested_by = current_user);
+
+CREATE POLICY "Users can register searches"
+  ON person_searches
+  FOR INSERT
+  TO public
+  WITH CHECK (true);
+
+CREATE POLICY "Users can update their own searches"
+  ON person_searches
+  FOR UPDATE
+  TO public
+  USING (requested_by = current_user);
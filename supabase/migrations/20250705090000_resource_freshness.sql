@@ -0,0 +1,61 @@
+/*
+  # Resource freshness
+
+  1. Changes to `resources`
+    - `last_confirmed_at` (timestamptz, required, default now()) - when the
+      resource was last confirmed as still valid; existing rows start from
+      their last update
+    - `confirmed_by` (text, optional)
+
+  2. Functions
+    - `get_resources_within_distance` - replaced with a version that takes
+      `stale_before`. Resources last confirmed before it come back with
+      `stale = true` and sort after fresh ones (so a limit prefers fresh
+      resources); `include_stale = false` leaves them out.
+
+  3. Indexes
+    - (disaster_id, last_confirmed_at) for the re-verification queue
+*/
+
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS last_confirmed_at timestamptz DEFAULT now();
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS confirmed_by text;
+
+UPDATE resources
+SET last_confirmed_at = coalesce(updated_at, created_at),
+    confirmed_by = created_by;
+
+ALTER TABLE resources ALTER COLUMN last_confirmed_at SET NOT NULL;
+
+CREATE INDEX IF NOT EXISTS resources_disaster_id_last_confirmed_at_idx ON resources (disaster_id, last_confirmed_at);
+
+DROP FUNCTION IF EXISTS get_resources_within_distance(uuid, double precision, double precision, integer, text[], text[], integer);
+
+CREATE OR REPLACE FUNCTION get_resources_within_distance(
+  target_disaster_id uuid,
+  center_lat double precision,
+  center_lon double precision,
+  radius_meters integer,
+  resource_types text[] DEFAULT NULL,
+  resource_statuses text[] DEFAULT NULL,
+  max_results integer DEFAULT NULL,
+  stale_before timestamptz DEFAULT NULL,
+  include_stale boolean DEFAULT true
+)
+RETURNS TABLE (resource_id uuid, distance_m double precision, stale boolean) AS $$
+  SELECT
+    r.id,
+    ST_Distance(r.location, ST_SetSRID(ST_Point(center_lon, center_lat), 4326)::geography),
+    stale_before IS NOT NULL AND r.last_confirmed_at < stale_before
+  FROM resources r
+  WHERE r.disaster_id = target_disaster_id
+    AND (resource_types IS NULL OR r.type = ANY (resource_types))
+    AND (resource_statuses IS NULL OR r.status = ANY (resource_statuses))
+    AND (include_stale OR stale_before IS NULL OR r.last_confirmed_at >= stale_before)
+    AND ST_DWithin(
+      r.location,
+      ST_SetSRID(ST_Point(center_lon, center_lat), 4326)::geography,
+      radius_meters
+    )
+  ORDER BY 3, r.location <-> ST_SetSRID(ST_Point(center_lon, center_lat), 4326)::geography
+  LIMIT max_results;
+$$ LANGUAGE sql STABLE;
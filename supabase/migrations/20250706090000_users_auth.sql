@@ -0,0 +1,69 @@
+/*
+  # Users and token authentication
+
+  1. New Tables
+    - `users`
+      - `id` (text, primary key) - the username; matches the text user ids
+        already stored in `owner_id`, `created_by` and audit trails
+      - `name` (text, required)
+      - `email` (text, unique, optional)
+      - `role` (text) - admin or contributor
+      - `password_hash` (text) - scrypt hash; null until a password is set
+      - `active` (boolean, default true)
+      - `last_login_at` (timestamptz, optional)
+      - `created_at`, `updated_at` (timestamptz)
+
+    - `refresh_tokens` (one row per issued refresh token)
+      - `id` (uuid, primary key) - the token's `jti`
+      - `user_id` (text, foreign key)
+      - `expires_at` (timestamptz, required)
+      - `revoked_at` (timestamptz, optional)
+      - `replaced_by` (uuid, optional) - the token issued when this one was rotated
+      - `user_agent`, `ip` (text, optional)
+      - `created_at` (timestamptz)
+
+  2. Seed data
+    - The demo users, without passwords; set one with `npm run create-user`
+
+  3. Security
+    - Enable RLS with no policies; both tables are only reached with the
+      service key
+*/
+
+CREATE TABLE IF NOT EXISTS users (
+  id text PRIMARY KEY,
+  name text NOT NULL,
+  email text UNIQUE,
+  role text NOT NULL DEFAULT 'contributor' CHECK (role IN ('admin', 'contributor')),
+  password_hash text,
+  active boolean NOT NULL DEFAULT true,
+  last_login_at timestamptz,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id uuid PRIMARY KEY,
+  user_id text NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz,
+  replaced_by uuid,
+  user_agent text,
+  ip text,
+  created_at timestamptz DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS refresh_tokens_user_id_idx ON refresh_tokens (user_id);
+
+CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO users (id, name, role) VALUES
+('netrunnerX', 'NetRunner X', 'admin'),
+('reliefAdmin', 'Relief Admin', 'admin'),
+('contributor1', 'Contributor 1', 'contributor'),
+('citizen1', 'Citizen Reporter', 'contributor')
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
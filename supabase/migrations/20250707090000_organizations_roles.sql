@@ -0,0 +1,72 @@
+/*
+  # Organizations and scoped roles
+
+  1. New Tables
+    - `organizations`
+      - `id` (uuid, primary key)
+      - `name` (text, unique, required) - e.g. Red Cross, City EMS
+      - `description` (text, optional)
+      - `created_by` (text, required)
+      - `created_at`, `updated_at` (timestamptz)
+
+    - `role_assignments`
+      - `id` (uuid, primary key)
+      - `user_id` (text, foreign key)
+      - `role` (text) - admin, coordinator, verifier, responder, contributor, viewer
+      - `organization_id` (uuid, optional) - role applies to the organization's disasters
+      - `disaster_id` (uuid, optional) - role applies to one disaster
+      - `granted_by` (text, required)
+      - `created_at` (timestamptz)
+      An assignment with neither scope is global.
+
+  2. Changes
+    - `disasters.organization_id` (uuid, optional) - the organization that runs it
+    - `users.role` accepts the new roles; it is the user's global base role
+
+  3. Security
+    - Enable RLS with no policies; both tables are only reached with the
+      service key
+*/
+
+CREATE TABLE IF NOT EXISTS organizations (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL UNIQUE,
+  description text,
+  created_by text NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TRIGGER update_organizations_updated_at BEFORE UPDATE ON organizations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE disasters ADD COLUMN IF NOT EXISTS organization_id uuid REFERENCES organizations(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS disasters_organization_id_idx ON disasters (organization_id);
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+  CHECK (role IN ('admin', 'coordinator', 'verifier', 'responder', 'contributor', 'viewer'));
+
+CREATE TABLE IF NOT EXISTS role_assignments (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id text NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role text NOT NULL CHECK (role IN ('admin', 'coordinator', 'verifier', 'responder', 'contributor', 'viewer')),
+  organization_id uuid REFERENCES organizations(id) ON DELETE CASCADE,
+  disaster_id uuid REFERENCES disasters(id) ON DELETE CASCADE,
+  granted_by text NOT NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+-- One row per user, role and scope; nulls are folded so global grants are unique too
+CREATE UNIQUE INDEX IF NOT EXISTS role_assignments_scope_idx ON role_assignments (
+  user_id,
+  role,
+  coalesce(organization_id, '00000000-0000-0000-0000-000000000000'),
+  coalesce(disaster_id, '00000000-0000-0000-0000-000000000000')
+);
+CREATE INDEX IF NOT EXISTS role_assignments_organization_id_idx ON role_assignments (organization_id);
+CREATE INDEX IF NOT EXISTS role_assignments_disaster_id_idx ON role_assignments (disaster_id);
+
+ALTER TABLE organizations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE role_assignments ENABLE ROW LEVEL SECURITY;
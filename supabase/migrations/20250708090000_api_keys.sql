@@ -0,0 +1,48 @@
+/*
+  # API keys for machine integrations
+
+  1. New Tables
+    - `api_keys`
+      - `id` (uuid, primary key)
+      - `name` (text, required) - e.g. County CAD bridge
+      - `prefix` (text, required) - the first characters of the key, shown so
+        admins can tell keys apart
+      - `key_hash` (text, unique, required) - SHA-256 of the key; the key itself
+        is only returned once, when it is created
+      - `scopes` (text[], required) - e.g. {disasters:read,resources:write}
+      - `allowed_ips` (text[], optional) - addresses or CIDR ranges; empty
+        allows any address
+      - `rate_limit` (integer, optional) - requests per minute; null uses the
+        server default
+      - `expires_at` (timestamptz, required)
+      - `revoked_at` (timestamptz, optional)
+      - `last_used_at` (timestamptz, optional)
+      - `last_used_ip` (text, optional)
+      - `created_by` (text, required)
+      - `created_at`, `updated_at` (timestamptz)
+
+  2. Security
+    - Enable RLS with no policies; keys are only reached with the service key
+*/
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  name text NOT NULL,
+  prefix text NOT NULL,
+  key_hash text NOT NULL UNIQUE,
+  scopes text[] NOT NULL DEFAULT '{}',
+  allowed_ips text[] NOT NULL DEFAULT '{}',
+  rate_limit integer CHECK (rate_limit > 0),
+  expires_at timestamptz NOT NULL,
+  revoked_at timestamptz,
+  last_used_at timestamptz,
+  last_used_ip text,
+  created_by text NOT NULL,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+CREATE TRIGGER update_api_keys_updated_at BEFORE UPDATE ON api_keys
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,43 @@
+/*
+  # Shared rate limit counters
+
+  Rate limit counters live in the existing `cache` table under `ratelimit:`
+  keys, so every server instance counts against the same budget. Each counter
+  is `{ "hits": n }` and expires with its window, so the usual cache cleanup
+  removes stale counters.
+
+  1. Functions
+    - `rate_limit_hit(counter_key, window_ms)` - count one request and return
+      the hits so far and when the window resets; an expired counter starts a
+      new window. Runs as a single upsert, so concurrent requests are counted
+      exactly.
+    - `rate_limit_undo(counter_key)` - take back one hit in the current window
+*/
+
+CREATE OR REPLACE FUNCTION rate_limit_hit(counter_key text, window_ms integer)
+RETURNS TABLE (hits integer, reset_at timestamptz) AS $$
+    INSERT INTO cache AS c (key, value, expires_at)
+    VALUES (
+        counter_key,
+        jsonb_build_object('hits', 1),
+        now() + make_interval(secs => window_ms / 1000.0)
+    )
+    ON CONFLICT (key) DO UPDATE SET
+        value = CASE
+            WHEN c.expires_at <= now() THEN jsonb_build_object('hits', 1)
+            ELSE jsonb_build_object('hits', coalesce((c.value->>'hits')::integer, 0) + 1)
+        END,
+        expires_at = CASE
+            WHEN c.expires_at <= now() THEN EXCLUDED.expires_at
+            ELSE c.expires_at
+        END
+    RETURNING (c.value->>'hits')::integer, c.expires_at;
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION rate_limit_undo(counter_key text)
+RETURNS void AS $$
+    UPDATE cache
+    SET value = jsonb_build_object('hits', greatest(coalesce((value->>'hits')::integer, 0) - 1, 0))
+    WHERE key = counter_key
+      AND expires_at > now();
+$$ LANGUAGE sql;
@@ -0,0 +1,90 @@
+/*
+  # Moderation queue for untrusted submissions
+
+  1. New Tables
+    - `submissions` (disasters and resources waiting to be published)
+      - `id` (uuid, primary key)
+      - `kind` (text) - disaster or resource
+      - `disaster_id` (uuid, foreign key, resources only)
+      - `payload` (jsonb, required) - the validated create request
+      - `status` (text) - pending, approved or rejected
+      - `submitted_by` (text, required)
+      - `reviewed_by` (text, optional)
+      - `reviewed_at` (timestamptz, optional)
+      - `reason` (text, optional) - why it was rejected
+      - `published_id` (uuid, optional) - the disaster or resource created on approval
+      - `created_at`, `updated_at` (timestamptz)
+
+  2. Changes
+    - `users.trust_level` (text, default new) - restricted, new or trusted;
+      trusted users publish without review
+    - `users.approved_submissions`, `users.rejected_submissions` (integer)
+
+  3. Functions
+    - `record_submission_review(target_user_id, was_approved, promote_after)` -
+      count a review outcome and promote a `new` user to `trusted` once
+      approvals minus three times rejections reach `promote_after`. Returns the
+      user's trust level, or null for users without a row.
+
+  4. Security
+    - Enable RLS with no policies; only reached with the service key
+*/
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS trust_level text NOT NULL DEFAULT 'new'
+  CHECK (trust_level IN ('restricted', 'new', 'trusted'));
+ALTER TABLE users ADD COLUMN IF NOT EXISTS approved_submissions integer NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS rejected_submissions integer NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS submissions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  kind text NOT NULL CHECK (kind IN ('disaster', 'resource')),
+  disaster_id uuid REFERENCES disasters(id) ON DELETE CASCADE,
+  payload jsonb NOT NULL,
+  status text NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  submitted_by text NOT NULL,
+  reviewed_by text,
+  reviewed_at timestamptz,
+  reason text,
+  published_id uuid,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CHECK ((kind = 'resource') = (disaster_id IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS submissions_status_created_at_idx ON submissions (status, created_at);
+CREATE INDEX IF NOT EXISTS submissions_submitted_by_idx ON submissions (submitted_by);
+CREATE INDEX IF NOT EXISTS submissions_disaster_id_idx ON submissions (disaster_id);
+
+CREATE TRIGGER update_submissions_updated_at BEFORE UPDATE ON submissions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE submissions ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION record_submission_review(
+    target_user_id text,
+    was_approved boolean,
+    promote_after integer
+)
+RETURNS text AS $$
+DECLARE
+    reviewed users%ROWTYPE;
+BEGIN
+    UPDATE users
+    SET approved_submissions = approved_submissions + (CASE WHEN was_approved THEN 1 ELSE 0 END),
+        rejected_submissions = rejected_submissions + (CASE WHEN was_approved THEN 0 ELSE 1 END)
+    WHERE id = target_user_id
+    RETURNING * INTO reviewed;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    IF reviewed.trust_level = 'new'
+       AND reviewed.approved_submissions - 3 * reviewed.rejected_submissions >= promote_after THEN
+        UPDATE users SET trust_level = 'trusted' WHERE id = target_user_id;
+        RETURN 'trusted';
+    END IF;
+
+    RETURN reviewed.trust_level;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,90 @@
+/*
+  # Geofenced alert subscriptions
+
+  1. New Tables
+    - `alert_subscriptions`
+      - `id` (uuid, primary key)
+      - `user_id` (text, required) - the subscriber, `api_key:<id>` for partner systems
+      - `name` (text, required)
+      - `center` (geography point) and `radius_m` (integer) - a circular area, or
+      - `area` (jsonb) - a GeoJSON Polygon
+      - `area_geography` (geography, generated from `area`)
+      - `tags` (text array) - only disasters or updates with one of these tags; empty matches all
+      - `webhook_url` (text, optional) - also deliver alerts as signed POSTs
+      - `webhook_secret` (text, required) - HMAC key for the webhook signature
+      - `active` (boolean, default true)
+      - `created_at`, `updated_at` (timestamptz)
+
+    - `alert_deliveries` (one row per subscription and event, so each alert goes out once)
+      - `id` (uuid, primary key)
+      - `subscription_id` (uuid, foreign key)
+      - `event_key` (text) - e.g. `disaster_created:<id>:<updated_at>`, `official_update:<disaster id>:<update id>`
+      - `webhook_status` (text, optional) - sent or failed
+      - `webhook_error` (text, optional)
+      - `created_at` (timestamptz)
+
+  2. Functions
+    - `match_alert_subscriptions(target_disaster_id, extra_tags)` - active
+      subscriptions whose circle or polygon covers the disaster's location and
+      whose tags overlap the disaster's tags plus `extra_tags`
+
+  3. Security
+    - Enable RLS with no policies; only reached with the service key
+*/
+
+CREATE TABLE IF NOT EXISTS alert_subscriptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id text NOT NULL,
+  name text NOT NULL,
+  center geography(POINT, 4326),
+  radius_m integer CHECK (radius_m > 0),
+  area jsonb,
+  area_geography geography GENERATED ALWAYS AS (ST_GeomFromGeoJSON(area)::geography) STORED,
+  tags text[] NOT NULL DEFAULT '{}',
+  webhook_url text,
+  webhook_secret text NOT NULL,
+  active boolean NOT NULL DEFAULT true,
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now(),
+  CHECK (
+    (center IS NOT NULL AND radius_m IS NOT NULL AND area IS NULL)
+    OR (center IS NULL AND radius_m IS NULL AND area IS NOT NULL)
+  )
+);
+
+CREATE INDEX IF NOT EXISTS alert_subscriptions_user_id_idx ON alert_subscriptions (user_id);
+CREATE INDEX IF NOT EXISTS alert_subscriptions_center_idx ON alert_subscriptions USING GIST (center);
+CREATE INDEX IF NOT EXISTS alert_subscriptions_area_idx ON alert_subscriptions USING GIST (area_geography);
+
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id uuid NOT NULL REFERENCES alert_subscriptions(id) ON DELETE CASCADE,
+  event_key text NOT NULL,
+  webhook_status text CHECK (webhook_status IN ('sent', 'failed')),
+  webhook_error text,
+  created_at timestamptz DEFAULT now(),
+  UNIQUE (subscription_id, event_key)
+);
+
+CREATE TRIGGER update_alert_subscriptions_updated_at BEFORE UPDATE ON alert_subscriptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE alert_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE alert_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION match_alert_subscriptions(
+    target_disaster_id uuid,
+    extra_tags text[] DEFAULT '{}'
+)
+RETURNS SETOF alert_subscriptions AS $$
+    SELECT s.*
+    FROM alert_subscriptions s
+    JOIN disasters d ON d.id = target_disaster_id
+    WHERE s.active
+      AND d.location IS NOT NULL
+      AND (cardinality(s.tags) = 0 OR s.tags && (coalesce(d.tags, '{}') || coalesce(extra_tags, '{}')))
+      AND (
+        ST_DWithin(s.center, d.location, s.radius_m)
+        OR ST_Covers(s.area_geography, d.location)
+      );
+$$ LANGUAGE sql STABLE;
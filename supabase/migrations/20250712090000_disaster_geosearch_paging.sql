@@ -0,0 +1,130 @@
+/*
+  # Page disaster radius and bounding-box search in SQL
+
+  1. Functions
+    - `get_disasters_within_distance` and `get_disasters_in_bbox` - replaced.
+      The originals returned every disaster in the area, and the API then
+      loaded them all with an `id IN (...)` filter, so a wide search built a
+      URL long enough to be rejected. The new versions apply the listing
+      filters (tags, owner, statuses, created range), sort by distance or a
+      listing column, and return one page of `disaster_id` and `distance_m`
+      with `total_count`, the number of matches before paging.
+      `sort_column` is one of distance_m, created_at, updated_at, title or
+      severity_score; nulls sort last either way and ties break on id.
+
+  `get_nearest_disasters` is unchanged; it is already capped at `max_results`.
+*/
+
+DROP FUNCTION IF EXISTS get_disasters_within_distance(double precision, double precision, integer);
+DROP FUNCTION IF EXISTS get_disasters_in_bbox(double precision, double precision, double precision, double precision, double precision, double precision);
+
+-- Shared by both searches: filter, sort and page the disasters in an area
+CREATE OR REPLACE FUNCTION page_disaster_search(
+  area_hits uuid[],
+  center geography,
+  filter_tags text[],
+  match_all_tags boolean,
+  filter_owner_id text,
+  filter_statuses text[],
+  include_archived boolean,
+  created_after timestamptz,
+  created_before timestamptz,
+  sort_column text,
+  sort_ascending boolean,
+  max_results integer,
+  skip integer
+)
+RETURNS TABLE (disaster_id uuid, distance_m double precision, total_count bigint) AS $$
+  WITH matches AS (
+    SELECT d.*, ST_Distance(d.location, center) AS distance
+    FROM disasters d
+    WHERE d.id = ANY(area_hits)
+      AND (filter_tags IS NULL OR CASE WHEN match_all_tags THEN d.tags @> filter_tags ELSE d.tags && filter_tags END)
+      AND (filter_owner_id IS NULL OR d.owner_id = filter_owner_id)
+      AND CASE
+        WHEN filter_statuses IS NOT NULL THEN d.status = ANY(filter_statuses)
+        ELSE include_archived OR d.status <> 'archived'
+      END
+      AND (created_after IS NULL OR d.created_at >= created_after)
+      AND (created_before IS NULL OR d.created_at <= created_before)
+  )
+  SELECT m.id, m.distance, count(*) OVER ()
+  FROM matches m
+  ORDER BY
+    CASE WHEN sort_column = 'distance_m' AND sort_ascending THEN m.distance END ASC NULLS LAST,
+    CASE WHEN sort_column = 'distance_m' AND NOT sort_ascending THEN m.distance END DESC NULLS LAST,
+    CASE WHEN sort_column = 'created_at' AND sort_ascending THEN m.created_at END ASC NULLS LAST,
+    CASE WHEN sort_column = 'created_at' AND NOT sort_ascending THEN m.created_at END DESC NULLS LAST,
+    CASE WHEN sort_column = 'updated_at' AND sort_ascending THEN m.updated_at END ASC NULLS LAST,
+    CASE WHEN sort_column = 'updated_at' AND NOT sort_ascending THEN m.updated_at END DESC NULLS LAST,
+    CASE WHEN sort_column = 'title' AND sort_ascending THEN m.title END ASC NULLS LAST,
+    CASE WHEN sort_column = 'title' AND NOT sort_ascending THEN m.title END DESC NULLS LAST,
+    CASE WHEN sort_column = 'severity_score' AND sort_ascending THEN m.severity_score END ASC NULLS LAST,
+    CASE WHEN sort_column = 'severity_score' AND NOT sort_ascending THEN m.severity_score END DESC NULLS LAST,
+    m.id
+  LIMIT max_results
+  OFFSET skip;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION get_disasters_within_distance(
+  center_lat double precision,
+  center_lon double precision,
+  radius_meters integer,
+  filter_tags text[] DEFAULT NULL,
+  match_all_tags boolean DEFAULT false,
+  filter_owner_id text DEFAULT NULL,
+  filter_statuses text[] DEFAULT NULL,
+  include_archived boolean DEFAULT false,
+  created_after timestamptz DEFAULT NULL,
+  created_before timestamptz DEFAULT NULL,
+  sort_column text DEFAULT 'distance_m',
+  sort_ascending boolean DEFAULT true,
+  max_results integer DEFAULT 50,
+  skip integer DEFAULT 0
+)
+RETURNS TABLE (disaster_id uuid, distance_m double precision, total_count bigint) AS $$
+  SELECT *
+  FROM page_disaster_search(
+    ARRAY(
+      SELECT d.id
+      FROM disasters d
+      WHERE ST_DWithin(d.location, ST_SetSRID(ST_Point(center_lon, center_lat), 4326)::geography, radius_meters)
+    ),
+    ST_SetSRID(ST_Point(center_lon, center_lat), 4326)::geography,
+    filter_tags, match_all_tags, filter_owner_id, filter_statuses, include_archived,
+    created_after, created_before, sort_column, sort_ascending, max_results, skip
+  );
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION get_disasters_in_bbox(
+  min_lon double precision,
+  min_lat double precision,
+  max_lon double precision,
+  max_lat double precision,
+  center_lat double precision,
+  center_lon double precision,
+  filter_tags text[] DEFAULT NULL,
+  match_all_tags boolean DEFAULT false,
+  filter_owner_id text DEFAULT NULL,
+  filter_statuses text[] DEFAULT NULL,
+  include_archived boolean DEFAULT false,
+  created_after timestamptz DEFAULT NULL,
+  created_before timestamptz DEFAULT NULL,
+  sort_column text DEFAULT 'distance_m',
+  sort_ascending boolean DEFAULT true,
+  max_results integer DEFAULT 50,
+  skip integer DEFAULT 0
+)
+RETURNS TABLE (disaster_id uuid, distance_m double precision, total_count bigint) AS $$
+  SELECT *
+  FROM page_disaster_search(
+    ARRAY(
+      SELECT d.id
+      FROM disasters d
+      WHERE d.location && ST_MakeEnvelope(min_lon, min_lat, max_lon, max_lat, 4326)::geography
+    ),
+    ST_SetSRID(ST_Point(center_lon, center_lat), 4326)::geography,
+    filter_tags, match_all_tags, filter_owner_id, filter_statuses, include_archived,
+    created_after, created_before, sort_column, sort_ascending, max_results, skip
+  );
+$$ LANGUAGE sql STABLE;
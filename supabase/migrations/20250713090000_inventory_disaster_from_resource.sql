@@ -0,0 +1,60 @@
+/*
+  # Take inventory's disaster from its resource
+
+  1. Changed Tables
+    - `inventory_items.disaster_id` and `inventory_transactions.disaster_id` -
+      dropped. They were copied from the resource when the row was written, so
+      merging a duplicate disaster (which moves its resources) left the moved
+      shelters' stock under the archived duplicate. The disaster is now read
+      through `resources.disaster_id`.
+
+  2. Functions
+    - `record_inventory_transaction` - replaced; no longer writes the copy
+*/
+
+DROP INDEX IF EXISTS inventory_items_disaster_id_idx;
+
+ALTER TABLE inventory_items DROP COLUMN IF EXISTS disaster_id;
+ALTER TABLE inventory_transactions DROP COLUMN IF EXISTS disaster_id;
+
+CREATE OR REPLACE FUNCTION record_inventory_transaction(
+  target_item_id uuid,
+  transaction_kind text,
+  change numeric,
+  transaction_note text,
+  actor_id text
+)
+RETURNS jsonb AS $$
+DECLARE
+  item inventory_items%ROWTYPE;
+  previous_quantity numeric;
+  txn inventory_transactions%ROWTYPE;
+BEGIN
+  SELECT * INTO item FROM inventory_items WHERE id = target_item_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Inventory item % not found', target_item_id USING ERRCODE = 'P0002';
+  END IF;
+
+  previous_quantity := item.quantity;
+
+  IF item.quantity + change < 0 THEN
+    RAISE EXCEPTION 'Insufficient stock: % % available', item.quantity, item.unit USING ERRCODE = 'P0001';
+  END IF;
+
+  UPDATE inventory_items
+  SET quantity = quantity + change
+  WHERE id = target_item_id
+  RETURNING * INTO item;
+
+  INSERT INTO inventory_transactions (item_id, resource_id, kind, quantity, balance_after, note, user_id)
+  VALUES (item.id, item.resource_id, transaction_kind, change, item.quantity, transaction_note, actor_id)
+  RETURNING * INTO txn;
+
+  RETURN jsonb_build_object(
+    'item', to_jsonb(item),
+    'transaction', to_jsonb(txn),
+    'previous_quantity', previous_quantity
+  );
+END;
+$$ LANGUAGE plpgsql;
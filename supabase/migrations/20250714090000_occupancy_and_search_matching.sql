@@ -0,0 +1,45 @@
+/*
+  # Atomic shelter occupancy and matching new searches
+
+  1. Functions
+    - `adjust_resource_occupancy(target_resource_id, delta)` - adds `delta` to
+      `current_occupancy` (never below zero) in one statement, so concurrent
+      check-ins cannot overwrite each other, and moves a capacity-tracked
+      resource that is not closed between `open` and `full`. Returns the
+      updated resource, or no row when it does not exist.
+    - `match_search_persons(target_search_id, min_similarity)` - checked-in
+      persons whose name resembles a "looking for" search, best first; the
+      reverse of `match_person_searches`, run when a search is registered
+*/
+
+CREATE OR REPLACE FUNCTION adjust_resource_occupancy(
+  target_resource_id uuid,
+  delta integer
+)
+RETURNS SETOF resources AS $$
+  UPDATE resources
+  SET current_occupancy = greatest(0, current_occupancy + delta),
+      status = CASE
+        WHEN status = 'closed' OR capacity IS NULL THEN status
+        WHEN greatest(0, current_occupancy + delta) >= capacity THEN 'full'
+        ELSE 'open'
+      END
+  WHERE id = target_resource_id
+  RETURNING *;
+$$ LANGUAGE sql;
+
+CREATE OR REPLACE FUNCTION match_search_persons(
+  target_search_id uuid,
+  min_similarity real
+)
+RETURNS TABLE (person_id uuid, name_similarity real) AS $$
+  SELECT p.id, similarity(lower(s.full_name), lower(p.full_name))
+  FROM person_searches s
+  JOIN displaced_persons p
+    ON p.status = 'checked_in'
+   AND (s.disaster_id IS NULL OR p.disaster_id = s.disaster_id)
+   AND lower(p.full_name) % lower(s.full_name)
+  WHERE s.id = target_search_id
+    AND similarity(lower(s.full_name), lower(p.full_name)) >= min_similarity
+  ORDER BY 2 DESC;
+$$ LANGUAGE sql STABLE;
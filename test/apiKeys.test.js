@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// keyGrants lives in permissions.js, which loads the Supabase client
+process.env.VITE_SUPABASE_URL ??= 'http://127.0.0.1:54321';
+process.env.SUPABASE_SERVICE_KEY ??= 'test';
+
+const { generateApiKey, hashApiKey, ipAllowed, isValidIpRule, looksLikeApiKey } = await import('../utils/apiKeys.js');
+const { keyGrants } = await import('../utils/permissions.js');
+
+describe('generateApiKey', () => {
+  it('returns a prefixed key, its display prefix and its hash', () => {
+    const { key, prefix, key_hash } = generateApiKey();
+
+    assert.match(key, /^drk_[A-Za-z0-9_-]{43}$/);
+    assert.equal(prefix, key.slice(0, 12));
+    assert.equal(key_hash, hashApiKey(key));
+    assert.equal(looksLikeApiKey(key), true);
+  });
+
+  it('does not take a bearer token for a key', () => {
+    assert.equal(looksLikeApiKey('eyJhbGciOiJIUzI1NiJ9.e30.sig'), false);
+    assert.equal(looksLikeApiKey(undefined), false);
+  });
+});
+
+describe('isValidIpRule', () => {
+  const cases = [
+    ['203.0.113.7', true],
+    ['203.0.113.0/24', true],
+    ['0.0.0.0/0', true],
+    ['2001:db8::/32', true],
+    ['2001:db8::1', true],
+    ['203.0.113.0/33', false],
+    ['2001:db8::/129', false],
+    ['203.0.113.0/24/8', false],
+    ['203.0.113.0/abc', false],
+    ['example.org', false]
+  ];
+
+  for (const [rule, expected] of cases) {
+    it(`${expected ? 'accepts' : 'rejects'} ${rule}`, () => {
+      assert.equal(isValidIpRule(rule), expected);
+    });
+  }
+});
+
+describe('ipAllowed', () => {
+  const rules = ['203.0.113.0/24', '198.51.100.7', '2001:db8::/32'];
+
+  it('allows every address without rules', () => {
+    assert.equal(ipAllowed('192.0.2.1', []), true);
+    assert.equal(ipAllowed('192.0.2.1', null), true);
+  });
+
+  it('matches single addresses and CIDR ranges', () => {
+    assert.equal(ipAllowed('203.0.113.200', rules), true);
+    assert.equal(ipAllowed('198.51.100.7', rules), true);
+    assert.equal(ipAllowed('2001:db8:1::5', rules), true);
+  });
+
+  it('rejects addresses outside the rules', () => {
+    assert.equal(ipAllowed('203.0.114.1', rules), false);
+    assert.equal(ipAllowed('198.51.100.8', rules), false);
+    assert.equal(ipAllowed('2001:db9::1', rules), false);
+  });
+
+  it('matches IPv4 clients on dual-stack sockets', () => {
+    assert.equal(ipAllowed('::ffff:203.0.113.9', rules), true);
+    assert.equal(ipAllowed('::ffff:192.0.2.1', rules), false);
+  });
+
+  it('rejects a missing or malformed client address', () => {
+    assert.equal(ipAllowed(undefined, rules), false);
+    assert.equal(ipAllowed('not an address', rules), false);
+  });
+});
+
+describe('keyGrants', () => {
+  it('checks each scope a key holds', () => {
+    const scopes = ['reports:read', 'needs:write'];
+    assert.equal(keyGrants(scopes, 'needs:manage'), true);
+    assert.equal(keyGrants(scopes, 'reports:read'), true);
+    assert.equal(keyGrants(scopes, 'reports:create'), false);
+  });
+
+  it('grants nothing without scopes', () => {
+    assert.equal(keyGrants([], 'disasters:read'), false);
+  });
+});
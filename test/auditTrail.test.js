@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { auditActor, diffFields, fieldsAtVersion, toHistoryItem } from '../utils/auditTrail.js';
+
+// A point as PostgREST returns it: hex EWKB with SRID 4326
+function ewkbPoint(longitude, latitude) {
+  const buffer = Buffer.alloc(25);
+  buffer.writeUInt8(1, 0);
+  buffer.writeUInt32LE(0x20000001, 1);
+  buffer.writeUInt32LE(4326, 5);
+  buffer.writeDoubleLE(longitude, 9);
+  buffer.writeDoubleLE(latitude, 17);
+  return buffer.toString('hex');
+}
+
+describe('auditActor', () => {
+  it('records the user', () => {
+    assert.deepEqual(auditActor({ user: { id: 'user1' } }), { user_id: 'user1' });
+  });
+
+  it('records the API key that acted', () => {
+    assert.deepEqual(auditActor({ user: { id: 'api_key:k1' }, apiKey: { id: 'k1' } }), { user_id: 'api_key:k1', api_key_id: 'k1' });
+  });
+});
+
+describe('diffFields', () => {
+  it('lists only the fields that change', () => {
+    const existing = { title: 'Flood', tags: ['flood'], description: null };
+    const changes = diffFields(existing, { title: 'Flash flood', tags: ['flood'], description: 'Rising' });
+
+    assert.deepEqual(changes, [
+      { field: 'title', before: 'Flood', after: 'Flash flood' },
+      { field: 'description', before: null, after: 'Rising' }
+    ]);
+  });
+
+  it('treats missing and null as the same', () => {
+    assert.deepEqual(diffFields({ organization_id: null }, { organization_id: undefined }), []);
+  });
+
+  it('compares a stored location with new coordinates by position', () => {
+    const existing = { location: ewkbPoint(-73.9857, 40.7484) };
+
+    assert.deepEqual(diffFields(existing, { location: 'POINT(-73.9857 40.7484)' }), []);
+    assert.deepEqual(diffFields(existing, { location: 'POINT(-74 40.7484)' }), [
+      { field: 'location', before: existing.location, after: 'POINT(-74 40.7484)' }
+    ]);
+  });
+});
+
+describe('fieldsAtVersion', () => {
+  const trail = [
+    { action: 'create', user_id: 'user1' },
+    { action: 'update', user_id: 'user1', changes: [{ field: 'title', before: 'Flood', after: 'Flash flood' }] },
+    { action: 'status_change', user_id: 'user2', from: 'reported', to: 'verified' },
+    { action: 'update', user_id: 'user2', changes: [{ field: 'title', before: 'Flash flood', after: 'Major flood' }, { field: 'tags', before: [], after: ['flood'] }] }
+  ];
+  const current = { title: 'Major flood', tags: ['flood'], status: 'verified' };
+
+  it('undoes later field changes, newest first', () => {
+    assert.deepEqual(fieldsAtVersion(current, trail, 1), { title: 'Flood', tags: [] });
+    assert.deepEqual(fieldsAtVersion(current, trail, 3), { title: 'Flash flood', tags: [] });
+  });
+
+  it('leaves status to its own transitions', () => {
+    assert.equal('status' in fieldsAtVersion(current, trail, 1), false);
+  });
+
+  it('returns nothing to restore at the current version', () => {
+    assert.deepEqual(fieldsAtVersion(current, trail, trail.length), {});
+  });
+
+  it('refuses to revert past an entry without previous values', () => {
+    const legacy = [...trail, { action: 'update', user_id: 'user1', changes: ['description'] }];
+    assert.equal(fieldsAtVersion(current, legacy, 1), null);
+  });
+});
+
+describe('toHistoryItem', () => {
+  it('numbers versions from one and describes changes with a word diff', () => {
+    const item = toHistoryItem({
+      action: 'update',
+      user_id: 'user1',
+      api_key_id: 'k1',
+      timestamp: '2025-07-01T00:00:00.000Z',
+      changes: [{ field: 'title', before: 'Flood downtown', after: 'Flood uptown' }]
+    }, 1);
+
+    assert.equal(item.version, 2);
+    assert.equal(item.api_key_id, 'k1');
+    assert.deepEqual(item.summary, ['Changed title from "Flood downtown" to "Flood uptown"']);
+    assert.deepEqual(item.changes[0].diff, [
+      { type: 'equal', text: 'Flood ' },
+      { type: 'removed', text: 'downtown' },
+      { type: 'added', text: 'uptown' }
+    ]);
+  });
+
+  it('summarises status changes and merges', () => {
+    assert.deepEqual(toHistoryItem({ action: 'status_change', from: 'reported', to: 'verified' }, 0).summary, ['Changed status from reported to verified']);
+    assert.deepEqual(toHistoryItem({
+      action: 'merge',
+      merged_from: 'd2',
+      moved: { reports: ['r1', 'r2'], resources: [] }
+    }, 0).summary, ['Merged disaster d2 into this one (2 reports, 0 resources moved)']);
+  });
+
+  it('lists legacy entries by field name', () => {
+    const item = toHistoryItem({ action: 'update', changes: ['title', 'tags'] }, 0);
+    assert.deepEqual(item.summary, ['Changed title', 'Changed tags']);
+    assert.deepEqual(item.changes, [{ field: 'title' }, { field: 'tags' }]);
+  });
+});
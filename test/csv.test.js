@@ -0,0 +1,49 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, parseCsvRecords } from '../utils/csv.js';
+
+describe('parseCsv', () => {
+  it('splits rows and fields', () => {
+    assert.deepEqual(parseCsv('a,b\n1,2\r\n3,4'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  it('handles quoted fields, escaped quotes and embedded newlines', () => {
+    assert.deepEqual(parseCsv('name,notes\n"Shelter, North","Say ""hi""\nat the door"\n'), [
+      ['name', 'notes'],
+      ['Shelter, North', 'Say "hi"\nat the door']
+    ]);
+  });
+
+  it('drops a byte order mark and blank lines', () => {
+    assert.deepEqual(parseCsv('\uFEFFname\n\nA\n , \nB\n'), [['name'], ['A'], ['B']]);
+  });
+
+  it('keeps empty fields', () => {
+    assert.deepEqual(parseCsv('a,,c'), [['a', '', 'c']]);
+  });
+});
+
+describe('parseCsvRecords', () => {
+  it('keys rows by snake_case headers', () => {
+    assert.deepEqual(parseCsvRecords('Location Name,Type\n"12 Main St",shelter'), [
+      { location_name: '12 Main St', type: 'shelter' }
+    ]);
+  });
+
+  it('renames mapped columns', () => {
+    const records = parseCsvRecords('Shelter Name,Beds\nCity Gym,120', { 'Shelter Name': 'name', Beds: 'capacity' });
+    assert.deepEqual(records, [{ name: 'City Gym', capacity: '120' }]);
+  });
+
+  it('trims values and leaves out empty cells', () => {
+    assert.deepEqual(parseCsvRecords('name,capacity,notes\n  Gym , ,\n'), [{ name: 'Gym' }]);
+  });
+
+  it('ignores cells without a header', () => {
+    assert.deepEqual(parseCsvRecords('name,\nGym,extra'), [{ name: 'Gym' }]);
+  });
+
+  it('returns no records for an empty file', () => {
+    assert.deepEqual(parseCsvRecords(''), []);
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeCursor, encodeCursor, keysetFilter } from '../utils/pagination.js';
+
+describe('encodeCursor / decodeCursor', () => {
+  it('round-trips the sort value and id of a row', () => {
+    const row = { id: 'd1', created_at: '2025-07-01T12:00:00.000Z', title: 'Flood' };
+    const cursor = encodeCursor(row, 'created_at');
+
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(decodeCursor(cursor), { v: '2025-07-01T12:00:00.000Z', id: 'd1' });
+  });
+
+  it('keeps a missing sort value as null', () => {
+    assert.deepEqual(decodeCursor(encodeCursor({ id: 'd1' }, 'severity_score')), { v: null, id: 'd1' });
+  });
+
+  it('rejects malformed cursors', () => {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+    assert.equal(decodeCursor('not a cursor'), null);
+    assert.equal(decodeCursor(encode(null)), null);
+    assert.equal(decodeCursor(encode({ v: 1 })), null);
+    assert.equal(decodeCursor(encode({ id: 'd1' })), null);
+    assert.equal(decodeCursor(encode({ v: 1, id: 7 })), null);
+  });
+});
+
+describe('keysetFilter', () => {
+  it('continues after the cursor, then through ties by id, then NULL values', () => {
+    assert.equal(
+      keysetFilter('created_at', false, { v: '2025-07-01T12:00:00.000Z', id: 'd1' }),
+      'created_at.lt."2025-07-01T12:00:00.000Z",and(created_at.eq."2025-07-01T12:00:00.000Z",id.lt."d1"),created_at.is.null'
+    );
+  });
+
+  it('pages ascending with gt', () => {
+    assert.equal(keysetFilter('title', true, { v: 'Flood', id: 'd1' }), 'title.gt."Flood",and(title.eq."Flood",id.gt."d1"),title.is.null');
+  });
+
+  it('stays among NULL values once past the last value', () => {
+    assert.equal(keysetFilter('severity_score', false, { v: null, id: 'd1' }), 'and(severity_score.is.null,id.lt."d1")');
+  });
+
+  it('quotes values so they cannot break out of the filter', () => {
+    assert.equal(
+      keysetFilter('title', true, { v: 'a"),id.gt.(x\\', id: 'd1' }),
+      'title.gt."a\\"),id.gt.(x\\\\",and(title.eq."a\\"),id.gt.(x\\\\",id.gt."d1"),title.is.null'
+    );
+  });
+});
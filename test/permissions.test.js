@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// permissions.js loads the Supabase client, which needs configuration; the
+// tests seed role assignments on the request so it is never queried
+process.env.VITE_SUPABASE_URL ??= 'http://127.0.0.1:54321';
+process.env.SUPABASE_SERVICE_KEY ??= 'test';
+
+const { assignedToDisaster, hasPermission, keyGrants, roleGrants } = await import('../utils/permissions.js');
+
+const DISASTER = 'disaster-1';
+const OTHER_DISASTER = 'disaster-2';
+
+// A request whose role assignments and disaster organizations are already loaded
+const request = (role, assignments = []) => ({
+  user: { id: 'user1', role },
+  roleAssignments: assignments,
+  disasterOrganizations: new Map([[DISASTER, 'org-1'], [OTHER_DISASTER, 'org-2']])
+});
+
+describe('roleGrants', () => {
+  const cases = [
+    ['admin', 'anything:at-all', true],
+    ['coordinator', 'disasters:delete', true],
+    ['coordinator', 'alerts:webhook', true],
+    ['coordinator', 'pii:read', false],
+    ['verifier', 'reports:verify', true],
+    ['verifier', 'reports:create', false],
+    ['responder', 'needs:manage', true],
+    ['responder', 'tasks:manage', false],
+    ['contributor', 'disasters:create', true],
+    ['contributor', 'disasters:verify', false],
+    ['viewer', 'reports:create', false],
+    ['unknown', 'reports:create', false]
+  ];
+
+  for (const [role, permission, expected] of cases) {
+    it(`${expected ? 'grants' : 'denies'} ${permission} to ${role}`, () => {
+      assert.equal(roleGrants(role, permission), expected);
+    });
+  }
+});
+
+describe('keyGrants', () => {
+  it('lets a write scope cover every action in its area', () => {
+    assert.equal(keyGrants(['reports:write'], 'reports:verify'), true);
+    assert.equal(keyGrants(['reports:write'], 'reports:read'), true);
+  });
+
+  it('limits a read scope to reads', () => {
+    assert.equal(keyGrants(['reports:read'], 'reports:read'), true);
+    assert.equal(keyGrants(['reports:read'], 'reports:create'), false);
+  });
+
+  it('does not carry over to other areas', () => {
+    assert.equal(keyGrants(['reports:write'], 'resources:create'), false);
+  });
+});
+
+describe('hasPermission', () => {
+  it('applies the base role everywhere', async () => {
+    const req = request('coordinator');
+    assert.equal(await hasPermission(req, 'disasters:update', { disasterId: DISASTER }), true);
+    assert.equal(await hasPermission(req, 'disasters:update', { disasterId: OTHER_DISASTER }), true);
+  });
+
+  it('applies an organization role to that organization\'s disasters only', async () => {
+    const req = request('contributor', [{ role: 'coordinator', organization_id: 'org-1', disaster_id: null }]);
+    assert.equal(await hasPermission(req, 'disasters:update', { disasterId: DISASTER }), true);
+    assert.equal(await hasPermission(req, 'disasters:update', { disasterId: OTHER_DISASTER }), false);
+    assert.equal(await hasPermission(req, 'disasters:update'), false);
+  });
+
+  it('applies a disaster role to that disaster only', async () => {
+    const req = request('viewer', [{ role: 'verifier', organization_id: null, disaster_id: DISASTER }]);
+    assert.equal(await hasPermission(req, 'reports:verify', { disasterId: DISASTER }), true);
+    assert.equal(await hasPermission(req, 'reports:verify', { disasterId: OTHER_DISASTER }), false);
+  });
+
+  it('counts every assignment with anyScope', async () => {
+    const req = request('viewer', [{ role: 'verifier', organization_id: null, disaster_id: DISASTER }]);
+    assert.equal(await hasPermission(req, 'moderation:review', { anyScope: true }), true);
+  });
+
+  it('uses an API key\'s scopes instead of roles', async () => {
+    const req = { user: { id: 'api_key:1', role: 'api_key' }, apiKey: { id: '1', scopes: ['needs:write'] } };
+    assert.equal(await hasPermission(req, 'needs:manage', { disasterId: DISASTER }), true);
+    assert.equal(await hasPermission(req, 'tasks:manage', { disasterId: DISASTER }), false);
+  });
+});
+
+describe('assignedToDisaster', () => {
+  it('counts roles assigned for the disaster or its organization', async () => {
+    assert.equal(await assignedToDisaster(request('contributor', [{ role: 'viewer', organization_id: null, disaster_id: DISASTER }]), DISASTER), true);
+    assert.equal(await assignedToDisaster(request('contributor', [{ role: 'viewer', organization_id: 'org-1', disaster_id: null }]), DISASTER), true);
+  });
+
+  it('ignores the base role, global roles and other scopes', async () => {
+    const req = request('admin', [
+      { role: 'coordinator', organization_id: null, disaster_id: null },
+      { role: 'coordinator', organization_id: 'org-2', disaster_id: null },
+      { role: 'coordinator', organization_id: null, disaster_id: OTHER_DISASTER }
+    ]);
+    assert.equal(await assignedToDisaster(req, DISASTER), false);
+  });
+});
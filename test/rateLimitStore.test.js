@@ -0,0 +1,71 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The store talks to Supabase; the tests replace the client's calls
+process.env.VITE_SUPABASE_URL ??= 'http://127.0.0.1:54321';
+process.env.SUPABASE_SERVICE_KEY ??= 'test';
+
+const { supabase } = await import('../config/supabase.js');
+const { SupabaseRateLimitStore } = await import('../utils/rateLimitStore.js');
+
+describe('SupabaseRateLimitStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new SupabaseRateLimitStore('ai');
+    store.init({ windowMs: 60000 });
+  });
+
+  it('counts hits under a tier-prefixed key', async (t) => {
+    const rpc = t.mock.method(supabase, 'rpc', async () => ({
+      data: [{ hits: 3, reset_at: '2025-07-09T12:01:00.000Z' }],
+      error: null
+    }));
+
+    const result = await store.increment('user:user1');
+
+    assert.deepEqual(rpc.mock.calls[0].arguments, ['rate_limit_hit', { counter_key: 'ratelimit:ai:user:user1', window_ms: 60000 }]);
+    assert.deepEqual(result, { totalHits: 3, resetTime: new Date('2025-07-09T12:01:00.000Z') });
+  });
+
+  it('keeps tiers apart', async (t) => {
+    const rpc = t.mock.method(supabase, 'rpc', async () => ({ data: [{ hits: 1, reset_at: new Date().toISOString() }], error: null }));
+    const standard = new SupabaseRateLimitStore('standard');
+    standard.init({ windowMs: 60000 });
+
+    await store.increment('user:user1');
+    await standard.increment('user:user1');
+
+    assert.notEqual(rpc.mock.calls[0].arguments[1].counter_key, rpc.mock.calls[1].arguments[1].counter_key);
+  });
+
+  it('throws store errors so express-rate-limit can let the request through', async (t) => {
+    t.mock.method(supabase, 'rpc', async () => ({ data: null, error: new Error('connection refused') }));
+
+    await assert.rejects(store.increment('user:user1'), /connection refused/);
+  });
+
+  it('undoes a hit', async (t) => {
+    const rpc = t.mock.method(supabase, 'rpc', async () => ({ data: null, error: null }));
+
+    await store.decrement('user:user1');
+
+    assert.deepEqual(rpc.mock.calls[0].arguments, ['rate_limit_undo', { counter_key: 'ratelimit:ai:user:user1' }]);
+  });
+
+  it('deletes the counter on reset', async (t) => {
+    const calls = [];
+    t.mock.method(supabase, 'from', (table) => {
+      calls.push(['from', table]);
+      const query = {
+        delete: () => { calls.push(['delete']); return query; },
+        eq: async (column, value) => { calls.push(['eq', column, value]); return { error: null }; }
+      };
+      return query;
+    });
+
+    await store.resetKey('user:user1');
+
+    assert.deepEqual(calls, [['from', 'cache'], ['delete'], ['eq', 'key', 'ratelimit:ai:user:user1']]);
+  });
+});
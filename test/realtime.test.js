@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// realtime.js looks disasters and role assignments up in Supabase; the tests
+// replace the client's queries
+process.env.VITE_SUPABASE_URL ??= 'http://127.0.0.1:54321';
+process.env.SUPABASE_SERVICE_KEY ??= 'test';
+
+const { supabase } = await import('../config/supabase.js');
+const { createBroadcaster, disasterRooms, publicRoom, unredactedRoom } = await import('../utils/realtime.js');
+
+const DISASTER = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+const ROOM = `disaster_${DISASTER}`;
+
+// A Socket.IO server that records what was sent where
+function fakeIo() {
+  const sent = [];
+  const target = (to, except = []) => ({
+    except: (rooms) => target(to, [].concat(rooms)),
+    emit: (event, payload) => sent.push({ to: [].concat(to), except, event, payload })
+  });
+  return { io: { to: (rooms) => target(rooms) }, sent };
+}
+
+// Answer every query on a table with the given rows
+function mockTables(t, tables) {
+  t.mock.method(supabase, 'from', (table) => {
+    const result = { data: tables[table] ?? null, error: null };
+    const query = {
+      select: () => query,
+      eq: () => query,
+      maybeSingle: async () => result,
+      then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return query;
+  });
+}
+
+describe('createBroadcaster', () => {
+  it('sends global events to authenticated sockets and public events to the public room', () => {
+    const { io, sent } = fakeIo();
+    const disaster = { id: 'd1', title: 'Flood', description: 'Details', owner_id: 'user1' };
+
+    createBroadcaster(io).emit('disaster_created', disaster);
+
+    assert.deepEqual(sent, [
+      { to: ['authenticated'], except: [], event: 'disaster_created', payload: disaster },
+      { to: ['public'], except: [], event: 'disaster_created', payload: { id: 'd1', title: 'Flood' } }
+    ]);
+  });
+
+  it('keeps private events off the public rooms', () => {
+    const { io, sent } = fakeIo();
+
+    createBroadcaster(io).to(ROOM).emit('task_deleted', { id: 't1' });
+
+    assert.deepEqual(sent, [{ to: [ROOM], except: [], event: 'task_deleted', payload: { id: 't1' } }]);
+  });
+
+  it('redacts events with personal details except in unredacted rooms', () => {
+    const { io, sent } = fakeIo();
+    const report = { id: 'r1', content: 'Call 555-123-4567' };
+
+    createBroadcaster(io).to(ROOM).emit('report_created', report);
+
+    assert.deepEqual(sent, [
+      { to: [ROOM], except: [unredactedRoom(ROOM)], event: 'report_created', payload: { id: 'r1', content: 'Call [phone redacted]' } },
+      { to: [unredactedRoom(ROOM)], except: [], event: 'report_created', payload: report }
+    ]);
+  });
+
+  it('sends public events to the public companion of the room', () => {
+    const { io, sent } = fakeIo();
+
+    createBroadcaster(io).to(ROOM).emit('resource_deleted', { id: 'r1', disaster_id: DISASTER });
+
+    assert.deepEqual(sent.map(({ to }) => to), [[ROOM], ['public', publicRoom(ROOM)]]);
+  });
+});
+
+describe('disasterRooms', () => {
+  const socket = (user, extra = {}) => ({ data: { user, ...extra } });
+  const disaster = { id: DISASTER, owner_id: 'owner', organization_id: 'org-1' };
+
+  it('turns away anonymous sockets and invalid ids', async () => {
+    assert.deepEqual(await disasterRooms(socket(undefined), DISASTER), { error: 'Authentication required' });
+    assert.deepEqual(await disasterRooms(socket({ id: 'user1', role: 'viewer' }), 'disaster-1'), { error: 'Invalid disaster id' });
+  });
+
+  it('reports a missing disaster', async (t) => {
+    mockTables(t, {});
+    assert.deepEqual(await disasterRooms(socket({ id: 'user1', role: 'viewer' }), DISASTER), { error: 'Disaster not found' });
+  });
+
+  it('gives the owner the full room', async (t) => {
+    mockTables(t, { disasters: disaster, role_assignments: [] });
+    assert.deepEqual(await disasterRooms(socket({ id: 'owner', role: 'contributor' }), DISASTER), { stream: 'full', rooms: [ROOM] });
+  });
+
+  it('adds the unredacted companion for sockets that see personal details', async (t) => {
+    mockTables(t, { disasters: disaster, role_assignments: [] });
+    assert.deepEqual(
+      await disasterRooms(socket({ id: 'admin1', role: 'admin' }, { seesPii: true }), DISASTER),
+      { stream: 'full', rooms: [ROOM, unredactedRoom(ROOM)] }
+    );
+  });
+
+  it('gives roles assigned for the disaster\'s organization the full room', async (t) => {
+    mockTables(t, { disasters: disaster, role_assignments: [{ role: 'viewer', organization_id: 'org-1', disaster_id: null }] });
+    assert.equal((await disasterRooms(socket({ id: 'user1', role: 'contributor' }), DISASTER)).stream, 'full');
+  });
+
+  it('gives global response roles the full room', async (t) => {
+    mockTables(t, { disasters: disaster, role_assignments: [] });
+    assert.equal((await disasterRooms(socket({ id: 'user1', role: 'responder' }), DISASTER)).stream, 'full');
+  });
+
+  it('gives other users the public companion', async (t) => {
+    mockTables(t, { disasters: disaster, role_assignments: [{ role: 'coordinator', organization_id: 'org-2', disaster_id: null }] });
+    assert.deepEqual(await disasterRooms(socket({ id: 'user1', role: 'contributor' }), DISASTER), { stream: 'public', rooms: [publicRoom(ROOM)] });
+  });
+
+  it('needs disasters:read for API keys', async (t) => {
+    mockTables(t, { disasters: disaster });
+    const user = { id: 'api_key:k1', role: 'api_key' };
+
+    assert.deepEqual(await disasterRooms(socket(user, { apiKey: { id: 'k1', scopes: ['disasters:read'] } }), DISASTER), { stream: 'full', rooms: [ROOM] });
+    assert.deepEqual(await disasterRooms(socket(user, { apiKey: { id: 'k1', scopes: ['reports:write'] } }), DISASTER), { error: 'Permission denied' });
+  });
+});
@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// redaction.js loads the Supabase client through permissions.js
+process.env.VITE_SUPABASE_URL ??= 'http://127.0.0.1:54321';
+process.env.SUPABASE_SERVICE_KEY ??= 'test';
+
+const { carriesPii, redactEvent, redactFor, redactMarkedText, redactText } = await import('../utils/redaction.js');
+
+describe('redactText', () => {
+  const cases = [
+    ['Call 555-123-4567 for pickup', 'Call [phone redacted] for pickup'],
+    ['Call (555) 123 4567', 'Call [phone redacted]'],
+    ['Reach me on +44 20 7946 0958', 'Reach me on [phone redacted]'],
+    ['Text 5551234567', 'Text [phone redacted]'],
+    ['Email jane.doe+relief@example.org today', 'Email [email redacted] today'],
+    ['Stranded at 221 Baker St', 'Stranded at [address redacted]'],
+    ['Family at 12 West 5th Avenue, Apt 3B needs water', 'Family at [address redacted] needs water']
+  ];
+
+  for (const [input, expected] of cases) {
+    it(`redacts "${input}"`, () => {
+      assert.equal(redactText(input).text, expected);
+    });
+  }
+
+  it('reports what it found', () => {
+    const { found } = redactText('555-123-4567, 555-987-6543 or help@example.org');
+    assert.deepEqual(found, { email: 1, phone: 2 });
+  });
+
+  it('leaves ordinary text alone', () => {
+    const text = 'Water rising near Route 9; 40 people at the shelter since 2024';
+    assert.deepEqual(redactText(text), { text, found: {} });
+  });
+
+  it('does not take the digits of an email for a phone number', () => {
+    assert.equal(redactText('5551234567@example.com').text, '[email redacted]');
+  });
+});
+
+describe('redactMarkedText', () => {
+  it('redacts a phone number split by a highlight', () => {
+    assert.equal(redactMarkedText('Call <mark>555</mark>-123-4567 now').text, 'Call [phone redacted] now');
+  });
+
+  it('redacts an email split by a highlight', () => {
+    assert.equal(redactMarkedText('Write to <mark>john</mark>@example.com').text, 'Write to [email redacted]');
+  });
+
+  it('keeps highlights outside the redacted text', () => {
+    const { text, found } = redactMarkedText('<mark>Flood</mark> victims: call <mark>555</mark>-123-4567 about the <mark>flood</mark>');
+    assert.equal(text, '<mark>Flood</mark> victims: call [phone redacted] about the <mark>flood</mark>');
+    assert.deepEqual(found, { phone: 1 });
+  });
+
+  it('returns text without personal details unchanged', () => {
+    const text = 'Shelter <mark>open</mark> at the school';
+    assert.equal(redactMarkedText(text).text, text);
+  });
+});
+
+describe('socket events', () => {
+  it('knows which events carry free text', () => {
+    assert.equal(carriesPii('report_created'), true);
+    assert.equal(carriesPii('need_matched'), true);
+    assert.equal(carriesPii('task_assigned'), true);
+    assert.equal(carriesPii('disaster_severity_updated'), false);
+  });
+
+  it('redacts nested records', () => {
+    const payload = {
+      need: { id: 'n1', description: 'Call 555-123-4567', location_name: '12 Elm Street' },
+      resource: { id: 'r1', name: 'Shelter', contact_info: 'desk@example.org' }
+    };
+
+    assert.deepEqual(redactEvent('need_matched', payload), {
+      need: { id: 'n1', description: 'Call [phone redacted]', location_name: '[address redacted]' },
+      resource: { id: 'r1', name: 'Shelter', contact_info: '[email redacted]' }
+    });
+    assert.equal(payload.need.description, 'Call 555-123-4567');
+  });
+});
+
+describe('redactFor', () => {
+  const reports = [{ id: 'r1', content: 'Trapped, call 555-123-4567' }];
+  const request = (role) => ({ user: { id: 'user1', role }, roleAssignments: [] });
+
+  it('returns the original text to callers with pii:read', async () => {
+    assert.equal(await redactFor(request('admin'), 'report', reports), reports);
+  });
+
+  it('redacts for everyone else', async () => {
+    assert.deepEqual(await redactFor(request('coordinator'), 'report', reports), [{ id: 'r1', content: 'Trapped, call [phone redacted]' }]);
+  });
+
+  it('redacts for API keys', async () => {
+    const req = { user: { id: 'api_key:1', role: 'api_key' }, apiKey: { id: '1', scopes: ['reports:write'] } };
+    assert.deepEqual(await redactFor(req, 'report', reports[0]), { id: 'r1', content: 'Trapped, call [phone redacted]' });
+  });
+});
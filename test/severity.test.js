@@ -0,0 +1,73 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// severity.js loads the Supabase client for recomputeSeverity; only the pure
+// scoring is tested here
+process.env.VITE_SUPABASE_URL ??= 'http://127.0.0.1:54321';
+process.env.SUPABASE_SERVICE_KEY ??= 'test';
+
+const { computeSeverity, severityLevel } = await import('../utils/severity.js');
+
+const reports = (count, content = 'Water in the street') => Array.from({ length: count }, () => ({ content }));
+
+describe('severityLevel', () => {
+  const cases = [[0, 'low'], [24.99, 'low'], [25, 'medium'], [50, 'high'], [74.99, 'high'], [75, 'critical'], [100, 'critical']];
+
+  for (const [score, level] of cases) {
+    it(`rates ${score} as ${level}`, () => {
+      assert.equal(severityLevel(score), level);
+    });
+  }
+});
+
+describe('computeSeverity', () => {
+  it('scores a disaster with no signals as zero', () => {
+    const result = computeSeverity({});
+    assert.equal(result.score, 0);
+    assert.equal(result.level, 'low');
+  });
+
+  it('weighs report volume and the resources available for it', () => {
+    // Nine reports: half the volume signal, and no resources for them
+    const result = computeSeverity({ reports: reports(9) });
+
+    assert.equal(result.components.reports.value, 0.3);
+    assert.equal(result.components.resource_shortage.value, 1);
+    assert.equal(result.components.resource_shortage.contribution, 20);
+    assert.equal(result.score, 27.5);
+    assert.equal(result.level, 'medium');
+  });
+
+  it('eases the shortage as resources arrive', () => {
+    assert.equal(computeSeverity({ reports: reports(20), resourceCount: 1 }).components.resource_shortage.value, 0.5);
+    assert.equal(computeSeverity({ reports: reports(20), resourceCount: 5 }).components.resource_shortage.value, 0);
+  });
+
+  it('counts urgent reports', () => {
+    const result = computeSeverity({ reports: [...reports(1, 'Family trapped on the roof'), ...reports(1, 'SOS'), ...reports(2)] });
+    assert.equal(result.inputs.urgent_reports, 2);
+  });
+
+  it('ignores image urgency from suspicious verifications', () => {
+    const result = computeSeverity({
+      reports: [
+        { content: 'Photo', verification_status: 'authentic', verification_details: { urgency_level: 'high' } },
+        { content: 'Photo', verification_status: 'suspicious', verification_details: { urgency_level: 'critical' } }
+      ]
+    });
+
+    assert.equal(result.inputs.verified_images, 1);
+    assert.equal(result.components.image_urgency.value, 0.75);
+  });
+
+  it('averages social urgency and takes the highest official priority', () => {
+    const result = computeSeverity({
+      socialPosts: [{ urgency: 'low' }, { urgency: 'critical' }, { urgency: 'unknown' }],
+      officialUpdates: [{ priority: 'medium' }, { priority: 'high' }]
+    });
+
+    assert.equal(result.components.social_urgency.value, 0.63);
+    assert.equal(result.components.official_priority.value, 1);
+    assert.equal(result.score, 27.5);
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { hashPassword, verifyPassword } from '../utils/passwords.js';
+import { ACCESS_TOKEN_TTL, signToken, TokenError, verifyToken } from '../utils/tokens.js';
+
+describe('tokens', () => {
+  before(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  it('verifies a token it signed and returns its claims', () => {
+    const { token, payload } = signToken({ sub: 'user1', role: 'contributor' }, 'access');
+    const claims = verifyToken(token, 'access');
+
+    assert.equal(claims.sub, 'user1');
+    assert.equal(claims.role, 'contributor');
+    assert.equal(claims.jti, payload.jti);
+    assert.equal(claims.exp - claims.iat, ACCESS_TOKEN_TTL);
+  });
+
+  it('rejects a token whose payload was changed', () => {
+    const { token } = signToken({ sub: 'user1', role: 'contributor' }, 'access');
+    const [header, , signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ sub: 'user1', role: 'admin', type: 'access', exp: 9999999999 })).toString('base64url');
+
+    assert.throws(() => verifyToken(`${header}.${forged}.${signature}`, 'access'), TokenError);
+  });
+
+  it('rejects a token signed with another secret', () => {
+    const { token } = signToken({ sub: 'user1' }, 'access');
+    process.env.JWT_SECRET = 'other-secret';
+    try {
+      assert.throws(() => verifyToken(token, 'access'), { name: 'TokenError', message: 'Invalid token signature' });
+    } finally {
+      process.env.JWT_SECRET = 'test-secret';
+    }
+  });
+
+  it('rejects a refresh token where an access token is expected', () => {
+    const { token } = signToken({ sub: 'user1' }, 'refresh');
+    assert.throws(() => verifyToken(token, 'access'), { name: 'TokenError', message: /access token/ });
+  });
+
+  it('rejects an expired token', (t) => {
+    const { token } = signToken({ sub: 'user1' }, 'access');
+    const now = Date.now();
+    t.mock.method(Date, 'now', () => now + (ACCESS_TOKEN_TTL + 1) * 1000);
+
+    assert.throws(() => verifyToken(token, 'access'), { message: 'Token expired' });
+  });
+
+  it('rejects malformed tokens', () => {
+    for (const token of [undefined, '', 'abc', 'a.b', 'a.b.c.d']) {
+      assert.throws(() => verifyToken(token, 'access'), TokenError);
+    }
+  });
+});
+
+describe('passwords', () => {
+  it('verifies the password a hash was made from', async () => {
+    const hash = await hashPassword('correct horse');
+
+    assert.match(hash, /^scrypt\$16384\$8\$1\$/);
+    assert.equal(await verifyPassword('correct horse', hash), true);
+    assert.equal(await verifyPassword('wrong horse', hash), false);
+  });
+
+  it('salts every hash', async () => {
+    assert.notEqual(await hashPassword('same'), await hashPassword('same'));
+  });
+
+  it('rejects missing and unknown hash formats', async () => {
+    assert.equal(await verifyPassword('anything', null), false);
+    assert.equal(await verifyPassword('anything', 'bcrypt$abc'), false);
+  });
+});
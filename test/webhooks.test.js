@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import {
+  assertPublicWebhookUrl,
+  generateWebhookSecret,
+  isPublicAddress,
+  sendWebhook,
+  signWebhookBody,
+  WebhookUrlError
+} from '../utils/webhooks.js';
+
+describe('signWebhookBody', () => {
+  it('signs the raw body with HMAC-SHA256', () => {
+    const secret = generateWebhookSecret();
+    const body = JSON.stringify({ event: 'disaster_created', disaster: { id: 'd1' } });
+    const expected = createHmac('sha256', secret).update(body).digest('hex');
+
+    assert.equal(signWebhookBody(secret, body), `sha256=${expected}`);
+  });
+
+  it('gives a different signature for another secret or body', () => {
+    const body = '{"event":"official_update"}';
+    assert.notEqual(signWebhookBody('whsec_a', body), signWebhookBody('whsec_b', body));
+    assert.notEqual(signWebhookBody('whsec_a', body), signWebhookBody('whsec_a', `${body} `));
+  });
+
+  it('generates distinct prefixed secrets', () => {
+    const secret = generateWebhookSecret();
+    assert.match(secret, /^whsec_[A-Za-z0-9_-]{32}$/);
+    assert.notEqual(secret, generateWebhookSecret());
+  });
+});
+
+describe('isPublicAddress', () => {
+  const cases = [
+    ['8.8.8.8', true],
+    ['2606:4700:4700::1111', true],
+    ['::ffff:8.8.8.8', true],
+    ['127.0.0.1', false],
+    ['10.1.2.3', false],
+    ['172.16.0.1', false],
+    ['192.168.1.1', false],
+    ['169.254.169.254', false],
+    ['100.64.0.1', false],
+    ['0.0.0.0', false],
+    ['::1', false],
+    ['fd00::1', false],
+    ['fe80::1', false],
+    ['::ffff:127.0.0.1', false],
+    ['not an address', false]
+  ];
+
+  for (const [address, expected] of cases) {
+    it(`treats ${address} as ${expected ? 'public' : 'private'}`, () => {
+      assert.equal(isPublicAddress(address), expected);
+    });
+  }
+});
+
+describe('assertPublicWebhookUrl', () => {
+  it('accepts https URLs on public addresses', async () => {
+    await assertPublicWebhookUrl('https://8.8.8.8/hooks/alerts');
+    await assertPublicWebhookUrl('https://[2606:4700:4700::1111]/hooks');
+  });
+
+  it('rejects plain http', async () => {
+    await assert.rejects(assertPublicWebhookUrl('http://8.8.8.8/hook'), { name: 'WebhookUrlError', message: /https/ });
+  });
+
+  it('rejects private, loopback and metadata addresses', async () => {
+    for (const url of ['https://127.0.0.1/', 'https://169.254.169.254/latest/meta-data', 'https://10.0.0.5/', 'https://[::1]/']) {
+      await assert.rejects(assertPublicWebhookUrl(url), WebhookUrlError, url);
+    }
+  });
+
+  it('rejects invalid URLs', async () => {
+    await assert.rejects(assertPublicWebhookUrl('not a url'), WebhookUrlError);
+  });
+});
+
+describe('sendWebhook', () => {
+  it('refuses private targets before making a request', async () => {
+    await assert.rejects(sendWebhook('https://127.0.0.1/hook', 'whsec_test', { event: 'test' }), WebhookUrlError);
+  });
+});
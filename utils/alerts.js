@@ -0,0 +1,138 @@
+import Joi from 'joi';
+import { supabase } from '../config/supabase.js';
+import { logger } from './logger.js';
+import { userRoom } from './realtime.js';
+import { sendWebhook } from './webhooks.js';
+
+const disasterIdSchema = Joi.string().guid().required();
+
+// What an alert says about the disaster; descriptions and audit data stay out
+const alertDisaster = (disaster) => ({
+  id: disaster.id,
+  title: disaster.title,
+  location_name: disaster.location_name,
+  tags: disaster.tags,
+  status: disaster.status,
+  severity_score: disaster.severity_score,
+  updated_at: disaster.updated_at
+});
+
+const alertUpdate = (update) => ({
+  id: update.id,
+  source: update.source,
+  title: update.title,
+  url: update.url,
+  priority: update.priority,
+  published_at: update.published_at,
+  tags: update.tags
+});
+
+async function deliverWebhook(subscription, delivery, alert) {
+  let result;
+  try {
+    await sendWebhook(subscription.webhook_url, subscription.webhook_secret, alert);
+    result = { webhook_status: 'sent', webhook_error: null };
+  } catch (error) {
+    logger.warn(`Alert webhook for subscription ${subscription.id} failed: ${error.message}`);
+    result = { webhook_status: 'failed', webhook_error: error.message };
+  }
+
+  const { error } = await supabase
+    .from('alert_deliveries')
+    .update(result)
+    .eq('id', delivery.id);
+
+  if (error) throw error;
+}
+
+// Notify every subscription whose area covers the disaster. `eventKey` names
+// the occurrence, so an event seen twice (cached feeds are re-read) alerts once.
+async function dispatch(io, { event, eventKey, disaster, update = null }) {
+  if (!disaster.location) return;
+
+  const { data: subscriptions, error } = await supabase.rpc('match_alert_subscriptions', {
+    target_disaster_id: disaster.id,
+    extra_tags: update?.tags || []
+  });
+
+  if (error) throw error;
+  if (subscriptions.length === 0) return;
+
+  const { data: deliveries, error: claimError } = await supabase
+    .from('alert_deliveries')
+    .upsert(
+      subscriptions.map(subscription => ({ subscription_id: subscription.id, event_key: eventKey })),
+      { onConflict: 'subscription_id,event_key', ignoreDuplicates: true }
+    )
+    .select();
+
+  if (claimError) throw claimError;
+
+  const bySubscription = new Map(subscriptions.map(subscription => [subscription.id, subscription]));
+  const webhooks = [];
+
+  for (const delivery of deliveries) {
+    const subscription = bySubscription.get(delivery.subscription_id);
+    const alert = {
+      subscription_id: subscription.id,
+      subscription_name: subscription.name,
+      event,
+      disaster: alertDisaster(disaster),
+      ...(update && { update: alertUpdate(update) }),
+      triggered_at: new Date().toISOString()
+    };
+
+    io.to(userRoom(subscription.user_id)).emit('geofence_alert', alert);
+
+    if (subscription.webhook_url) {
+      webhooks.push(deliverWebhook(subscription, delivery, alert));
+    }
+  }
+
+  const failures = (await Promise.allSettled(webhooks)).filter(outcome => outcome.status === 'rejected');
+  for (const failure of failures) {
+    logger.error('Failed to record alert webhook delivery:', failure.reason);
+  }
+
+  logger.info(`Sent ${deliveries.length} geofence alert(s) for ${eventKey}`);
+}
+
+// Alert subscribers after a disaster is created or updated. Errors are logged,
+// never thrown, so callers can fire this after a write without affecting the
+// response.
+export async function alertDisasterSubscribers(io, event, disaster) {
+  try {
+    await dispatch(io, { event, eventKey: `${event}:${disaster.id}:${disaster.updated_at}`, disaster });
+  } catch (error) {
+    logger.error(`Geofence alerts failed for disaster ${disaster.id}:`, error);
+  }
+}
+
+// Alert subscribers about high-priority official updates for a disaster;
+// errors are logged, never thrown
+export async function alertOfficialUpdateSubscribers(io, disasterId, updates) {
+  try {
+    const urgent = updates.filter(update => update.priority === 'high');
+    if (urgent.length === 0 || disasterIdSchema.validate(disasterId).error) return;
+
+    const { data: disaster, error } = await supabase
+      .from('disasters')
+      .select('*')
+      .eq('id', disasterId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!disaster) return;
+
+    for (const update of urgent) {
+      await dispatch(io, {
+        event: 'official_update',
+        eventKey: `official_update:${disasterId}:${update.id}`,
+        disaster,
+        update
+      });
+    }
+  } catch (error) {
+    logger.error(`Geofence alerts failed for official updates of disaster ${disasterId}:`, error);
+  }
+}
@@ -0,0 +1,53 @@
+import { createHash, randomBytes } from 'crypto';
+import { BlockList, isIP } from 'net';
+
+// Keys look like `drk_<32 random bytes, base64url>`. Only the SHA-256 is
+// stored: the key is already high-entropy, so a slow hash buys nothing and a
+// plain digest can be looked up directly.
+const KEY_PREFIX = 'drk_';
+const DISPLAY_PREFIX_LENGTH = KEY_PREFIX.length + 8;
+
+// Requests per minute for keys without their own limit
+export const DEFAULT_KEY_RATE_LIMIT = Number(process.env.API_KEY_RATE_LIMIT) || 120;
+
+export const hashApiKey = (key) => createHash('sha256').update(key).digest('hex');
+
+export const looksLikeApiKey = (value) => typeof value === 'string' && value.startsWith(KEY_PREFIX);
+
+export function generateApiKey() {
+  const key = `${KEY_PREFIX}${randomBytes(32).toString('base64url')}`;
+  return { key, prefix: key.slice(0, DISPLAY_PREFIX_LENGTH), key_hash: hashApiKey(key) };
+}
+
+// An address or CIDR range, IPv4 or IPv6
+export function isValidIpRule(rule) {
+  const [address, bits, ...rest] = rule.split('/');
+  const family = isIP(address);
+  if (!family || rest.length > 0) return false;
+  if (bits === undefined) return true;
+  const prefix = Number(bits);
+  return Number.isInteger(prefix) && prefix >= 0 && prefix <= (family === 4 ? 32 : 128);
+}
+
+// Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+const normalizeIp = (ip) => (ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+export function ipAllowed(ip, rules) {
+  if (!rules || rules.length === 0) return true;
+
+  const address = normalizeIp(ip);
+  const family = isIP(address);
+  if (!family) return false;
+
+  const list = new BlockList();
+  for (const rule of rules) {
+    const [ruleAddress, bits] = rule.split('/');
+    const ruleType = isIP(ruleAddress) === 6 ? 'ipv6' : 'ipv4';
+    if (bits === undefined) {
+      list.addAddress(ruleAddress, ruleType);
+    } else {
+      list.addSubnet(ruleAddress, Number(bits), ruleType);
+    }
+  }
+  return list.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
@@ -0,0 +1,165 @@
+import { parsePoint } from './geo.js';
+
+// Helpers for the field-level change history kept in `disasters.audit_trail`.
+//
+// Update entries store `changes` as [{ field, before, after }]. Entries written
+// before field-level history existed store `changes` as a plain list of field
+// names; they are still listed in the history but cannot be reverted past.
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+// Rows carry the location as EWKB while updates write WKT, so points are
+// compared by their coordinates
+const isSameValue = (field, a, b) => {
+  if (field === 'location') {
+    const [pointA, pointB] = [parsePoint(a), parsePoint(b)];
+    if (pointA && pointB) {
+      return pointA.latitude === pointB.latitude && pointA.longitude === pointB.longitude;
+    }
+  }
+  return isEqual(a, b);
+};
+
+// Who acted, for any audit entry: the user, plus the API key when one was used
+export const auditActor = (req) => ({
+  user_id: req.user.id,
+  ...(req.apiKey && { api_key_id: req.apiKey.id })
+});
+
+// Compare the updated fields against the current row and return the changes
+export function diffFields(existing, updates) {
+  return Object.keys(updates)
+    .filter(field => !isSameValue(field, existing[field], updates[field]))
+    .map(field => ({
+      field,
+      before: existing[field] ?? null,
+      after: updates[field] ?? null
+    }));
+}
+
+// True when an entry records before/after values that can be undone
+export function isReversible(entry) {
+  return Array.isArray(entry.changes) &&
+    entry.changes.every(change => change && typeof change === 'object' && 'before' in change);
+}
+
+// Word-level diff between two strings as [{ type: 'equal'|'added'|'removed', text }]
+export function diffWords(before = '', after = '') {
+  const a = String(before ?? '').split(/(\s+)/);
+  const b = String(after ?? '').split(/(\s+)/);
+
+  // Longest common subsequence table
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const segments = [];
+  const push = (type, text) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      segments.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i++]);
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return segments.filter(segment => segment.text !== '');
+}
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return 'empty';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : 'empty';
+  return `"${value}"`;
+};
+
+// Human-readable description of a single field change
+export function describeChange(change) {
+  if (typeof change === 'string') {
+    return `Changed ${change}`;
+  }
+  return `Changed ${change.field} from ${formatValue(change.before)} to ${formatValue(change.after)}`;
+}
+
+// Expand an audit entry into a history item with readable diffs
+export function toHistoryItem(entry, index) {
+  const item = {
+    version: index + 1,
+    action: entry.action,
+    user_id: entry.user_id,
+    ...(entry.api_key_id && { api_key_id: entry.api_key_id }),
+    timestamp: entry.timestamp
+  };
+
+  if (entry.action === 'status_change') {
+    item.summary = [`Changed status from ${entry.from} to ${entry.to}`];
+  }
+
+  if (entry.action === 'merge') {
+    const moved = entry.moved || { reports: [], resources: [] };
+    const counts = `${moved.reports.length} reports, ${moved.resources.length} resources`;
+    item.summary = [entry.merged_into
+      ? `Merged into disaster ${entry.merged_into} (${counts} moved)`
+      : `Merged disaster ${entry.merged_from} into this one (${counts} moved)`];
+  }
+
+  if (entry.reverted_to_version) {
+    item.reverted_to_version = entry.reverted_to_version;
+  }
+
+  if (Array.isArray(entry.changes)) {
+    item.summary = entry.changes.map(describeChange);
+    item.changes = entry.changes.map(change => {
+      if (typeof change === 'string') {
+        return { field: change };
+      }
+      const expanded = { ...change };
+      if (typeof change.before === 'string' || typeof change.after === 'string') {
+        expanded.diff = diffWords(change.before, change.after);
+      }
+      return expanded;
+    });
+  }
+
+  return item;
+}
+
+// Work out the field values the disaster had at `version` by undoing every later
+// field change, newest first. Status changes are left alone: lifecycle status
+// only moves through its own transitions. Returns null if a later entry has no
+// before values to restore.
+export function fieldsAtVersion(current, auditTrail, version) {
+  const restored = {};
+
+  for (let i = auditTrail.length - 1; i >= version; i--) {
+    const entry = auditTrail[i];
+    if (!Array.isArray(entry.changes)) continue;
+    if (!isReversible(entry)) return null;
+
+    for (const change of [...entry.changes].reverse()) {
+      restored[change.field] = change.before;
+    }
+  }
+
+  // Drop fields that already match the current row
+  return Object.fromEntries(
+    Object.entries(restored).filter(([field, value]) => !isSameValue(field, current[field], value))
+  );
+}
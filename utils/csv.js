@@ -0,0 +1,61 @@
+// Minimal RFC 4180 CSV parsing: quoted fields, escaped quotes ("") and
+// embedded newlines. Returns an array of rows, each an array of strings.
+export function parseCsv(text) {
+  const input = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Parse CSV into objects keyed by header. `mapping` renames source columns
+// ({ "Shelter Name": "name" }); other headers are normalised to snake_case.
+export function parseCsvRecords(text, mapping = {}) {
+  const [header = [], ...rows] = parseCsv(text);
+  const keys = header.map(column => {
+    const name = column.trim();
+    return mapping[name] || name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+  });
+
+  return rows.map(values => Object.fromEntries(
+    keys
+      .map((key, index) => [key, (values[index] ?? '').trim()])
+      .filter(([key, value]) => key && value !== '')
+  ));
+}
@@ -0,0 +1,52 @@
+// Helpers for PostGIS point values as returned by Supabase.
+//
+// PostgREST returns geography columns as hex-encoded EWKB, but rows written by
+// hand or read through views may carry WKT ("POINT(lon lat)") or GeoJSON, so
+// parsePoint accepts all three.
+
+const WKB_POINT = 1;
+const EWKB_SRID_FLAG = 0x20000000;
+
+function parseEwkbPoint(hex) {
+  const buffer = Buffer.from(hex, 'hex');
+  const littleEndian = buffer.readUInt8(0) === 1;
+  const readUInt32 = (offset) => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+  const readDouble = (offset) => littleEndian ? buffer.readDoubleLE(offset) : buffer.readDoubleBE(offset);
+
+  const type = readUInt32(1);
+  if ((type & 0xffff) !== WKB_POINT) {
+    return null;
+  }
+
+  // Coordinates follow the 4-byte SRID when the EWKB SRID flag is set
+  const offset = type & EWKB_SRID_FLAG ? 9 : 5;
+  if (buffer.length < offset + 16) {
+    return null;
+  }
+
+  return { longitude: readDouble(offset), latitude: readDouble(offset + 8) };
+}
+
+// Returns { latitude, longitude } or null when the value is not a point
+export function parsePoint(location) {
+  if (!location) return null;
+
+  if (typeof location === 'object' && location.type === 'Point' && Array.isArray(location.coordinates)) {
+    const [longitude, latitude] = location.coordinates;
+    return { latitude, longitude };
+  }
+
+  if (typeof location !== 'string') return null;
+
+  const wkt = location.match(/POINT\s*\(\s*(-?[\d.]+)\s+(-?[\d.]+)\s*\)/i);
+  if (wkt) {
+    return { longitude: parseFloat(wkt[1]), latitude: parseFloat(wkt[2]) };
+  }
+
+  if (/^[0-9a-f]+$/i.test(location) && location.length >= 42) {
+    return parseEwkbPoint(location);
+  }
+
+  return null;
+}
+
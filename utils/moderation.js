@@ -0,0 +1,81 @@
+import { supabase } from '../config/supabase.js';
+import { logger } from './logger.js';
+import { hasPermission, roleGrants, ROLES } from './permissions.js';
+import { roleRoom, userRoom } from './realtime.js';
+
+// Approvals, net of three per rejection, before a new user is trusted
+export const TRUST_PROMOTION_THRESHOLD = Number(process.env.TRUST_PROMOTION_APPROVALS) || 5;
+
+// Rooms of the roles that review submissions everywhere
+const moderatorRooms = () => ROLES.filter(role => roleGrants(role, 'moderation:review')).map(roleRoom);
+
+// Where a submission's review permission is checked
+export const submissionScope = (submission) => (submission.kind === 'resource'
+  ? { disasterId: submission.disaster_id }
+  : { organizationId: submission.payload.organization_id || null });
+
+// Whether the caller's submission has to wait for review. API keys are issued
+// by admins and publish directly; so do roles with moderation:bypass and
+// users who have earned the `trusted` level.
+export async function needsModeration(req, scope) {
+  if (req.apiKey || await hasPermission(req, 'moderation:bypass', scope)) {
+    return false;
+  }
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('trust_level')
+    .eq('id', req.user.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.trust_level !== 'trusted';
+}
+
+// Queue validated create payloads for review and tell the moderators
+export async function queueSubmissions(req, kind, payloads, disasterId = null) {
+  const { data, error } = await supabase
+    .from('submissions')
+    .insert(payloads.map(payload => ({
+      kind,
+      payload,
+      disaster_id: disasterId,
+      submitted_by: req.user.id
+    })))
+    .select();
+
+  if (error) throw error;
+
+  logger.info(`Queued ${data.length} ${kind} submission(s) for review from ${req.user.id}`);
+
+  // Emit real-time update
+  req.io.to(moderatorRooms()).emit('submissions_queued', {
+    kind,
+    disaster_id: disasterId,
+    count: data.length,
+    submission_ids: data.map(submission => submission.id)
+  });
+
+  return data;
+}
+
+// Count a review towards the submitter's trust and let them know the outcome
+export async function recordReview(req, submission) {
+  const { data: trustLevel, error } = await supabase.rpc('record_submission_review', {
+    target_user_id: submission.submitted_by,
+    was_approved: submission.status === 'approved',
+    promote_after: TRUST_PROMOTION_THRESHOLD
+  });
+
+  if (error) throw error;
+
+  // Emit real-time update
+  req.io.to(userRoom(submission.submitted_by)).emit('submission_reviewed', {
+    id: submission.id,
+    kind: submission.kind,
+    status: submission.status,
+    reason: submission.reason,
+    published_id: submission.published_id,
+    trust_level: trustLevel
+  });
+}
@@ -0,0 +1,43 @@
+// Keyset (cursor) pagination helpers for Supabase queries.
+//
+// A cursor is the sort value and id of the last row of a page, base64url-encoded
+// so clients treat it as opaque. Rows are ordered by (column, id) so ties on the
+// sort column still page deterministically.
+
+export function encodeCursor(row, column) {
+  return Buffer.from(JSON.stringify({ v: row[column] ?? null, id: row.id })).toString('base64url');
+}
+
+// Returns { v, id } or null when the cursor is malformed
+export function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded.id !== 'string' || !('v' in decoded)) {
+      return null;
+    }
+    return decoded;
+  } catch {
+    return null;
+  }
+}
+
+// PostgREST values inside or() must be quoted when they may contain , . : or ()
+const quote = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+// Filter for the rows after `cursor` when ordering by `column` then id, with
+// NULL sort values last (matches `.order(column, { nullsFirst: false })`)
+export function keysetFilter(column, ascending, cursor) {
+  const op = ascending ? 'gt' : 'lt';
+  const id = quote(cursor.id);
+
+  if (cursor.v === null) {
+    return `and(${column}.is.null,id.${op}.${id})`;
+  }
+
+  const value = quote(cursor.v);
+  return [
+    `${column}.${op}.${value}`,
+    `and(${column}.eq.${value},id.${op}.${id})`,
+    `${column}.is.null`
+  ].join(',');
+}
@@ -0,0 +1,36 @@
+import { randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { promisify } from 'util';
+
+const scryptAsync = promisify(scrypt);
+
+// scrypt cost parameters; stored with each hash so they can be raised later
+const COST = 16384;
+const BLOCK_SIZE = 8;
+const PARALLELISM = 1;
+const KEY_LENGTH = 64;
+
+// Hashes look like scrypt$N$r$p$<salt>$<key>, salt and key base64-encoded
+export async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const key = await scryptAsync(password, salt, KEY_LENGTH, { N: COST, r: BLOCK_SIZE, p: PARALLELISM });
+  return ['scrypt', COST, BLOCK_SIZE, PARALLELISM, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+export async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, key] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !key) {
+    return false;
+  }
+
+  const expected = Buffer.from(key, 'base64');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'base64'), expected.length, {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p)
+  });
+  return timingSafeEqual(actual, expected);
+}
+
+// Compared against when the user does not exist, so unknown usernames take
+// as long to reject as wrong passwords
+export const DUMMY_PASSWORD_HASH = await hashPassword(randomBytes(16).toString('hex'));
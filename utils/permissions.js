@@ -0,0 +1,151 @@
+import { supabase } from '../config/supabase.js';
+
+export const ROLES = ['admin', 'coordinator', 'verifier', 'responder', 'contributor', 'viewer'];
+
+// What each role may do, as `resource:action`; `resource:*` and `*` are
+// wildcards. Reads not listed here are open to every authenticated user.
+export const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  coordinator: [
+    'disasters:*',
+    'reports:*',
+    'resources:*',
+    'needs:*',
+    'tasks:*',
+    'persons:*',
+    'volunteers:read',
+    'roles:grant',
+    'moderation:*',
+    'alerts:webhook'
+  ],
+  verifier: [
+    'disasters:verify',
+    'reports:verify',
+    'resources:confirm',
+    'moderation:review',
+    'moderation:bypass'
+  ],
+  responder: [
+    'reports:create',
+    'resources:create',
+    'resources:update',
+    'resources:confirm',
+    'needs:create',
+    'needs:manage',
+    'tasks:work',
+    'persons:read',
+    'persons:manage',
+    'moderation:bypass'
+  ],
+  contributor: [
+    'disasters:create',
+    'reports:create',
+    'resources:create',
+    'needs:create',
+    'tasks:work'
+  ],
+  viewer: []
+};
+
+export function roleGrants(role, permission) {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  const [resource] = permission.split(':');
+  return granted.some(entry => entry === '*' || entry === permission || entry === `${resource}:*`);
+}
+
+// Areas an API key can be scoped to, as `<area>:read` or `<area>:write`
+export const API_KEY_AREAS = [
+  'disasters',
+  'reports',
+  'resources',
+  'needs',
+  'tasks',
+  'persons',
+  'volunteers',
+  'updates',
+  'social_media',
+  'verification',
+  'geocoding',
+  'search',
+  'organizations',
+  'roles',
+  'moderation',
+  'alerts'
+];
+
+// `<area>:write` grants every action in the area, `<area>:read` only reads
+export function keyGrants(scopes, permission) {
+  const [resource] = permission.split(':');
+  return scopes.some(scope => scope === permission || scope === `${resource}:write`);
+}
+
+// Role assignments are loaded once per request
+async function loadAssignments(req) {
+  if (!req.roleAssignments) {
+    const { data, error } = await supabase
+      .from('role_assignments')
+      .select('role, organization_id, disaster_id')
+      .eq('user_id', req.user.id);
+
+    if (error) throw error;
+    req.roleAssignments = data;
+  }
+  return req.roleAssignments;
+}
+
+async function disasterOrganization(req, disasterId) {
+  req.disasterOrganizations = req.disasterOrganizations || new Map();
+  if (!req.disasterOrganizations.has(disasterId)) {
+    const { data, error } = await supabase
+      .from('disasters')
+      .select('organization_id')
+      .eq('id', disasterId)
+      .maybeSingle();
+
+    if (error) throw error;
+    req.disasterOrganizations.set(disasterId, data?.organization_id || null);
+  }
+  return req.disasterOrganizations.get(disasterId);
+}
+
+// Roles the user holds in a scope: their base role, global assignments, and
+// assignments for the disaster or the organization that runs it. `anyScope`
+// counts every assignment, for registries that are not tied to a disaster.
+export async function rolesInScope(req, { disasterId, organizationId, anyScope = false } = {}) {
+  const assignments = await loadAssignments(req);
+  const organization = organizationId ?? (disasterId ? await disasterOrganization(req, disasterId) : null);
+
+  const scoped = assignments.filter(assignment => {
+    if (anyScope) return true;
+    if (assignment.disaster_id) return assignment.disaster_id === disasterId;
+    if (assignment.organization_id) return assignment.organization_id === organization;
+    return true;
+  });
+
+  return [...new Set([req.user.role, ...scoped.map(assignment => assignment.role)])];
+}
+
+// Whether the user holds a role assigned for the disaster itself or for the
+// organization that runs it; the base role and global assignments do not count
+export async function assignedToDisaster(req, disasterId) {
+  const assignments = await loadAssignments(req);
+  const organization = await disasterOrganization(req, disasterId);
+  return assignments.some(assignment =>
+    assignment.disaster_id === disasterId ||
+    (organization !== null && assignment.organization_id === organization));
+}
+
+// API keys hold scopes rather than roles, and they apply everywhere
+export async function hasPermission(req, permission, scope = {}) {
+  if (req.apiKey) {
+    return keyGrants(req.apiKey.scopes, permission);
+  }
+
+  const roles = await rolesInScope(req, scope);
+  return roles.some(role => roleGrants(role, permission));
+}
+
+// Owners may always change their own records; anyone else needs the permission
+export async function canModify(req, ownerId, permission, scope) {
+  return ownerId === req.user.id || hasPermission(req, permission, scope);
+}
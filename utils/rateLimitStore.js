@@ -0,0 +1,40 @@
+import { supabase } from '../config/supabase.js';
+
+// express-rate-limit store backed by the `cache` table, so every server
+// instance counts against the same budget. Counting happens in the
+// rate_limit_hit function, which increments atomically.
+export class SupabaseRateLimitStore {
+  constructor(name) {
+    this.prefix = `ratelimit:${name}:`;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async increment(key) {
+    const { data, error } = await supabase.rpc('rate_limit_hit', {
+      counter_key: `${this.prefix}${key}`,
+      window_ms: this.windowMs
+    });
+
+    if (error) throw error;
+
+    const [counter] = data;
+    return { totalHits: counter.hits, resetTime: new Date(counter.reset_at) };
+  }
+
+  async decrement(key) {
+    const { error } = await supabase.rpc('rate_limit_undo', { counter_key: `${this.prefix}${key}` });
+    if (error) throw error;
+  }
+
+  async resetKey(key) {
+    const { error } = await supabase
+      .from('cache')
+      .delete()
+      .eq('key', `${this.prefix}${key}`);
+
+    if (error) throw error;
+  }
+}
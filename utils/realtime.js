@@ -0,0 +1,151 @@
+import Joi from 'joi';
+import { supabase } from '../config/supabase.js';
+import { assignedToDisaster, hasPermission, rolesInScope } from './permissions.js';
+import { carriesPii, redactEvent } from './redaction.js';
+
+// Every authenticated socket joins AUTHENTICATED_ROOM, so broadcasts meant for
+// "everyone" never reach anonymous sockets. Those join PUBLIC_ROOM and only
+// receive the events below, cut down to fields that are safe to publish.
+export const AUTHENTICATED_ROOM = 'authenticated';
+export const PUBLIC_ROOM = 'public';
+
+export const userRoom = (userId) => `user_${userId}`;
+export const roleRoom = (role) => `role_${role}`;
+
+// Sockets allowed to see personal details (`pii:read`) also join an
+// `<room>:unredacted` companion of each room they join; events carrying
+// reports, resources or posts go there verbatim and redacted to everyone else.
+export const unredactedRoom = (room) => `${room}:unredacted`;
+
+// Authenticated sockets that are not part of a disaster's response follow its
+// `<room>:public` companion instead, which gets the public events below
+export const publicRoom = (room) => `${room}:public`;
+
+export const socketRooms = (socket, rooms) => [].concat(rooms)
+  .flatMap(room => (socket.data.seesPii ? [room, unredactedRoom(room)] : [room]));
+
+const pick = (fields) => (payload) =>
+  Object.fromEntries(fields.filter(field => payload?.[field] !== undefined).map(field => [field, payload[field]]));
+
+const publicDisaster = pick(['id', 'title', 'location_name', 'tags', 'status', 'severity_score', 'created_at', 'updated_at']);
+const publicResource = pick(['id', 'disaster_id', 'name', 'type', 'status', 'location_name', 'capacity', 'current_occupancy', 'last_confirmed_at']);
+
+const PUBLIC_EVENTS = {
+  disaster_created: publicDisaster,
+  disaster_updated: publicDisaster,
+  disaster_deleted: pick(['id']),
+  disaster_status_changed: (payload) => ({ id: payload.id, from: payload.from, to: payload.to }),
+  disaster_merged: pick(['canonical_id', 'duplicate_id']),
+  disaster_severity_updated: pick(['id', 'severity_score', 'severity_updated_at']),
+  resource_created: publicResource,
+  resource_updated: publicResource,
+  resource_confirmed: publicResource,
+  resource_deleted: pick(['id', 'disaster_id']),
+  official_updates_updated: pick(['disaster_id', 'last_updated', 'updates'])
+};
+
+// Wraps the Socket.IO server with the same `emit` / `to(room).emit` calls the
+// routes use. Global emits go to authenticated sockets only, and any public
+// event is also sent, redacted, to the public room and the public companion
+// of the room it was sent to.
+export function createBroadcaster(io) {
+  const deliver = (room, event, payload) => {
+    if (!carriesPii(event)) {
+      io.to(room).emit(event, payload);
+      return;
+    }
+
+    const unredacted = [].concat(room).map(unredactedRoom);
+    io.to(room).except(unredacted).emit(event, redactEvent(event, payload));
+    io.to(unredacted).emit(event, payload);
+  };
+
+  const publish = (event, payload, rooms = []) => {
+    const redact = PUBLIC_EVENTS[event];
+    if (redact) {
+      io.to([PUBLIC_ROOM, ...rooms]).emit(event, redact(payload));
+    }
+  };
+
+  return {
+    emit(event, payload) {
+      deliver(AUTHENTICATED_ROOM, event, payload);
+      publish(event, payload);
+    },
+    to(room) {
+      return {
+        emit(event, payload) {
+          deliver(room, event, payload);
+          publish(event, payload, [].concat(room).map(publicRoom));
+        }
+      };
+    }
+  };
+}
+
+// Private rooms an authenticated socket joins on connect: its own user room
+// and one per role it holds everywhere (base role and global assignments)
+export async function privateRooms(socket) {
+  const { user, apiKey } = socket.data;
+  if (apiKey) {
+    return [userRoom(user.id)];
+  }
+
+  const roles = await rolesInScope({ user });
+  return [userRoom(user.id), ...roles.map(roleRoom)];
+}
+
+const disasterIdSchema = Joi.string().guid().required();
+
+// Roles whose holders follow every disaster in full wherever they hold them
+const RESPONSE_ROLES = ['admin', 'coordinator', 'verifier', 'responder'];
+
+// A user is part of a disaster's response if they own it, hold any role
+// assigned for it or its organization, or hold a response role globally
+async function onResponse(context, disaster) {
+  if (disaster.owner_id === context.user.id) return true;
+  if (await assignedToDisaster(context, disaster.id)) return true;
+
+  const roles = await rolesInScope(context);
+  return roles.some(role => RESPONSE_ROLES.includes(role));
+}
+
+// The rooms a socket joins to follow a disaster. Anonymous sockets may not
+// (they already get the public stream); API keys need `disasters:read`.
+// Users on the disaster's response get its full room, other users its public
+// companion. Returns `{ error }`, or `{ stream, rooms }`.
+export async function disasterRooms(socket, disasterId) {
+  const { user, apiKey } = socket.data;
+  if (!user) {
+    return { error: 'Authentication required' };
+  }
+
+  if (disasterIdSchema.validate(disasterId).error) {
+    return { error: 'Invalid disaster id' };
+  }
+
+  const { data: disaster, error } = await supabase
+    .from('disasters')
+    .select('id, owner_id')
+    .eq('id', disasterId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!disaster) {
+    return { error: 'Disaster not found' };
+  }
+
+  const room = `disaster_${disasterId}`;
+
+  if (apiKey) {
+    if (!await hasPermission({ user, apiKey }, 'disasters:read', { disasterId })) {
+      return { error: 'Permission denied' };
+    }
+    return { stream: 'full', rooms: socketRooms(socket, room) };
+  }
+
+  if (await onResponse({ user }, disaster)) {
+    return { stream: 'full', rooms: socketRooms(socket, room) };
+  }
+  return { stream: 'public', rooms: [publicRoom(room)] };
+}
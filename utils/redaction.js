@@ -0,0 +1,154 @@
+import { logger } from './logger.js';
+import { hasPermission } from './permissions.js';
+
+// Detectors for personal details in free text. Each match is replaced with
+// the detector's placeholder; emails run first so their digits are not taken
+// for phone numbers.
+export const DETECTORS = {
+  email: {
+    pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+    replacement: '[email redacted]'
+  },
+  // A house number, up to four capitalized words and a street suffix, e.g.
+  // "221 Baker St" or "12 West 5th Avenue, Apt 3B"
+  street_address: {
+    pattern: /\b\d{1,6}\s+(?:[A-Z0-9][A-Za-z0-9'.-]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Place|Pl|Way|Terrace|Parkway|Pkwy|Highway|Hwy)\b\.?(?:,?\s*(?:Apt|Apartment|Unit|Suite|Ste|#)\.?\s*[A-Za-z0-9-]+)?/g,
+    replacement: '[address redacted]'
+  },
+  // 555-123-4567, (555) 123 4567, +44 20 7946 0958, 5551234567
+  phone: {
+    pattern: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)[\s.-]?|\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{4}(?!\w)|(?<![\w+])\+?\d{10,13}(?!\w)/g,
+    replacement: '[phone redacted]'
+  }
+};
+
+// Comma-separated detector names; empty disables redaction
+const ENABLED_DETECTORS = (process.env.PII_DETECTORS ?? Object.keys(DETECTORS).join(','))
+  .split(',')
+  .map(name => name.trim())
+  .filter(name => DETECTORS[name]);
+
+// Free-text fields that may carry personal details, by record kind
+const PII_FIELDS = {
+  report: ['content'],
+  resource: ['description', 'contact_info'],
+  social_media_post: ['content'],
+  // A need's location is usually where the requester is staying
+  need: ['description', 'location_name'],
+  task: ['title', 'description'],
+  image_verification: ['analysis'],
+  // Report titles are the start of the report's content
+  search_result: ['title', 'highlight']
+};
+
+// Fields holding ts_headline output, where <mark> tags can split a match
+const MARKED_FIELDS = {
+  search_result: ['highlight']
+};
+
+export function redactText(text) {
+  const found = {};
+  let redacted = text;
+  for (const name of ENABLED_DETECTORS) {
+    const { pattern, replacement } = DETECTORS[name];
+    redacted = redacted.replace(pattern, () => {
+      found[name] = (found[name] || 0) + 1;
+      return replacement;
+    });
+  }
+  return { text: redacted, found };
+}
+
+const MARK = /<mark>(.*?)<\/mark>/g;
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Redact text highlighted with <mark> tags: strip the tags so they cannot
+// split a phone number or email, redact, then mark the highlighted terms
+// again outside the placeholders
+export function redactMarkedText(text) {
+  const terms = [...new Set([...text.matchAll(MARK)].map(match => match[1]).filter(Boolean))];
+  const { text: redacted, found } = redactText(text.replace(MARK, '$1'));
+  if (Object.keys(found).length === 0) {
+    return { text, found };
+  }
+  if (terms.length === 0) {
+    return { text: redacted, found };
+  }
+
+  const placeholders = new RegExp(`(${Object.values(DETECTORS).map(({ replacement }) => escapeRegExp(replacement)).join('|')})`);
+  const term = new RegExp(`(?<!\\w)(${terms.sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')})(?!\\w)`, 'g');
+  const marked = redacted
+    .split(placeholders)
+    .map((part, index) => (index % 2 === 1 ? part : part.replace(term, '<mark>$1</mark>')))
+    .join('');
+
+  return { text: marked, found };
+}
+
+// A copy of the record with its free-text fields redacted. Every redaction is
+// logged with what was found and who it was redacted for, never the text.
+export function redactRecord(kind, record, audience) {
+  if (!record) return record;
+
+  let copy = record;
+  for (const field of PII_FIELDS[kind]) {
+    if (typeof record[field] !== 'string') continue;
+
+    const redact = MARKED_FIELDS[kind]?.includes(field) ? redactMarkedText : redactText;
+    const { text, found } = redact(record[field]);
+    const summary = Object.entries(found).map(([name, count]) => `${count} ${name}`).join(', ');
+    if (summary) {
+      logger.info(`Redacted ${summary} from ${kind} ${record.id ?? ''} ${field} for ${audience}`);
+      copy = { ...copy, [field]: text };
+    }
+  }
+  return copy;
+}
+
+const redactAll = (kind, records, audience) => records?.map(record => redactRecord(kind, record, audience));
+
+// Admins (`pii:read`) see the original text; everyone else, API keys
+// included, gets it redacted
+export const seesPii = (req) => hasPermission(req, 'pii:read');
+
+export async function redactFor(req, kind, value) {
+  if (await seesPii(req)) return value;
+
+  const audience = req.apiKey ? `API key ${req.apiKey.id}` : `user ${req.user.id}`;
+  return Array.isArray(value) ? redactAll(kind, value, audience) : redactRecord(kind, value, audience);
+}
+
+// Socket events that carry free text, and how to redact them
+const single = (kind) => (payload, audience) => redactRecord(kind, payload, audience);
+const list = (kind, field) => (payload, audience) => ({ ...payload, [field]: redactAll(kind, payload[field], audience) });
+const nested = (kind, field) => (payload, audience) => ({ ...payload, [field]: redactRecord(kind, payload[field], audience) });
+
+const PII_EVENTS = {
+  report_created: single('report'),
+  report_updated: single('report'),
+  resource_created: single('resource'),
+  resource_updated: single('resource'),
+  resource_confirmed: single('resource'),
+  resources_updated: list('resource', 'resources'),
+  resources_imported: list('resource', 'resources'),
+  need_created: single('need'),
+  need_updated: single('need'),
+  need_matched: (payload, audience) => ({
+    ...payload,
+    need: redactRecord('need', payload.need, audience),
+    resource: redactRecord('resource', payload.resource, audience)
+  }),
+  need_fulfilled: single('need'),
+  need_closed: single('need'),
+  task_created: single('task'),
+  task_updated: single('task'),
+  task_status_changed: nested('task', 'task'),
+  task_assigned: nested('task', 'task'),
+  task_released: nested('task', 'task'),
+  image_verified: single('image_verification'),
+  social_media_updated: list('social_media_post', 'posts')
+};
+
+export const carriesPii = (event) => Boolean(PII_EVENTS[event]);
+
+export const redactEvent = (event, payload) => PII_EVENTS[event](payload, `event ${event}`);
@@ -0,0 +1,159 @@
+import { supabase } from '../config/supabase.js';
+import { logger } from './logger.js';
+
+// Each component is scored 0..1 and weighted into a 0..100 severity score
+const WEIGHTS = {
+  reports: 0.25,
+  image_urgency: 0.2,
+  social_urgency: 0.2,
+  official_priority: 0.15,
+  resource_shortage: 0.2
+};
+
+const URGENCY_LEVELS = { low: 0.25, medium: 0.5, high: 0.75, critical: 1 };
+const PRIORITY_LEVELS = { low: 0.33, medium: 0.66, high: 1 };
+
+const URGENT_REPORT_PATTERN = /\b(urgent|sos|trapped|stranded|injur\w*|critical|immediate\w*|life[- ]threatening|missing)\b/i;
+
+// One resource is considered enough for this many reports
+const REPORTS_PER_RESOURCE = 10;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+const round = (value) => Math.round(value * 100) / 100;
+const average = (values) => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+
+export function severityLevel(score) {
+  if (score >= 75) return 'critical';
+  if (score >= 50) return 'high';
+  if (score >= 25) return 'medium';
+  return 'low';
+}
+
+// Pure scoring: turn raw inputs into a score with its component breakdown
+export function computeSeverity({ reports = [], socialPosts = [], officialUpdates = [], resourceCount = 0 }) {
+  const urgentReports = reports.filter(r => URGENT_REPORT_PATTERN.test(r.content || '')).length;
+  // 100 reports saturate the volume signal
+  const volume = clamp(Math.log10(reports.length + 1) / 2);
+  const reportUrgency = reports.length ? urgentReports / reports.length : 0;
+
+  const imageUrgencies = reports
+    .filter(r => r.verification_details && r.verification_status !== 'suspicious')
+    .map(r => URGENCY_LEVELS[r.verification_details.urgency_level])
+    .filter(level => level !== undefined);
+
+  const socialUrgencies = socialPosts
+    .map(post => URGENCY_LEVELS[post.urgency])
+    .filter(level => level !== undefined);
+
+  const officialPriorities = officialUpdates
+    .map(update => PRIORITY_LEVELS[update.priority])
+    .filter(level => level !== undefined);
+
+  const resourcesNeeded = reports.length / REPORTS_PER_RESOURCE;
+
+  const components = {
+    reports: clamp(0.6 * volume + 0.4 * reportUrgency),
+    image_urgency: average(imageUrgencies),
+    social_urgency: average(socialUrgencies),
+    official_priority: officialPriorities.length ? Math.max(...officialPriorities) : 0,
+    resource_shortage: resourcesNeeded > 0 ? clamp(1 - resourceCount / resourcesNeeded) : 0
+  };
+
+  const score = Object.entries(WEIGHTS)
+    .reduce((sum, [component, weight]) => sum + components[component] * weight, 0) * 100;
+
+  return {
+    score: round(score),
+    level: severityLevel(score),
+    components: Object.fromEntries(
+      Object.entries(components).map(([component, value]) => [component, {
+        value: round(value),
+        weight: WEIGHTS[component],
+        contribution: round(value * WEIGHTS[component] * 100)
+      }])
+    ),
+    inputs: {
+      report_count: reports.length,
+      urgent_reports: urgentReports,
+      verified_images: imageUrgencies.length,
+      social_posts: socialPosts.length,
+      official_updates: officialUpdates.length,
+      resource_count: resourceCount
+    }
+  };
+}
+
+// Items from unexpired cache entries written by the social media and official updates routes
+async function cachedItems(prefix, field) {
+  const { data, error } = await supabase
+    .from('cache')
+    .select('value')
+    .like('key', `${prefix}%`)
+    .gt('expires_at', new Date().toISOString());
+
+  if (error) throw error;
+
+  // The same post or update shows up under several cached queries
+  const items = new Map();
+  for (const row of data) {
+    for (const item of row.value?.[field] || []) {
+      items.set(item.id, item);
+    }
+  }
+  return [...items.values()];
+}
+
+// Recompute and store a disaster's severity. Errors are logged, never thrown, so
+// callers can fire this after a write without affecting the response.
+export async function recomputeSeverity(disasterId, io) {
+  try {
+    const [reportsResult, resourcesResult, socialPosts, officialUpdates] = await Promise.all([
+      supabase
+        .from('reports')
+        .select('content, verification_status, verification_details')
+        .eq('disaster_id', disasterId),
+      // Full and closed resources do not ease a shortage
+      supabase
+        .from('resources')
+        .select('id', { count: 'exact', head: true })
+        .eq('disaster_id', disasterId)
+        .eq('status', 'open'),
+      cachedItems(`social_media_${disasterId}_`, 'posts'),
+      cachedItems(`official_updates_${disasterId}_`, 'updates')
+    ]);
+
+    if (reportsResult.error) throw reportsResult.error;
+    if (resourcesResult.error) throw resourcesResult.error;
+
+    const severity = computeSeverity({
+      reports: reportsResult.data,
+      socialPosts,
+      officialUpdates,
+      resourceCount: resourcesResult.count || 0
+    });
+
+    const { data, error } = await supabase
+      .from('disasters')
+      .update({
+        severity_score: severity.score,
+        severity_breakdown: severity,
+        severity_updated_at: new Date().toISOString()
+      })
+      .eq('id', disasterId)
+      .select('id, severity_score, severity_breakdown, severity_updated_at')
+      .single();
+
+    if (error) throw error;
+
+    logger.info(`Severity for disaster ${disasterId}: ${severity.score} (${severity.level})`);
+
+    if (io) {
+      io.to(`disaster_${disasterId}`).emit('disaster_severity_updated', data);
+    }
+
+    return data;
+  } catch (error) {
+    logger.error(`Severity recompute failed for disaster ${disasterId}:`, error);
+    return null;
+  }
+}
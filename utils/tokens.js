@@ -0,0 +1,79 @@
+import { createHmac, randomUUID, timingSafeEqual } from 'crypto';
+
+// HS256 JSON Web Tokens signed with JWT_SECRET. Access tokens are short-lived
+// and stateless; refresh tokens carry a jti that is tracked in refresh_tokens.
+
+// Lifetimes in seconds
+export const ACCESS_TOKEN_TTL = Number(process.env.JWT_ACCESS_TTL) || 15 * 60;
+export const REFRESH_TOKEN_TTL = Number(process.env.JWT_REFRESH_TTL) || 30 * 24 * 60 * 60;
+
+const HEADER = { alg: 'HS256', typ: 'JWT' };
+
+const base64url = (value) => Buffer.from(value).toString('base64url');
+
+function secret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not set');
+  }
+  return process.env.JWT_SECRET;
+}
+
+const sign = (input) => createHmac('sha256', secret()).update(input).digest();
+
+export class TokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TokenError';
+  }
+}
+
+export function signToken(claims, type) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    ...claims,
+    type,
+    jti: claims.jti || randomUUID(),
+    iat: now,
+    exp: now + (type === 'refresh' ? REFRESH_TOKEN_TTL : ACCESS_TOKEN_TTL)
+  };
+
+  const input = `${base64url(JSON.stringify(HEADER))}.${base64url(JSON.stringify(payload))}`;
+  return { token: `${input}.${sign(input).toString('base64url')}`, payload };
+}
+
+// Returns the payload of a valid, unexpired token of the given type; throws
+// TokenError otherwise
+export function verifyToken(token, type) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    throw new TokenError('Malformed token');
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = sign(`${header}.${payload}`);
+  const actual = Buffer.from(signature, 'base64url');
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) {
+    throw new TokenError('Invalid token signature');
+  }
+
+  let decodedHeader;
+  let claims;
+  try {
+    decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch {
+    throw new TokenError('Malformed token');
+  }
+
+  if (decodedHeader.alg !== HEADER.alg) {
+    throw new TokenError('Unsupported token algorithm');
+  }
+  if (claims.type !== type) {
+    throw new TokenError(`Expected a ${type} token`);
+  }
+  if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+    throw new TokenError('Token expired');
+  }
+
+  return claims;
+}
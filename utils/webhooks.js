@@ -0,0 +1,118 @@
+import { createHmac, randomBytes } from 'crypto';
+import { lookup } from 'dns';
+import { promisify } from 'util';
+import { Agent } from 'https';
+import { BlockList, isIP } from 'net';
+import fetch from 'node-fetch';
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+const lookupAll = promisify(lookup);
+
+// Addresses a webhook may never reach: loopback, private, link-local (cloud
+// metadata lives at 169.254.169.254), carrier-grade NAT, multicast and reserved
+const BLOCKED = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  BLOCKED.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  BLOCKED.addSubnet(network, prefix, 'ipv6');
+}
+
+export class WebhookUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WebhookUrlError';
+  }
+}
+
+export function isPublicAddress(address) {
+  // IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const ip = mapped ? mapped[1] : address;
+  const family = isIP(ip);
+  if (!family) return false;
+  return !BLOCKED.check(ip, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Webhooks must be https and resolve only to public addresses. Checked when
+// a subscription is saved and again before every delivery, since DNS changes.
+export async function assertPublicWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new WebhookUrlError('Webhook URL is not a valid URL');
+  }
+
+  if (parsed.protocol !== 'https:') {
+    throw new WebhookUrlError('Webhook URL must use https');
+  }
+
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  let addresses;
+  if (isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await lookupAll(host, { all: true })).map(entry => entry.address);
+    } catch {
+      throw new WebhookUrlError(`Webhook host ${host} does not resolve`);
+    }
+  }
+
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    throw new WebhookUrlError(`Webhook host ${host} resolves to a private or reserved address`);
+  }
+}
+
+// Re-checks the addresses the connection actually uses, so a host that
+// re-resolves to an internal address between the check and the request
+// (DNS rebinding) is refused
+function guardedLookup(hostname, options, callback) {
+  lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+    if (!addresses.every(isPublicAddress)) {
+      return callback(new WebhookUrlError(`Webhook host ${hostname} resolves to a private or reserved address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+const webhookAgent = new Agent({ lookup: guardedLookup });
+
+export const generateWebhookSecret = () => `whsec_${randomBytes(24).toString('base64url')}`;
+
+// Webhook receivers verify `X-Alert-Signature` as the HMAC-SHA256 of the raw
+// body with their subscription's secret
+export const signWebhookBody = (secret, body) => `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// POST a signed JSON payload. Redirects are not followed: a 3xx counts as a
+// failed delivery, so a public host cannot bounce the request inward.
+export async function sendWebhook(url, secret, payload) {
+  await assertPublicWebhookUrl(url);
+
+  const body = JSON.stringify(payload);
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Alert-Signature': signWebhookBody(secret, body)
+    },
+    body,
+    agent: webhookAgent,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Webhook responded with ${response.status}`);
+  }
+}